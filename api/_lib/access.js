@@ -0,0 +1,204 @@
+/**
+ * Access Control
+ *
+ * What every public endpoint checks before serving a request:
+ *
+ *   CORS        CORS_ORIGINS (comma-separated origins) limits which sites may
+ *               call the API from a browser; requests from other origins get
+ *               a 403. Unset, any origin may.
+ *   API keys    Sent as X-API-Key or Authorization: Bearer <key>, issued with
+ *               scripts/api-keys.js and stored hashed in the database's
+ *               api_keys table. An unknown or revoked key is a 401; requests
+ *               without one are anonymous, unless API_KEYS_REQUIRED=true.
+ *   Rate limits Per key (RATE_LIMIT_KEY_PER_MINUTE, default 600, or the key's
+ *               own limit) or per client IP (RATE_LIMIT_PER_MINUTE, default
+ *               60) in one-minute windows, reported in the RateLimit-Limit,
+ *               RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+ *               headers. Over the limit is a 429 with Retry-After. Counts are
+ *               kept per function instance, and responses the CDN serves
+ *               from its cache aren't counted (nor carry those headers,
+ *               which are taken off responses it may store).
+ *
+ * Every response also gets a Content-Security-Policy that lets nothing load
+ * or run, and X-Content-Type-Options: nosniff, so a response opened in a
+ * browser is only ever data, whatever markup the books in it contain. (The
+ * web page's own policy is in vercel.json.)
+ */
+
+import { existsSync } from 'fs';
+import { findApiKey } from '../../scripts/lib/api-keys.js';
+import { systemClock } from '../../scripts/lib/sync.js';
+import { DB_PATH, openDatabase } from './database.js';
+
+// Sites allowed to call the API from a browser (null for any)
+const CORS_ORIGINS = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : null;
+
+// Whether anonymous requests are turned away
+export const API_KEYS_REQUIRED = process.env.API_KEYS_REQUIRED === 'true';
+
+// Requests per window
+const ANONYMOUS_LIMIT = parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 60;
+const KEY_LIMIT = parseInt(process.env.RATE_LIMIT_KEY_PER_MINUTE) || 600;
+const WINDOW_MS = 60 * 1000;
+
+// Headers reporting one client's rate limit
+const RATE_LIMIT_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'];
+
+// Headers browsers may read from responses
+const EXPOSED_HEADERS = [
+  'ETag', 'Content-Disposition', 'X-Total-Count', 'X-Next-Cursor', 'X-Proxy-Source',
+  ...RATE_LIMIT_HEADERS, 'Retry-After'
+];
+
+// Request headers browsers may send
+const ALLOWED_HEADERS = ['Content-Type', 'Authorization', 'X-API-Key', 'If-None-Match', 'If-Modified-Since'];
+
+// Nothing in an API response may load or run, nor the response be framed
+const CONTENT_SECURITY_POLICY = "default-src 'none'; frame-ancestors 'none'";
+
+// Fixed-window request counter per client id
+export function createRateLimiter({ windowMs = WINDOW_MS, clock = systemClock } = {}) {
+  const windows = new Map();
+
+  return {
+    // Count a request; returns whether it is allowed and what's left
+    hit(id, limit) {
+      const now = clock.now().getTime();
+      let window = windows.get(id);
+
+      if (!window || now >= window.resetAt) {
+        // Drop finished windows now and then so idle clients don't pile up
+        if (windows.size > 10000) {
+          for (const [key, value] of windows) {
+            if (now >= value.resetAt) windows.delete(key);
+          }
+        }
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(id, window);
+      }
+
+      window.count++;
+
+      return {
+        allowed: window.count <= limit,
+        limit,
+        remaining: Math.max(0, limit - window.count),
+        reset: Math.ceil((window.resetAt - now) / 1000)
+      };
+    }
+  };
+}
+
+const limiter = createRateLimiter();
+
+// Helper: The key a request presents, if any
+function requestKey(headers) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+  return headers['x-api-key'] || bearer?.[1] || null;
+}
+
+// Helper: The calling client's IP (null when it can't be told, as for
+// direct calls in tests)
+function clientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.headers['x-real-ip'] || req.socket?.remoteAddress || null;
+}
+
+// Helper: Look up a presented key in the database
+function lookupKey(key) {
+  if (!existsSync(DB_PATH)) {
+    return null;
+  }
+
+  const db = openDatabase();
+  const hasTable = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'api_keys'").get();
+  return hasTable ? findApiKey(db, key) : null;
+}
+
+// Set the security headers and check a request against the CORS allowlist,
+// its API key and its rate limit, answering preflight requests. Returns true if the handler should go
+// on to serve it; otherwise the response has been sent, through
+// sendError(res, status, message) for errors so each endpoint keeps its own
+// error body. methods are what the endpoint answers, for preflights.
+export function checkAccess(req, res, { methods = ['GET'], sendError }) {
+  const headers = req.headers || {};
+  const origin = headers.origin;
+
+  res.setHeader('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  if (!CORS_ORIGINS) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else {
+    res.setHeader('Vary', 'Origin');
+    if (origin && CORS_ORIGINS.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+  }
+  res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS.join(', '));
+
+  if (origin && CORS_ORIGINS && !CORS_ORIGINS.includes(origin)) {
+    sendError(res, 403, `Origin not allowed: ${origin}`);
+    return false;
+  }
+
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+    res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS.join(', '));
+    res.setHeader('Access-Control-Max-Age', '86400');
+    res.status(204).end();
+    return false;
+  }
+
+  const key = requestKey(headers);
+  let client = null;
+
+  if (key) {
+    const found = lookupKey(key);
+
+    if (!found) {
+      sendError(res, 401, 'Invalid or revoked API key');
+      return false;
+    }
+    client = { id: `key:${found.key_id}`, limit: found.rate_limit || KEY_LIMIT };
+  } else if (API_KEYS_REQUIRED) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    sendError(res, 401, 'An API key is required (X-API-Key or Authorization: Bearer)');
+    return false;
+  } else {
+    const ip = clientIp(req);
+    client = ip ? { id: `ip:${ip}`, limit: ANONYMOUS_LIMIT } : null;
+  }
+
+  if (client) {
+    const { allowed, limit, remaining, reset } = limiter.hit(client.id, client.limit);
+
+    res.setHeader('RateLimit-Limit', String(limit));
+    res.setHeader('RateLimit-Remaining', String(remaining));
+    res.setHeader('RateLimit-Reset', String(reset));
+    res.setHeader('RateLimit-Policy', `${limit};w=${WINDOW_MS / 1000}`);
+
+    if (!allowed) {
+      res.setHeader('Retry-After', String(reset));
+      sendError(res, 429, `Rate limit exceeded: ${limit} requests per minute`);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Take one client's rate limit headers off a response shared caches may
+// store, so they aren't served to other clients
+export function omitRateLimitHeaders(res) {
+  for (const name of RATE_LIMIT_HEADERS) {
+    res.removeHeader(name);
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Database Connection
+ *
+ * The read-only connection to the bestsellers database that the API
+ * endpoints share. It is opened on first use and kept for as long as the
+ * function instance stays warm, along with its prepared statements.
+ */
+
+import Database from 'better-sqlite3';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+export const DB_PATH = process.env.DB_PATH || join(__dirname, '../../data/bestsellers.db');
+
+// Prepared statements kept per connection (sort and filter parameters
+// make some SQL dynamic, so the oldest are dropped past this)
+const MAX_STATEMENTS = 500;
+
+// The read-only connection, opened on first use
+let connection = null;
+
+// The shared read-only connection. Its prepare() hands back the statement
+// already prepared for the same SQL, so warm invocations skip compiling the
+// same queries again.
+export function openDatabase() {
+  if (connection) {
+    return connection;
+  }
+
+  const db = new Database(DB_PATH, { readonly: true, fileMustExist: true });
+  const prepare = db.prepare.bind(db);
+  const statements = new Map();
+
+  db.prepare = sql => {
+    let stmt = statements.get(sql);
+
+    if (!stmt) {
+      if (statements.size >= MAX_STATEMENTS) {
+        statements.delete(statements.keys().next().value);
+      }
+      stmt = prepare(sql);
+      statements.set(sql, stmt);
+    }
+
+    return stmt;
+  };
+
+  connection = db;
+  return connection;
+}
@@ -0,0 +1,147 @@
+/**
+ * OpenAPI Document
+ *
+ * Builds the OpenAPI 3.1 description of the v1 REST API from the route
+ * definitions in routes.js, so the document can't drift from the routes.
+ * Served at /api/v1/openapi.json.
+ */
+
+import { EXPORT_FORMATS } from '../../scripts/lib/export.js';
+import { DEFAULT_LIMIT, MAX_EXPORT_LIMIT, MAX_LIMIT } from './queries.js';
+import { PATH_PARAMETERS } from './routes.js';
+
+// Parameters every paged route takes
+const PAGING_PARAMETERS = [
+  {
+    name: 'limit',
+    description: `Rows per page (default ${DEFAULT_LIMIT}; up to ${MAX_LIMIT}, or ${MAX_EXPORT_LIMIT} for exports)`,
+    schema: { type: 'integer', minimum: 1, maximum: MAX_EXPORT_LIMIT }
+  },
+  { name: 'offset', description: 'Rows to skip', schema: { type: 'integer', minimum: 0 } },
+  { name: 'cursor', description: 'The `next` value of the previous page', schema: { type: 'string' } },
+  { name: 'sort', description: 'Comma-separated returned fields, `-` prefix for descending', schema: { type: 'string' } },
+  { name: 'fields', description: 'Comma-separated returned fields to keep in each row', schema: { type: 'string' } }
+].map(parameter => ({ in: 'query', ...parameter }));
+
+const FORMAT_PARAMETER = {
+  name: 'format',
+  in: 'query',
+  description: 'json (default), or download the rows as another format',
+  schema: { type: 'string', enum: ['json', ...Object.keys(EXPORT_FORMATS)], default: 'json' }
+};
+
+// Helper: operationId from a path, e.g. /lists/{list}/editions -> getListsListEditions
+function operationId(path) {
+  return `get${path
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('')}`;
+}
+
+// Helper: The OpenAPI operation for one route
+function operation(route) {
+  const pathNames = [...route.path.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+
+  const parameters = [
+    ...pathNames.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      description: PATH_PARAMETERS[name],
+      schema: { type: 'string' }
+    })),
+    ...(route.query || []).map(({ name, description, required }) => ({
+      name,
+      in: 'query',
+      ...(required && { required: true }),
+      description,
+      schema: { type: 'string' }
+    })),
+    ...(route.paged ? PAGING_PARAMETERS : []),
+    FORMAT_PARAMETER
+  ];
+
+  const content = {
+    'application/json': { schema: { type: 'object' } },
+    ...Object.fromEntries(Object.values(EXPORT_FORMATS).map(format => [
+      format.contentType.split(';')[0],
+      { schema: { type: 'string' } }
+    ]))
+  };
+
+  return {
+    operationId: operationId(route.path),
+    summary: route.summary,
+    'x-action': route.action,
+    parameters,
+    responses: {
+      200: { description: 'OK', content },
+      400: { $ref: '#/components/responses/BadRequest' },
+      401: { $ref: '#/components/responses/Unauthorized' },
+      404: { $ref: '#/components/responses/NotFound' },
+      429: { $ref: '#/components/responses/TooManyRequests' },
+      500: { $ref: '#/components/responses/ServerError' }
+    }
+  };
+}
+
+// Build the document for a set of routes
+export function buildOpenApiDocument(routes) {
+  const paths = {};
+  for (const route of routes) {
+    paths[route.path] = { get: operation(route) };
+  }
+
+  const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'NYT Best Sellers Database API',
+      version: '1.0.0',
+      description: 'Historical NYT best seller lists, books, reviews and analytics from the local SQLite database.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{}, { apiKey: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              required: ['status', 'code', 'message'],
+              properties: {
+                status: { type: 'integer' },
+                code: {
+                  type: 'string',
+                  enum: [
+                    'invalid_parameter', 'unauthorized', 'forbidden', 'not_found',
+                    'method_not_allowed', 'rate_limited', 'internal_error'
+                  ]
+                },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        BadRequest: errorResponse('A parameter is missing or invalid'),
+        Unauthorized: errorResponse('The API key is unknown or revoked, or one is required'),
+        TooManyRequests: errorResponse('Over the rate limit; retry after the Retry-After header\'s seconds'),
+        NotFound: errorResponse('No such route, or the list, edition, book, author or publisher isn\'t stored'),
+        ServerError: errorResponse('The query failed')
+      }
+    }
+  };
+}
@@ -0,0 +1,1206 @@
+/**
+ * Database Queries
+ *
+ * The queries behind every API route (routes.js). Each takes an open
+ * read-only database plus already-read parameters and returns a JSON-ready
+ * result, throwing InvalidParameterError (a 400) for parameters it can't
+ * use and NotFoundError (a 404) when the list, book or name asked for
+ * isn't stored.
+ */
+
+import { normalizeName, normalizePublisher, splitAuthors, registerNameFunctions } from '../../scripts/lib/normalize.js';
+
+// Paging limits
+export const DEFAULT_LIMIT = 100;
+export const MAX_LIMIT = 1000;
+export const MAX_EXPORT_LIMIT = 10000;
+
+// Most books one timeseries request can name
+const MAX_SERIES_ISBNS = 20;
+
+// Who a book is credited to, for the author and publisher actions: `credits`
+// is SQL giving one row per book and creditor (book_id, work_id, name_key,
+// name), with name_key the normalized name everything is grouped by
+export const CREATORS = {
+  author: {
+    field: 'author',
+    label: 'Author',
+    credits: `
+      SELECT b.book_id, b.work_id, a.name_key, a.name
+      FROM book_credits a
+      JOIN books b ON b.book_id = a.book_id
+    `,
+    key: name => {
+      const names = splitAuthors(name);
+      if (names.length !== 1) {
+        throw new InvalidParameterError('Invalid parameter: name must be a single author');
+      }
+      return normalizeName(names[0]);
+    }
+  },
+  publisher: {
+    field: 'publisher',
+    label: 'Publisher',
+    credits: `
+      SELECT b.book_id, b.work_id, normalize_publisher(b.publisher) as name_key, b.publisher as name
+      FROM books b
+      WHERE normalize_publisher(b.publisher) <> ''
+    `,
+    key: name => normalizePublisher(name)
+  }
+};
+
+// Lists each stats category covers, by encoded list name
+const STATS_CATEGORIES = {
+  fiction: /(^|-)fiction/,
+  nonfiction: /nonfiction/,
+  childrens: /children|young-adult|picture-books|middle-grade|series-books/,
+  hardcover: /hardcover/,
+  paperback: /paperback/,
+  'e-book': /e-book/,
+  audio: /audio/
+};
+
+// Periods stats can break publisher share down by (SQL on r.published_date)
+const STATS_PERIODS = {
+  year: 'substr(r.published_date, 1, 4)',
+  quarter: "substr(r.published_date, 1, 4) || '-Q' || ((CAST(substr(r.published_date, 6, 2) AS INTEGER) + 2) / 3)",
+  month: 'substr(r.published_date, 1, 7)',
+  week: 'r.published_date'
+};
+
+// Rows in each stats table (number ones, longevity, publishers per period)
+const STATS_TOP = 10;
+
+// Raised for a query parameter the endpoint can't use (answered with a 400)
+export class InvalidParameterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidParameterError';
+  }
+}
+
+// Raised when what a request names (list, book, edition...) isn't stored (a 404)
+export class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+// Helper: Read a query parameter that may have been repeated (last one wins)
+export function param(value) {
+  return Array.isArray(value) ? value[value.length - 1] : value;
+}
+
+// Helper: Parse a whole number within bounds, or reject the parameter
+function parseBoundedInt(name, value, min, max) {
+  const text = String(value).trim();
+
+  if (!/^\d+$/.test(text) || Number(text) < min || Number(text) > max) {
+    throw new InvalidParameterError(`Invalid parameter: ${name} must be a whole number from ${min} to ${max}`);
+  }
+
+  return Number(text);
+}
+
+// Helper: Split a comma-separated parameter into its non-empty parts
+export function parseNames(value) {
+  return value === undefined ? [] : String(value).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// Helper: Parse an optional YYYY-MM-DD date parameter
+export function parseDate(name, value) {
+  const text = param(value);
+
+  if (text === undefined || text === '') {
+    return null;
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(Date.parse(`${text}T00:00:00Z`))) {
+    throw new InvalidParameterError(`Invalid parameter: ${name} must be a date (YYYY-MM-DD)`);
+  }
+
+  return text;
+}
+
+// Cursors are opaque to clients; today they just carry the next offset
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+
+    if (Number.isSafeInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+
+  throw new InvalidParameterError('Invalid parameter: cursor');
+}
+
+// Helper: Read limit/offset/cursor/sort/fields from the query string
+export function parsePaging(query, maxLimit = MAX_LIMIT) {
+  const limit = param(query.limit);
+  const offset = param(query.offset);
+  const cursor = param(query.cursor);
+
+  return {
+    limit: limit === undefined || limit === '' ? DEFAULT_LIMIT : parseBoundedInt('limit', limit, 1, maxLimit),
+    offset: cursor ? decodeCursor(cursor)
+      : offset === undefined || offset === '' ? 0
+        : parseBoundedInt('offset', offset, 0, Number.MAX_SAFE_INTEGER),
+    sort: parseNames(param(query.sort)),
+    fields: parseNames(param(query.fields)),
+    stream: false
+  };
+}
+
+// Helper: Rows read from a statement only as they are iterated (an export
+// writes each one out before reading the next), with the statement's column
+// names in `columns`
+function streamRows(stmt, params) {
+  return {
+    columns: stmt.columns().map(c => c.name),
+    [Symbol.iterator]: () => stmt.iterate(...params)
+  };
+}
+
+// Helper: Apply fn to each row of a page, keeping streamed rows streamed
+function mapRows(rows, fn) {
+  if (Array.isArray(rows)) {
+    return rows.map(fn);
+  }
+
+  return {
+    columns: rows.columns,
+    *[Symbol.iterator]() {
+      for (const row of rows) {
+        yield fn(row);
+      }
+    }
+  };
+}
+
+// Helper: Run a row query one page at a time. `sql` is any SELECT without
+// ORDER BY/LIMIT; sort and fields may name any of its result columns, and
+// `defaultSort` (same syntax as the sort parameter) breaks ties. With
+// paging.stream the page's rows are read lazily (see streamRows).
+function paginate(db, sql, params, paging, defaultSort) {
+  const columns = db.prepare(sql).columns().map(c => c.name);
+
+  const checkField = (name, parameter) => {
+    if (!columns.includes(name)) {
+      throw new InvalidParameterError(
+        `Invalid parameter: ${parameter} field "${name}" (available: ${columns.join(', ')})`
+      );
+    }
+    return `"${name}"`;
+  };
+
+  const sorted = new Set();
+  const orderBy = [];
+
+  for (const [term, parameter] of [
+    ...paging.sort.map(term => [term, 'sort']),
+    ...defaultSort.map(term => [term, 'default sort'])
+  ]) {
+    const name = term.replace(/^-/, '');
+    const column = checkField(name, parameter);
+
+    if (!sorted.has(name)) {
+      sorted.add(name);
+      orderBy.push(`${column} ${term.startsWith('-') ? 'DESC' : 'ASC'}`);
+    }
+  }
+
+  const selected = paging.fields.length > 0
+    ? paging.fields.map(name => checkField(name, 'fields')).join(', ')
+    : '*';
+
+  const total = db.prepare(`SELECT COUNT(*) as count FROM (${sql})`).get(...params).count;
+  const stmt = db.prepare(`
+    SELECT ${selected} FROM (${sql})
+    ${orderBy.length > 0 ? `ORDER BY ${orderBy.join(', ')}` : ''}
+    LIMIT ? OFFSET ?
+  `);
+  const pageParams = [...params, paging.limit, paging.offset];
+  const rows = paging.stream ? streamRows(stmt, pageParams) : stmt.all(...pageParams);
+
+  const count = Math.max(0, Math.min(paging.limit, total - paging.offset));
+  const nextOffset = paging.offset + count;
+
+  return {
+    rows,
+    meta: {
+      count,
+      total,
+      limit: paging.limit,
+      offset: paging.offset,
+      next: nextOffset < total ? encodeCursor(nextOffset) : null
+    }
+  };
+}
+
+// Helper: Look up a list by its encoded name
+export function findList(db, listNameEncoded) {
+  const list = db.prepare('SELECT list_id, display_name FROM lists WHERE list_name_encoded = ?')
+    .get(listNameEncoded);
+
+  if (!list) {
+    throw new NotFoundError(`List not found: ${listNameEncoded}`);
+  }
+
+  return list;
+}
+
+// Query: Get all lists
+export function queryLists(db, paging) {
+  const { rows, meta } = paginate(db, `
+    SELECT
+      list_id,
+      list_name_encoded,
+      display_name,
+      oldest_published_date,
+      newest_published_date,
+      updated,
+      (SELECT COUNT(DISTINCT published_date) FROM rankings WHERE list_id = lists.list_id) as total_editions,
+      (SELECT MIN(published_date) FROM rankings WHERE list_id = lists.list_id) as first_edition,
+      (SELECT MAX(published_date) FROM rankings WHERE list_id = lists.list_id) as latest_edition
+    FROM lists
+  `, [], paging, ['display_name']);
+
+  return {
+    ...meta,
+    lists: rows
+  };
+}
+
+// Helper: The ranked books of one list edition, a page at a time
+function listEditionBooks(db, listId, publishedDate, paging) {
+  return paginate(db, `
+    SELECT
+      r.rank,
+      r.rank_last_week,
+      r.weeks_on_list,
+      r.published_date,
+      r.bestsellers_date,
+      b.title,
+      b.author,
+      b.publisher,
+      b.description,
+      b.price,
+      b.primary_isbn13,
+      b.primary_isbn10,
+      b.book_image,
+      b.amazon_product_url
+    FROM rankings r
+    JOIN books b ON r.book_id = b.book_id
+    WHERE r.list_id = ? AND r.published_date = ?
+  `, [listId, publishedDate], paging, ['rank']);
+}
+
+// Query: Get current bestsellers for a list
+export function queryCurrent(db, listNameEncoded, paging) {
+  const list = findList(db, listNameEncoded);
+
+  // Get the most recent published date for this list
+  const latestDate = db.prepare(`
+    SELECT MAX(published_date) as date
+    FROM rankings
+    WHERE list_id = ?
+  `).get(list.list_id);
+
+  if (!latestDate || !latestDate.date) {
+    return {
+      list: list.display_name,
+      published_date: null,
+      books: []
+    };
+  }
+
+  // Get books for that date
+  const { rows, meta } = listEditionBooks(db, list.list_id, latestDate.date, paging);
+
+  return {
+    list: list.display_name,
+    list_name_encoded: listNameEncoded,
+    published_date: latestDate.date,
+    ...meta,
+    books: rows
+  };
+}
+
+// Query: Get historical bestsellers for a list on a specific date
+export function queryHistory(db, listNameEncoded, date, paging) {
+  const list = findList(db, listNameEncoded);
+
+  // If no date specified, get the most recent
+  let targetDate = date;
+  if (!targetDate) {
+    const latestDate = db.prepare(`
+      SELECT MAX(published_date) as date
+      FROM rankings
+      WHERE list_id = ?
+    `).get(list.list_id);
+    targetDate = latestDate?.date;
+  }
+
+  if (!targetDate) {
+    return {
+      list: list.display_name,
+      published_date: null,
+      books: []
+    };
+  }
+
+  const { rows, meta } = listEditionBooks(db, list.list_id, targetDate, paging);
+
+  if (meta.total === 0) {
+    throw new NotFoundError(`No edition of ${listNameEncoded} on ${targetDate}`);
+  }
+
+  return {
+    list: list.display_name,
+    list_name_encoded: listNameEncoded,
+    published_date: targetDate,
+    ...meta,
+    books: rows
+  };
+}
+
+// Helper: Find a book by its primary ISBN, or any ISBN recorded for it
+function findBookByIsbn(db, isbn) {
+  return db.prepare(`
+    SELECT * FROM books
+    WHERE primary_isbn13 = ? OR primary_isbn10 = ?
+    UNION ALL
+    SELECT b.* FROM isbns i
+    JOIN books b ON i.book_id = b.book_id
+    WHERE i.isbn13 = ? OR i.isbn10 = ?
+    LIMIT 1
+  `).get(isbn, isbn, isbn, isbn);
+}
+
+// Query: Get book details and its work's combined ranking history by ISBN
+export function queryBook(db, isbn, paging) {
+  const book = findBookByIsbn(db, isbn);
+
+  if (!book) {
+    throw new NotFoundError(`Book not found with ISBN: ${isbn}`);
+  }
+
+  const work = db.prepare('SELECT work_id, title, author FROM works WHERE work_id = ?')
+    .get(book.work_id);
+
+  // Every edition of the work (just this book if it has no work yet)
+  const editions = db.prepare(`
+    SELECT
+      b.book_id,
+      b.primary_isbn13,
+      b.primary_isbn10,
+      b.title,
+      b.author,
+      b.publisher,
+      b.book_image,
+      MIN(r.published_date) as first_appearance,
+      MAX(r.published_date) as last_appearance,
+      COUNT(r.ranking_id) as appearances
+    FROM books b
+    LEFT JOIN rankings r ON b.book_id = r.book_id
+    WHERE b.work_id = ? OR b.book_id = ?
+    GROUP BY b.book_id
+    ORDER BY first_appearance
+  `).all(book.work_id, book.book_id);
+
+  const bookIds = JSON.stringify(editions.map(e => e.book_id));
+
+  // Get all ISBNs for the work
+  const isbns = db.prepare(`
+    SELECT DISTINCT isbn13, isbn10 FROM isbns
+    WHERE book_id IN (SELECT value FROM json_each(?))
+  `).all(bookIds);
+
+  // Get ranking history across every edition, a page at a time
+  const { rows, meta } = paginate(db, `
+    SELECT
+      l.display_name as list_name,
+      l.list_name_encoded,
+      r.published_date,
+      r.bestsellers_date,
+      r.rank,
+      r.rank_last_week,
+      r.weeks_on_list,
+      b.primary_isbn13
+    FROM rankings r
+    JOIN lists l ON r.list_id = l.list_id
+    JOIN books b ON r.book_id = b.book_id
+    WHERE r.book_id IN (SELECT value FROM json_each(?))
+  `, [bookIds], paging, ['-published_date', 'list_name', 'rank']);
+
+  const listsAppeared = db.prepare(`
+    SELECT COUNT(DISTINCT list_id) as count FROM rankings
+    WHERE book_id IN (SELECT value FROM json_each(?))
+  `).get(bookIds).count;
+
+  // Get NYT reviews of any edition
+  const seenUrls = new Set();
+  const reviews = editions.flatMap(e => getBookReviews(db, e.book_id))
+    .filter(review => !seenUrls.has(review.url) && seenUrls.add(review.url))
+    .sort((a, b) => (b.publication_dt || '').localeCompare(a.publication_dt || ''));
+
+  return {
+    book,
+    work: work || null,
+    editions,
+    isbns,
+    ...meta,
+    ranking_history: rows,
+    total_appearances: meta.total,
+    lists_appeared: listsAppeared,
+    reviews
+  };
+}
+
+// Helper: Get the stored reviews for a book
+function getBookReviews(db, bookId) {
+  return db.prepare(`
+    SELECT url, publication_dt, byline, book_title, book_author, summary, isbn13
+    FROM reviews
+    WHERE book_id = ?
+    ORDER BY publication_dt DESC
+  `).all(bookId);
+}
+
+// Query: Get reviews for a book by ISBN, or the latest reviews
+export function queryReviews(db, isbn, paging) {
+  if (!isbn) {
+    const { rows, meta } = paginate(db, `
+      SELECT
+        rv.url, rv.publication_dt, rv.byline, rv.book_title, rv.book_author, rv.summary, rv.isbn13,
+        b.title, b.author, b.primary_isbn13
+      FROM reviews rv
+      LEFT JOIN books b ON rv.book_id = b.book_id
+    `, [], paging, ['-publication_dt', 'url']);
+
+    return {
+      ...meta,
+      reviews: rows
+    };
+  }
+
+  const found = findBookByIsbn(db, isbn);
+
+  if (!found) {
+    throw new NotFoundError(`Book not found with ISBN: ${isbn}`);
+  }
+
+  const { book_id, title, author, primary_isbn13, primary_isbn10 } = found;
+  const book = { book_id, title, author, primary_isbn13, primary_isbn10 };
+
+  const { rows, meta } = paginate(db, `
+    SELECT url, publication_dt, byline, book_title, book_author, summary, isbn13
+    FROM reviews
+    WHERE book_id = ?
+  `, [book.book_id], paging, ['-publication_dt', 'url']);
+
+  return {
+    book,
+    ...meta,
+    reviews: rows
+  };
+}
+
+// Query: Get database statistics, plus analytics over the rankings matching
+// the list/category/date filters
+export function queryStats(db, query) {
+  const filters = parseStatsFilters(db, query);
+  registerNameFunctions(db);
+
+  const stats = db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM lists) as lists_count,
+      (SELECT COUNT(*) FROM books) as books_count,
+      (SELECT COUNT(*) FROM works) as works_count,
+      (SELECT COUNT(*) FROM rankings) as rankings_count,
+      (SELECT COUNT(*) FROM reviews) as reviews_count,
+      (SELECT COUNT(DISTINCT published_date) FROM rankings) as unique_dates,
+      (SELECT MIN(published_date) FROM rankings) as oldest_date,
+      (SELECT MAX(published_date) FROM rankings) as newest_date,
+      (SELECT COUNT(*) FROM sync_log WHERE status = 'success') as successful_syncs,
+      (SELECT MAX(created_at) FROM sync_log WHERE status = 'success') as last_sync
+  `).get();
+
+  // Every list entry the filters cover, as a CTE
+  const entries = `
+    entries AS MATERIALIZED (
+      SELECT r.list_id, r.published_date, r.rank, r.weeks_on_list, b.work_id, b.publisher,
+        ${STATS_PERIODS[filters.period]} as period
+      FROM rankings r
+      JOIN books b ON r.book_id = b.book_id
+      WHERE r.list_id IN (SELECT value FROM json_each(?))
+        AND r.published_date BETWEEN ? AND ?
+    )
+  `;
+  const params = [JSON.stringify(filters.listIds), filters.from || '0000-01-01', filters.to || '9999-12-31'];
+
+  // Tenure: editions a book spent on a list within the range, averaged over
+  // each book and list it was on
+  const totals = db.prepare(`
+    WITH ${entries},
+    tenures AS (
+      SELECT COUNT(DISTINCT published_date) as weeks FROM entries GROUP BY list_id, work_id
+    )
+    SELECT
+      COUNT(DISTINCT list_id) as lists,
+      COUNT(DISTINCT list_id || ' ' || published_date) as editions,
+      COUNT(*) as entries,
+      COUNT(DISTINCT work_id) as titles,
+      COUNT(DISTINCT CASE WHEN rank = 1 THEN work_id END) as number_one_titles,
+      (SELECT ROUND(AVG(weeks), 2) FROM tenures) as avg_tenure_weeks
+    FROM entries
+  `).get(...params);
+
+  // Debuts: a book's first appearance on a list. A list's oldest stored
+  // edition is skipped, since what was on the list before it is unknown.
+  // First appearances are found once per book and list over the list's whole
+  // history (not just the range), then matched to the entries.
+  const debuts = db.prepare(`
+    WITH ${entries},
+    first_seen AS MATERIALIZED (
+      SELECT r.list_id, b.work_id, MIN(r.published_date) as published_date
+      FROM rankings r
+      JOIN books b ON r.book_id = b.book_id
+      WHERE r.list_id IN (SELECT value FROM json_each(?))
+      GROUP BY r.list_id, b.work_id
+    ),
+    list_starts AS (
+      SELECT list_id, MIN(published_date) as published_date FROM first_seen GROUP BY list_id
+    ),
+    firsts AS (
+      SELECT e.list_id, e.work_id, e.published_date, MIN(e.rank) as rank
+      FROM entries e
+      JOIN first_seen f
+        ON f.list_id = e.list_id AND f.work_id = e.work_id AND f.published_date = e.published_date
+      JOIN list_starts s ON s.list_id = e.list_id
+      WHERE e.published_date > s.published_date
+      GROUP BY e.list_id, e.work_id, e.published_date
+    )
+    SELECT COUNT(*) as debuts, COUNT(CASE WHEN rank = 1 THEN 1 END) as debuts_at_number_one
+    FROM firsts
+  `).get(...params, params[0]);
+
+  // Turnover: books on each edition that weren't on the list's previous one
+  // (which may fall before the range)
+  const turnover = db.prepare(`
+    WITH ${entries},
+    list_works AS MATERIALIZED (
+      SELECT DISTINCT r.list_id, r.published_date, b.work_id
+      FROM rankings r
+      JOIN books b ON r.book_id = b.book_id
+      WHERE r.list_id IN (SELECT value FROM json_each(?))
+    ),
+    list_dates AS MATERIALIZED (
+      SELECT list_id, published_date,
+        LAG(published_date) OVER (PARTITION BY list_id ORDER BY published_date) as previous_date
+      FROM (SELECT DISTINCT list_id, published_date FROM list_works)
+    ),
+    changes AS (
+      SELECT COUNT(*) as books, COUNT(*) - COUNT(p.work_id) as new_books
+      FROM entries e
+      JOIN list_dates d ON d.list_id = e.list_id AND d.published_date = e.published_date
+      LEFT JOIN list_works p
+        ON p.list_id = e.list_id AND p.published_date = d.previous_date AND p.work_id = e.work_id
+      WHERE d.previous_date IS NOT NULL
+      GROUP BY e.list_id, e.published_date
+    )
+    SELECT
+      ROUND(AVG(new_books), 2) as avg_new_per_week,
+      ROUND(AVG(new_books * 1.0 / books), 4) as turnover_rate
+    FROM changes
+  `).get(...params, params[0]);
+
+  const numberOnes = db.prepare(`
+    WITH ${entries}
+    SELECT w.title, w.author, COUNT(DISTINCT e.published_date) as weeks_at_number_one,
+      COUNT(DISTINCT e.list_id) as lists_appeared
+    FROM entries e
+    JOIN works w ON w.work_id = e.work_id
+    WHERE e.rank = 1
+    GROUP BY e.work_id
+    ORDER BY weeks_at_number_one DESC, w.title
+    LIMIT ${STATS_TOP}
+  `).all(...params);
+
+  // Top books by weeks on any list (a week on two lists counts once)
+  const topBooks = db.prepare(`
+    WITH ${entries}
+    SELECT
+      w.title,
+      w.author,
+      COUNT(DISTINCT e.published_date) as total_weeks,
+      MAX(e.weeks_on_list) as max_weeks,
+      COUNT(DISTINCT e.list_id) as lists_appeared
+    FROM entries e
+    JOIN works w ON w.work_id = e.work_id
+    GROUP BY e.work_id
+    ORDER BY total_weeks DESC, max_weeks DESC, w.title
+    LIMIT ${STATS_TOP}
+  `).all(...params);
+
+  const publisherRows = db.prepare(`
+    WITH ${entries}
+    SELECT period, normalize_publisher(publisher) as publisher_key, publisher, COUNT(*) as entries
+    FROM entries
+    GROUP BY period, publisher_key, publisher
+    ORDER BY period
+  `).all(...params);
+
+  return {
+    stats,
+    filters: {
+      lists: filters.lists,
+      category: filters.category,
+      from: filters.from,
+      to: filters.to,
+      period: filters.period,
+      publishers: filters.publishers
+    },
+    summary: {
+      ...totals,
+      ...debuts,
+      debut_at_number_one_rate: ratio(debuts.debuts_at_number_one, debuts.debuts),
+      ...turnover
+    },
+    number_ones: numberOnes,
+    top_books_by_longevity: topBooks,
+    publisher_share: publisherShare(publisherRows, filters.publishers)
+  };
+}
+
+// Helper: Read and check the stats filters, resolving list and category to list ids
+function parseStatsFilters(db, query) {
+  const names = parseNames(param(query.list));
+  const category = param(query.category) || null;
+  const period = param(query.period) || 'year';
+  const from = parseDate('from', query.from);
+  const to = parseDate('to', query.to);
+
+  if (from && to && from > to) {
+    throw new InvalidParameterError('Invalid parameter: from is after to');
+  }
+
+  if (category && !STATS_CATEGORIES[category]) {
+    throw new InvalidParameterError(
+      `Invalid parameter: category must be one of ${Object.keys(STATS_CATEGORIES).join(', ')}`
+    );
+  }
+
+  if (!STATS_PERIODS[period]) {
+    throw new InvalidParameterError(
+      `Invalid parameter: period must be one of ${Object.keys(STATS_PERIODS).join(', ')}`
+    );
+  }
+
+  names.forEach(name => findList(db, name));
+
+  const lists = db.prepare('SELECT list_id, list_name_encoded FROM lists ORDER BY list_name_encoded').all()
+    .filter(list => names.length === 0 || names.includes(list.list_name_encoded))
+    .filter(list => !category || STATS_CATEGORIES[category].test(list.list_name_encoded));
+
+  return {
+    listIds: lists.map(list => list.list_id),
+    lists: lists.map(list => list.list_name_encoded),
+    category,
+    from,
+    to,
+    period,
+    publishers: parseNames(param(query.publishers))
+  };
+}
+
+// Helper: Each period's list entries split by publisher: the biggest
+// publishers' shares, how concentrated the period was (top five's share and
+// the Herfindahl-Hirschman index, 0-10000) and the share of any publishers
+// asked for by name. Spellings of a publisher are combined under the most
+// used one; entries with no publisher count only towards the period total.
+function publisherShare(rows, selected) {
+  const selectedKeys = new Set(selected.map(normalizePublisher));
+  const periods = new Map();
+
+  for (const row of rows) {
+    if (!periods.has(row.period)) {
+      periods.set(row.period, { entries: 0, publishers: new Map() });
+    }
+    const period = periods.get(row.period);
+    period.entries += row.entries;
+
+    if (!row.publisher_key) continue;
+
+    if (!period.publishers.has(row.publisher_key)) {
+      period.publishers.set(row.publisher_key, { publisher: row.publisher, spellingEntries: 0, entries: 0 });
+    }
+    const publisher = period.publishers.get(row.publisher_key);
+    publisher.entries += row.entries;
+    if (row.entries > publisher.spellingEntries) {
+      publisher.publisher = row.publisher;
+      publisher.spellingEntries = row.entries;
+    }
+  }
+
+  return [...periods].map(([period, { entries, publishers }]) => {
+    const ranked = [...publishers]
+      .map(([key, publisher]) => ({ key, publisher: publisher.publisher, entries: publisher.entries }))
+      .sort((a, b) => b.entries - a.entries || a.key.localeCompare(b.key));
+    const sum = list => list.reduce((total, publisher) => total + publisher.entries, 0);
+
+    return {
+      period,
+      entries,
+      publishers_count: ranked.length,
+      top5_share: ratio(sum(ranked.slice(0, 5)), entries),
+      hhi: Math.round(ranked.reduce((total, p) => total + (p.entries / entries * 100) ** 2, 0)),
+      ...(selectedKeys.size > 0 && {
+        selected_share: ratio(sum(ranked.filter(p => selectedKeys.has(p.key))), entries)
+      }),
+      publishers: ranked.slice(0, STATS_TOP).map(({ publisher, entries: count }) => ({
+        publisher,
+        entries: count,
+        share: ratio(count, entries)
+      }))
+    };
+  });
+}
+
+// Helper: part / whole to four decimal places (null when there's no whole)
+function ratio(part, whole) {
+  return whole ? Math.round(part / whole * 10000) / 10000 : null;
+}
+
+// Query: Get all available dates for a list
+export function queryDates(db, listNameEncoded, paging) {
+  const list = findList(db, listNameEncoded);
+
+  const { rows, meta } = paginate(db, `
+    SELECT published_date, COUNT(*) as books_count
+    FROM rankings
+    WHERE list_id = ?
+    GROUP BY published_date
+  `, [list.list_id], paging, ['-published_date']);
+
+  return {
+    list: list.display_name,
+    list_name_encoded: listNameEncoded,
+    ...meta,
+    dates: rows
+  };
+}
+
+// Query: What changed on a list from the previous edition to this one
+export function queryDiff(db, listNameEncoded, date) {
+  const list = findList(db, listNameEncoded);
+
+  const publishedDate = date || db.prepare('SELECT MAX(published_date) as date FROM rankings WHERE list_id = ?')
+    .get(list.list_id).date;
+
+  // Books are compared by work, so a new format of the same book isn't a debut
+  const entriesStmt = db.prepare(`
+    SELECT
+      r.rank,
+      r.rank_last_week,
+      r.weeks_on_list,
+      b.work_id,
+      b.title,
+      b.author,
+      b.publisher,
+      b.primary_isbn13,
+      b.book_image
+    FROM rankings r
+    JOIN books b ON r.book_id = b.book_id
+    WHERE r.list_id = ? AND r.published_date = ?
+    ORDER BY r.rank
+  `);
+
+  const current = publishedDate ? entriesStmt.all(list.list_id, publishedDate) : [];
+
+  if (current.length === 0) {
+    throw new NotFoundError(`No edition of ${listNameEncoded} on ${publishedDate || 'any date'}`);
+  }
+
+  const previousDate = db.prepare(`
+    SELECT MAX(published_date) as date FROM rankings
+    WHERE list_id = ? AND published_date < ?
+  `).get(list.list_id, publishedDate).date;
+
+  const previous = previousDate ? entriesStmt.all(list.list_id, previousDate) : [];
+  const previousByWork = new Map(previous.map(entry => [entry.work_id, entry]));
+  const currentWorks = new Set(current.map(entry => entry.work_id));
+
+  const seenBeforeStmt = db.prepare(`
+    SELECT 1 FROM rankings r
+    JOIN books b ON r.book_id = b.book_id
+    WHERE r.list_id = ? AND b.work_id = ? AND r.published_date < ?
+    LIMIT 1
+  `);
+
+  const debuts = [];
+  const returning = [];
+  const climbers = [];
+  const fallers = [];
+  const unchanged = [];
+
+  for (const { work_id: workId, ...entry } of current) {
+    const before = previousByWork.get(workId);
+
+    if (!before) {
+      const row = { ...entry, previous_rank: null, change: null };
+      (seenBeforeStmt.get(list.list_id, workId, publishedDate) ? returning : debuts).push(row);
+      continue;
+    }
+
+    const row = { ...entry, previous_rank: before.rank, change: before.rank - entry.rank };
+    (row.change > 0 ? climbers : row.change < 0 ? fallers : unchanged).push(row);
+  }
+
+  const dropped = previous
+    .filter(entry => !currentWorks.has(entry.work_id))
+    .map(({ work_id: workId, rank, rank_last_week: rankLastWeek, ...entry }) => ({ ...entry, rank: null, previous_rank: rank, change: null }));
+
+  // Biggest moves first, ties by current rank
+  climbers.sort((a, b) => b.change - a.change || a.rank - b.rank);
+  fallers.sort((a, b) => a.change - b.change || a.rank - b.rank);
+
+  return {
+    list: list.display_name,
+    list_name_encoded: listNameEncoded,
+    published_date: publishedDate,
+    previous_published_date: previousDate,
+    summary: {
+      books: current.length,
+      debuts: debuts.length,
+      returning: returning.length,
+      dropped: dropped.length,
+      climbers: climbers.length,
+      fallers: fallers.length,
+      unchanged: unchanged.length
+    },
+    debuts,
+    returning,
+    dropped,
+    climbers,
+    fallers,
+    unchanged
+  };
+}
+
+// Query: Rank series of books on one list, aligned on the list's editions
+export function queryTimeseries(db, listNameEncoded, query, paging) {
+  const list = findList(db, listNameEncoded);
+  const from = parseDate('from', query.from) || '0000-01-01';
+  const to = parseDate('to', query.to) || '9999-12-31';
+  const isbns = parseNames(param(query.isbns));
+
+  if (from > to) {
+    throw new InvalidParameterError('Invalid parameter: from is after to');
+  }
+
+  if (isbns.length > MAX_SERIES_ISBNS) {
+    throw new InvalidParameterError(`Invalid parameter: isbns takes at most ${MAX_SERIES_ISBNS} ISBNs`);
+  }
+
+  // The x axis: every edition of the list in the range
+  const dates = db.prepare(`
+    SELECT DISTINCT published_date FROM rankings
+    WHERE list_id = ? AND published_date BETWEEN ? AND ?
+    ORDER BY published_date
+  `).all(list.list_id, from, to).map(r => r.published_date);
+
+  // One series per work, so a book re-issued under a new ISBN stays one line
+  let works;
+  let meta = {};
+  const notFound = [];
+
+  if (isbns.length > 0) {
+    works = [];
+    for (const isbn of isbns) {
+      const book = findBookByIsbn(db, isbn);
+      if (book) {
+        works.push({ isbn, work_id: book.work_id, book_id: book.book_id });
+      } else {
+        notFound.push(isbn);
+      }
+    }
+  } else {
+    // Every work on the list in the range, best performers first
+    const page = paginate(db, `
+      SELECT
+        b.work_id,
+        MIN(r.rank) as best_rank,
+        MIN(r.published_date) as first_date,
+        COUNT(DISTINCT r.published_date) as weeks_in_range
+      FROM rankings r
+      JOIN books b ON r.book_id = b.book_id
+      WHERE r.list_id = ? AND r.published_date BETWEEN ? AND ?
+      GROUP BY b.work_id
+    `, [list.list_id, from, to], { ...paging, fields: [], stream: false }, ['best_rank', '-weeks_in_range', 'first_date', 'work_id']);
+
+    works = page.rows.map(row => ({ isbn: null, work_id: row.work_id, book_id: null }));
+    meta = page.meta;
+  }
+
+  const historyStmt = db.prepare(`
+    SELECT r.published_date, r.rank, r.weeks_on_list, b.primary_isbn13, b.title, b.author
+    FROM rankings r
+    JOIN books b ON r.book_id = b.book_id
+    WHERE r.list_id = ? AND (b.work_id = ? OR b.book_id = ?)
+    ORDER BY r.published_date, r.rank
+  `);
+
+  const series = works.map(({ isbn, work_id: workId, book_id: bookId }) => {
+    const history = historyStmt.all(list.list_id, workId, bookId);
+    // The same work twice in one edition (two formats) charts at its best rank
+    const rankOn = new Map();
+    for (const row of history) {
+      if (!rankOn.has(row.published_date)) {
+        rankOn.set(row.published_date, row.rank);
+      }
+    }
+
+    const ranks = dates.map(date => rankOn.get(date) ?? null);
+    const debut = history[0];
+    const peak = history.reduce((best, row) => (!best || row.rank < best.rank ? row : best), null);
+    const latest = history[history.length - 1];
+
+    return {
+      isbn: isbn || latest?.primary_isbn13 || null,
+      work_id: workId,
+      title: latest?.title ?? null,
+      author: latest?.author ?? null,
+      ranks,
+      weeks_in_range: ranks.filter(rank => rank !== null).length,
+      debut_date: debut?.published_date ?? null,
+      debut_rank: debut?.rank ?? null,
+      peak_rank: peak?.rank ?? null,
+      peak_date: peak?.published_date ?? null,
+      total_weeks: rankOn.size,
+      weeks_on_list: history.reduce((max, row) => Math.max(max, row.weeks_on_list || 0), 0) || null
+    };
+  });
+
+  return {
+    list: list.display_name,
+    list_name_encoded: listNameEncoded,
+    from: dates[0] ?? null,
+    to: dates[dates.length - 1] ?? null,
+    ...meta,
+    dates,
+    series,
+    ...(notFound.length > 0 ? { not_found: notFound } : {})
+  };
+}
+
+// Fields the search query can be narrowed to (the columns of books_fts)
+const SEARCH_FIELDS = ['title', 'author', 'publisher', 'description'];
+
+// Helper: SQL for per-author or per-publisher totals, one row per name_key,
+// over the credits matching `where`. The displayed name is the spelling used
+// on the most books.
+function creatorTotalsSql(creator, where = '') {
+  return `
+    WITH credits AS MATERIALIZED (SELECT * FROM (${creator.credits}) ${where}),
+    names AS (
+      SELECT name_key, name,
+        ROW_NUMBER() OVER (PARTITION BY name_key ORDER BY COUNT(*) DESC, name) as position
+      FROM credits
+      GROUP BY name_key, name
+    ),
+    totals AS (
+      SELECT
+        c.name_key as ${creator.field}_key,
+        COUNT(DISTINCT r.published_date) as total_weeks,
+        COUNT(*) as list_entries,
+        COUNT(DISTINCT c.work_id) as titles,
+        COUNT(DISTINCT CASE WHEN r.rank = 1 THEN c.work_id END) as number_one_titles,
+        COUNT(DISTINCT CASE WHEN r.rank = 1 THEN r.published_date END) as weeks_at_number_one,
+        COUNT(DISTINCT r.list_id) as lists_appeared,
+        MIN(r.published_date) as first_date,
+        MAX(r.published_date) as last_date
+      FROM credits c
+      JOIN rankings r ON r.book_id = c.book_id
+      GROUP BY c.name_key
+    )
+    SELECT n.name as ${creator.field}, t.*
+    FROM totals t
+    JOIN names n ON n.name_key = t.${creator.field}_key AND n.position = 1
+  `;
+}
+
+// Query: Author or publisher leaderboard
+export function queryCreators(db, creator, paging) {
+  registerNameFunctions(db);
+
+  const { rows, meta } = paginate(db, creatorTotalsSql(creator), [], paging,
+    ['-total_weeks', '-number_one_titles', '-titles', `${creator.field}_key`]);
+
+  return {
+    ...meta,
+    [`${creator.field}s`]: rows
+  };
+}
+
+// Query: One author's or publisher's totals and every title they have had on a list
+export function queryCreatorProfile(db, creator, name, paging) {
+  registerNameFunctions(db);
+
+  const nameKey = creator.key(name);
+  const totals = db.prepare(creatorTotalsSql(creator, 'WHERE name_key = ?')).get(nameKey);
+
+  if (!totals) {
+    throw new NotFoundError(`${creator.label} not found: ${name}`);
+  }
+
+  const { rows, meta } = paginate(db, `
+    WITH credits AS MATERIALIZED (${creator.credits})
+    SELECT
+      w.work_id,
+      w.title,
+      w.author,
+      MIN(r.published_date) as first_date,
+      MAX(r.published_date) as last_date,
+      COUNT(DISTINCT r.published_date) as total_weeks,
+      MIN(r.rank) as peak_rank,
+      COUNT(DISTINCT CASE WHEN r.rank = 1 THEN r.published_date END) as weeks_at_number_one,
+      json_group_array(DISTINCT l.list_name_encoded) as lists
+    FROM credits c
+    JOIN works w ON w.work_id = c.work_id
+    JOIN rankings r ON r.book_id = c.book_id
+    JOIN lists l ON l.list_id = r.list_id
+    WHERE c.name_key = ?
+    GROUP BY w.work_id
+  `, [nameKey], paging, ['first_date', 'work_id']);
+
+  const result = {
+    ...totals,
+    ...meta,
+    title_history: mapRows(rows, row => (row.lists === undefined ? row : { ...row, lists: JSON.parse(row.lists) }))
+  };
+
+  if (creator.field === 'author') {
+    // Everyone credited alongside them, most shared titles first
+    result.co_authors = db.prepare(`
+      WITH credits AS MATERIALIZED (${creator.credits})
+      SELECT MIN(other.name) as author, other.name_key as author_key, COUNT(DISTINCT other.work_id) as shared_titles
+      FROM credits c
+      JOIN credits other ON other.book_id = c.book_id AND other.name_key <> c.name_key
+      WHERE c.name_key = ?
+      GROUP BY other.name_key
+      ORDER BY shared_titles DESC, author_key
+    `).all(nameKey);
+  }
+
+  return result;
+}
+
+// Helper: Translate a search box query into an FTS5 MATCH expression. Every
+// term is quoted, so user input can't inject FTS5 syntax:
+//   night ferry         -> "night" AND "ferry"
+//   "night ferry"       -> "night ferry"
+//   ferr*               -> "ferr" *
+//   author:quill        -> author : "quill"
+//   salt OR glass       -> "salt" OR "glass"
+function buildMatchQuery(searchTerm) {
+  const parts = [];
+  const pattern = /(?:([a-z]+):)?(?:"([^"]*)"?|([^\s"]+))/gi;
+
+  for (const [, field, phrase, word] of String(searchTerm).matchAll(pattern)) {
+    if (!field && word === 'OR') {
+      parts.push('OR');
+      continue;
+    }
+
+    const column = field && SEARCH_FIELDS.includes(field.toLowerCase()) ? field.toLowerCase() : null;
+    // An unknown "field:" is just part of the text (e.g. a time like 10:30)
+    let text = phrase ?? word;
+    if (field && !column) {
+      text = `${field}:${text}`;
+    }
+
+    const prefix = phrase === undefined && text.endsWith('*');
+    text = text.replace(/\*+$/, '');
+
+    // Nothing the tokenizer would index (punctuation only)
+    if (!/[\p{L}\p{N}]/u.test(text)) {
+      continue;
+    }
+
+    const expression = `"${text.replace(/"/g, '""')}"${prefix ? ' *' : ''}`;
+    parts.push(column ? `${column} : ${expression}` : expression);
+  }
+
+  // OR only joins two terms; anything else is implicitly AND
+  const expression = parts
+    .filter((part, i) => part !== 'OR' || (i > 0 && i < parts.length - 1 && parts[i - 1] !== 'OR' && parts[i + 1] !== 'OR'))
+    .reduce((joined, part, i, kept) => {
+      if (i === 0) {
+        return part;
+      }
+      return part === 'OR' || kept[i - 1] === 'OR' ? `${joined} ${part}` : `${joined} AND ${part}`;
+    }, '');
+
+  if (!expression) {
+    throw new InvalidParameterError('Invalid parameter: q has nothing to search for');
+  }
+
+  return expression;
+}
+
+// Query: Full-text search for books, most relevant first
+export function querySearch(db, searchTerm, paging) {
+  const matchQuery = buildMatchQuery(searchTerm);
+
+  // bm25 weights: title matches count most, then author, publisher, description
+  // (the matches are materialized: ranking functions only work in the query
+  // that does the MATCH, not once SQLite flattens it into the paging query)
+  const { rows, meta } = paginate(db, `
+    WITH m AS MATERIALIZED (
+      SELECT
+        rowid as book_id,
+        -bm25(books_fts, 10.0, 5.0, 2.0, 1.0) as relevance,
+        highlight(books_fts, 0, '<mark>', '</mark>') as title_highlight,
+        snippet(books_fts, -1, '<mark>', '</mark>', '…', 16) as snippet
+      FROM books_fts
+      WHERE books_fts MATCH ?
+    )
+    SELECT
+      b.book_id,
+      b.title,
+      b.author,
+      b.publisher,
+      b.description,
+      b.primary_isbn13,
+      b.primary_isbn10,
+      b.book_image,
+      m.relevance,
+      m.title_highlight,
+      m.snippet,
+      COUNT(DISTINCT r.list_id) as lists_count,
+      MAX(r.weeks_on_list) as max_weeks_on_list,
+      MIN(r.published_date) as first_appearance,
+      MAX(r.published_date) as last_appearance
+    FROM m
+    JOIN books b ON b.book_id = m.book_id
+    LEFT JOIN rankings r ON b.book_id = r.book_id
+    GROUP BY b.book_id
+  `, [matchQuery], paging, ['-relevance', '-max_weeks_on_list', 'book_id']);
+
+  return {
+    query: searchTerm,
+    match: matchQuery,
+    ...meta,
+    books: rows
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Response Cache
+ *
+ * A TTL cache of upstream response bodies for the NYT proxy. Entries live in
+ * memory for as long as the function instance stays warm, and optionally in
+ * a SQLite file (NYT_PROXY_CACHE_PATH, e.g. /tmp/nyt-proxy-cache.db on
+ * Vercel) so they outlive the instance and are shared by local processes.
+ */
+
+import Database from 'better-sqlite3';
+import { systemClock } from '../../scripts/lib/sync.js';
+
+// Entries kept in memory before the oldest are dropped
+const MAX_MEMORY_ENTRIES = 500;
+
+// Create a cache; path is the SQLite file to keep entries in as well (none
+// by default)
+export function createResponseCache({ path = null, clock = systemClock } = {}) {
+  const memory = new Map();
+  let db = null;
+
+  if (path) {
+    db = new Database(path);
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS proxy_cache (
+        cache_key TEXT PRIMARY KEY,
+        body TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      )
+    `);
+  }
+
+  return {
+    // The cached body for a key, or null if there is none or it has expired
+    get(key) {
+      const now = clock.now().getTime();
+      const entry = memory.get(key);
+
+      if (entry && entry.expiresAt > now) {
+        return entry.body;
+      }
+      memory.delete(key);
+
+      if (db) {
+        const row = db.prepare('SELECT body, expires_at FROM proxy_cache WHERE cache_key = ? AND expires_at > ?')
+          .get(key, now);
+
+        if (row) {
+          memory.set(key, { body: row.body, expiresAt: row.expires_at });
+          return row.body;
+        }
+      }
+
+      return null;
+    },
+
+    // Keep a body for ttl seconds
+    set(key, body, ttl) {
+      const now = clock.now().getTime();
+      const expiresAt = now + ttl * 1000;
+
+      memory.delete(key);
+      if (memory.size >= MAX_MEMORY_ENTRIES) {
+        memory.delete(memory.keys().next().value);
+      }
+      memory.set(key, { body, expiresAt });
+
+      if (db) {
+        db.prepare('DELETE FROM proxy_cache WHERE expires_at <= ?').run(now);
+        db.prepare(`
+          INSERT INTO proxy_cache (cache_key, body, expires_at) VALUES (?, ?, ?)
+          ON CONFLICT(cache_key) DO UPDATE SET body = excluded.body, expires_at = excluded.expires_at
+        `).run(key, body, expiresAt);
+      }
+    },
+
+    close() {
+      db?.close();
+    }
+  };
+}
@@ -0,0 +1,406 @@
+/**
+ * API Routes
+ *
+ * The v1 REST routes over the bestsellers database, and what serving them
+ * takes: reading parameters, opening the database, and sending JSON or
+ * CSV/TSV/NDJSON. api/rest.js serves them under /api/v1, api/db-query.js
+ * keeps the old ?action= URLs as aliases of them, and openapi.js builds the
+ * OpenAPI document from these definitions, so a route's summary and
+ * parameters are its documentation.
+ *
+ * Each route has:
+ *   path     e.g. '/lists/{list}/editions/{date}', {braced} parts are path parameters
+ *   action   Its ?action= name, which also picks the rows it exports
+ *   summary  What it returns, in one line
+ *   query    Query parameters besides paging and format: [{ name, description, required }]
+ *   paged    Whether it takes limit/offset/cursor/sort/fields
+ *   run(db, params, paging)  The result; params holds path and query parameters
+ *
+ * The data only changes when a sync runs, so responses are cacheable: the
+ * latest successful sync_log entry (and the code version, so a deploy moves
+ * it on) is their ETag and Last-Modified, matching If-None-Match/
+ * If-Modified-Since requests get a 304 once the route has checked its
+ * parameters and found what they name, and Cache-Control lets browsers and
+ * the CDN keep them (serving stale ones while they revalidate).
+ */
+
+import { createHash } from 'crypto';
+import { EXPORT_FORMATS, columnsOf, exportFilename, serializeRows } from '../../scripts/lib/export.js';
+import { API_KEYS_REQUIRED, omitRateLimitHeaders } from './access.js';
+import { openDatabase } from './database.js';
+import {
+  CREATORS,
+  MAX_EXPORT_LIMIT,
+  MAX_LIMIT,
+  InvalidParameterError,
+  NotFoundError,
+  param,
+  parseDate,
+  parsePaging,
+  queryBook,
+  queryCreatorProfile,
+  queryCreators,
+  queryCurrent,
+  queryDates,
+  queryDiff,
+  queryHistory,
+  queryLists,
+  queryReviews,
+  querySearch,
+  queryStats,
+  queryTimeseries
+} from './queries.js';
+
+// Browsers keep responses 5 minutes and the CDN an hour, after which either
+// may serve them stale for a day while revalidating in the background. When
+// API keys are required only browsers may, since the CDN would serve keyed
+// responses to anyone.
+const CACHE_CONTROL = API_KEYS_REQUIRED
+  ? 'private, max-age=300'
+  : 'public, max-age=300, s-maxage=3600, stale-while-revalidate=86400';
+
+// Bump when a response's shape or a query's results change without a sync,
+// so clients don't keep the old bodies (each deployment moves ETags on too)
+const RESPONSE_VERSION = 1;
+
+// What each path parameter holds
+export const PATH_PARAMETERS = {
+  list: 'Encoded list name, e.g. hardcover-fiction',
+  date: 'Edition date (YYYY-MM-DD), or latest',
+  isbn: 'ISBN-13 or ISBN-10 of any edition of the book',
+  name: 'Name in any spelling (case, accents and punctuation are ignored)'
+};
+
+// Helper: An edition date path parameter (null for latest)
+function editionDate(value) {
+  return value === 'latest' ? null : parseDate('date', value);
+}
+
+const STATS_QUERY = [
+  { name: 'list', description: 'Only these lists (comma-separated encoded names)' },
+  { name: 'category', description: 'Only lists in this category: fiction, nonfiction, childrens, hardcover, paperback, e-book or audio' },
+  { name: 'from', description: 'Only editions on or after this date (YYYY-MM-DD)' },
+  { name: 'to', description: 'Only editions on or before this date (YYYY-MM-DD)' },
+  { name: 'period', description: 'Publisher share per year (default), quarter, month or week' },
+  { name: 'publishers', description: 'Also report the combined share of these publishers (comma-separated)' }
+];
+
+export const ROUTES = [
+  {
+    path: '/lists',
+    action: 'lists',
+    summary: 'Every list, with its number of editions and latest edition date',
+    paged: true,
+    run: (db, params, paging) => queryLists(db, paging)
+  },
+  {
+    path: '/lists/{list}',
+    action: 'current',
+    summary: 'The books on the latest edition of a list',
+    paged: true,
+    run: (db, params, paging) => queryCurrent(db, params.list, paging)
+  },
+  {
+    path: '/lists/{list}/editions',
+    action: 'dates',
+    summary: 'The date and size of every stored edition of a list',
+    paged: true,
+    run: (db, params, paging) => queryDates(db, params.list, paging)
+  },
+  {
+    path: '/lists/{list}/editions/{date}',
+    action: 'history',
+    summary: 'The books on one edition of a list',
+    paged: true,
+    run: (db, params, paging) => queryHistory(db, params.list, editionDate(params.date), paging)
+  },
+  {
+    path: '/lists/{list}/editions/{date}/diff',
+    action: 'diff',
+    summary: 'What changed from the previous edition: debuts, returning books, drop-offs, climbers and fallers',
+    run: (db, params) => queryDiff(db, params.list, editionDate(params.date))
+  },
+  {
+    path: '/lists/{list}/timeseries',
+    action: 'timeseries',
+    summary: 'Rank series per book on the list\'s editions (null while off the list), with debut, peak and total weeks',
+    query: [
+      { name: 'isbns', description: 'Only these books (comma-separated ISBNs, at most 20); otherwise every book in the range, paged' },
+      { name: 'from', description: 'First edition date (YYYY-MM-DD)' },
+      { name: 'to', description: 'Last edition date (YYYY-MM-DD)' }
+    ],
+    paged: true,
+    run: (db, params, paging) => queryTimeseries(db, params.list, params, paging)
+  },
+  {
+    path: '/books/{isbn}',
+    action: 'book',
+    summary: 'A book and its work: every edition and format, their combined ranking history, and reviews',
+    paged: true,
+    run: (db, params, paging) => queryBook(db, params.isbn, paging)
+  },
+  {
+    path: '/books/{isbn}/reviews',
+    action: 'reviews',
+    summary: 'NYT reviews of a book',
+    paged: true,
+    run: (db, params, paging) => queryReviews(db, params.isbn, paging)
+  },
+  {
+    path: '/reviews',
+    action: 'reviews',
+    summary: 'The latest NYT reviews',
+    paged: true,
+    run: (db, params, paging) => queryReviews(db, undefined, paging)
+  },
+  {
+    path: '/search',
+    action: 'search',
+    summary: 'Full-text search over titles, authors, publishers and descriptions, most relevant first',
+    query: [
+      {
+        name: 'q',
+        required: true,
+        description: 'Words (all must match), "exact phrases", prefix* matches, OR between terms, and title:/author:/publisher:/description: field filters'
+      }
+    ],
+    paged: true,
+    run: (db, params, paging) => querySearch(db, param(params.q), paging)
+  },
+  {
+    path: '/stats',
+    action: 'stats',
+    summary: 'Database statistics, and number ones, tenure, debuts, turnover and publisher share for the rankings matching the filters',
+    query: STATS_QUERY,
+    run: (db, params) => queryStats(db, params)
+  },
+  {
+    path: '/authors',
+    action: 'authors',
+    summary: 'Authors by weeks on any list, with titles, number-one titles and list breadth',
+    paged: true,
+    run: (db, params, paging) => queryCreators(db, CREATORS.author, paging)
+  },
+  {
+    path: '/authors/{name}',
+    action: 'author',
+    summary: 'One author\'s totals, titles over time and co-authors',
+    paged: true,
+    run: (db, params, paging) => queryCreatorProfile(db, CREATORS.author, params.name, paging)
+  },
+  {
+    path: '/publishers',
+    action: 'publishers',
+    summary: 'Publishers by weeks on any list, with titles, number-one titles and list breadth',
+    paged: true,
+    run: (db, params, paging) => queryCreators(db, CREATORS.publisher, paging)
+  },
+  {
+    path: '/publishers/{name}',
+    action: 'publisher',
+    summary: 'One publisher\'s totals and titles over time',
+    paged: true,
+    run: (db, params, paging) => queryCreatorProfile(db, CREATORS.publisher, params.name, paging)
+  }
+];
+
+// Each route's path as a pattern capturing its path parameters
+const ROUTE_PATTERNS = ROUTES.map(route => ({
+  route,
+  names: [...route.path.matchAll(/\{(\w+)\}/g)].map(match => match[1]),
+  pattern: new RegExp(`^${route.path.replace(/\{\w+\}/g, '([^/]+)')}/?$`)
+}));
+
+// Find the route for a path (relative to /api/v1); null if there is none
+export function matchRoute(path) {
+  for (const { route, names, pattern } of ROUTE_PATTERNS) {
+    const match = pattern.exec(path);
+
+    if (match) {
+      const params = Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+      return { route, params };
+    }
+  }
+
+  return null;
+}
+
+// The HTTP status for an error thrown while serving a route
+export function errorStatus(error) {
+  if (error instanceof InvalidParameterError || error instanceof URIError) return 400;
+  if (error instanceof NotFoundError) return 404;
+  return 500;
+}
+
+// The rows each action exports as CSV/TSV/NDJSON. Nested results are
+// flattened: diff tags each book with its category (debut, climber...),
+// timeseries gives one row per book and edition date, and stats gives
+// publisher share per period.
+const EXPORT_ROWS = {
+  lists: result => result.lists,
+  current: result => result.books,
+  history: result => result.books,
+  book: result => result.ranking_history,
+  reviews: result => result.reviews,
+  dates: result => result.dates,
+  search: result => result.books,
+  authors: result => result.authors,
+  publishers: result => result.publishers,
+  author: result => result.title_history,
+  publisher: result => result.title_history,
+  diff: result => Object.entries({
+    debuts: 'debut',
+    returning: 'returning',
+    climbers: 'climber',
+    fallers: 'faller',
+    unchanged: 'unchanged',
+    dropped: 'dropped'
+  }).flatMap(([group, category]) => result[group].map(book => ({ category, ...book }))),
+  timeseries: result => result.series.flatMap(({ ranks, ...book }) =>
+    result.dates.map((date, i) => ({
+      isbn: book.isbn,
+      work_id: book.work_id,
+      title: book.title,
+      author: book.author,
+      published_date: date,
+      rank: ranks[i]
+    }))),
+  stats: result => result.publisher_share.flatMap(({ publishers, ...period }) =>
+    publishers.map(publisher => ({
+      period: period.period,
+      period_entries: period.entries,
+      ...publisher
+    })))
+};
+
+// Helper: Read the response format (json unless an export format is asked for)
+function parseFormat(value) {
+  const format = param(value) || 'json';
+
+  if (format !== 'json' && !EXPORT_FORMATS[format]) {
+    throw new InvalidParameterError(
+      `Invalid parameter: format must be one of json, ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    );
+  }
+
+  return format;
+}
+
+// Helper: Stream rows as a CSV/TSV/NDJSON download, writing each line as its
+// row is read. Rows straight from a query (paging.stream) carry their
+// columns; rows assembled in JS (diff, timeseries, stats) are scanned for them.
+function sendRows(res, format, rows, filename, meta) {
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (meta.total !== undefined) {
+    res.setHeader('X-Total-Count', String(meta.total));
+  }
+  if (meta.next) {
+    res.setHeader('X-Next-Cursor', meta.next);
+  }
+
+  res.status(200);
+  for (const line of serializeRows(format, rows.columns ?? columnsOf(rows), rows)) {
+    res.write(line);
+  }
+  return res.end();
+}
+
+// Helper: A short tag for the code serving responses
+function codeVersion() {
+  const deployment = process.env.VERCEL_DEPLOYMENT_ID || process.env.VERCEL_GIT_COMMIT_SHA || '';
+  return createHash('sha256').update(`${RESPONSE_VERSION}:${deployment}`).digest('hex').slice(0, 8);
+}
+
+// Helper: ETag and Last-Modified for the data as of the latest successful
+// sync, served by this code (null if nothing has been synced)
+function dataVersion(db) {
+  const sync = db.prepare(`
+    SELECT sync_id, sync_date FROM sync_log
+    WHERE status = 'success'
+    ORDER BY sync_id DESC
+    LIMIT 1
+  `).get();
+
+  if (!sync) {
+    return null;
+  }
+
+  const modified = new Date(sync.sync_date);
+  return {
+    etag: `W/"${sync.sync_id}-${modified.getTime().toString(36)}-${codeVersion()}"`,
+    lastModified: modified.toUTCString()
+  };
+}
+
+// Helper: Whether the client's cached copy is still current. If-None-Match
+// takes precedence over If-Modified-Since, as in RFC 9110.
+function isNotModified(headers = {}, version) {
+  const ifNoneMatch = headers['if-none-match'];
+
+  if (ifNoneMatch) {
+    const tag = version.etag.replace(/^W\//, '');
+    return ifNoneMatch.split(',').some(candidate => {
+      candidate = candidate.trim();
+      return candidate === '*' || candidate.replace(/^W\//, '') === tag;
+    });
+  }
+
+  const since = Date.parse(headers['if-modified-since']);
+  return !Number.isNaN(since) && Date.parse(version.lastModified) <= since;
+}
+
+// Helper: Validators and caching for a response (none when nothing has been
+// synced to validate against). What the CDN may store carries no client's
+// rate limit headers.
+function setCacheHeaders(res, version) {
+  if (version) {
+    res.setHeader('ETag', version.etag);
+    res.setHeader('Last-Modified', version.lastModified);
+    res.setHeader('Cache-Control', CACHE_CONTROL);
+
+    if (!API_KEYS_REQUIRED) {
+      omitRateLimitHeaders(res);
+    }
+  }
+}
+
+// Run a route and send its result: JSON, or the route's rows as a download
+// for format=csv/tsv/ndjson, or a 304 if the client's copy is still current.
+// The route runs first either way, so a bad parameter or a list or book that
+// doesn't exist is an error rather than a 304. Errors are thrown for the
+// caller to report.
+export function runRoute(req, res, route, params) {
+  const format = parseFormat(params.format);
+  const paging = {
+    ...parsePaging(params, format === 'json' ? MAX_LIMIT : MAX_EXPORT_LIMIT),
+    stream: format !== 'json'
+  };
+
+  for (const { name, required } of route.query || []) {
+    if (required && !param(params[name])) {
+      throw new InvalidParameterError(`Missing required parameter: ${name}`);
+    }
+  }
+
+  const db = openDatabase();
+  const result = route.run(db, params, paging);
+  const version = dataVersion(db);
+  setCacheHeaders(res, version);
+
+  if (version && isNotModified(req.headers, version)) {
+    return res.status(304).end();
+  }
+
+  if (format !== 'json') {
+    const filename = exportFilename(
+      [route.action, params.list, params.isbn, params.name, params.q, params.date].map(param),
+      format
+    );
+    return sendRows(res, format, EXPORT_ROWS[route.action](result), filename, result);
+  }
+
+  res.setHeader('Content-Type', 'application/json');
+  return res.status(200).json(result);
+}
@@ -1,7 +1,11 @@
 /**
  * Database Query API Endpoint
  *
- * Provides query access to the NYT Best Sellers SQLite database
+ * Provides query access to the NYT Best Sellers SQLite database through
+ * ?action= URLs. Each action is an alias of a v1 REST route (api/rest.js,
+ * routes in _lib/routes.js) and returns the same results; only errors
+ * differ, as { "error": "<message>" } (400 and 404) or
+ * { "error": "Database query failed", "message": "..." } (500).
  *
  * Endpoints:
  *   GET /api/db-query?action=lists
@@ -14,108 +18,146 @@
  *     - Returns bestsellers for a specific list on a specific date
  *
  *   GET /api/db-query?action=book&isbn=9781234567890
- *     - Returns book details and ranking history by ISBN
+ *     - Returns the book with that ISBN (any of its ISBNs) and its work: every
+ *       edition/format, their combined ranking history and reviews
  *
- *   GET /api/db-query?action=stats
- *     - Returns database statistics
+ *   GET /api/db-query?action=reviews&isbn=9781234567890
+ *     - Returns NYT reviews for a book (or the latest reviews without isbn)
+ *
+ *   GET /api/db-query?action=stats&list=hardcover-fiction&from=2024-01-01&to=2024-12-31
+ *     &category=fiction&period=quarter&publishers=Knopf,Scribner
+ *     - Returns database statistics, and for the rankings matching the
+ *       filters (all optional; list takes several names): number-one titles,
+ *       average tenure, debut-at-#1 rate, weekly turnover, the longest
+ *       running books, and publisher market share per year/quarter/month/week
  *
  *   GET /api/db-query?action=dates&list=hardcover-fiction
  *     - Returns all available dates for a specific list
  *
- *   GET /api/db-query?action=search&q=title+or+author
- *     - Searches for books by title or author
+ *   GET /api/db-query?action=diff&list=hardcover-fiction&date=2024-01-28
+ *     - Compares an edition (default: the latest) with the one before it:
+ *       debuts, returning books, drop-offs, climbers and fallers
+ *
+ *   GET /api/db-query?action=timeseries&list=hardcover-fiction&isbns=9781234567890,9780987654321
+ *     &from=2024-01-01&to=2024-12-31
+ *     - Returns chart-ready rank series on one list: every edition date in
+ *       the range, and per book its rank on each (null while off the list),
+ *       with debut, peak and total weeks from its whole history on the list.
+ *       Without isbns, covers every book on the list in the range (paged).
+ *
+ *   GET /api/db-query?action=authors
+ *   GET /api/db-query?action=publishers
+ *     - Leaderboards: weeks on any list, distinct titles, number-one titles
+ *       and list breadth. A co-written book counts for each of its authors;
+ *       names are matched ignoring case, accents and punctuation
+ *
+ *   GET /api/db-query?action=author&name=Mara+Quill
+ *   GET /api/db-query?action=publisher&name=Harbor+Lane
+ *     - One author's or publisher's totals and all their titles over time
+ *       (an author's also lists their co-authors)
+ *
+ *   GET /api/db-query?action=search&q=lighthouse+author:quill
+ *     - Full-text search over titles, authors, publishers and descriptions,
+ *       most relevant first, with highlighted matches. q supports words
+ *       (all must match), "exact phrases", prefix* matching, OR between
+ *       terms, and title:/author:/publisher:/description: field filters
+ *
+ * Paging (every action that returns rows: lists, current, history, book's
+ * ranking_history, reviews, dates, search, timeseries without isbns, authors,
+ * publishers, and the titles of an author or publisher):
+ *   limit=<1-1000>         Rows per page (default 100)
+ *   offset=<n> | cursor=   Where to start; `next` in a response is the cursor
+ *                          for the following page (null on the last page)
+ *   sort=<field>,-<field>  Sort by returned fields, '-' for descending
+ *   fields=<a>,<b>         Only return these fields of each row
+ * Paged responses include total, limit, offset and next alongside count.
+ *
+ * Export (every action):
+ *   format=json|csv|tsv|ndjson
+ *     - csv/tsv/ndjson stream the action's rows as a download instead of
+ *       JSON (see EXPORT_ROWS in _lib/routes.js for which rows), with limit allowed up to
+ *       10000 and the paging total and next cursor in the X-Total-Count and
+ *       X-Next-Cursor headers
+ *
+ * Caching (every action):
+ *   Responses carry an ETag and Last-Modified for the latest successful sync
+ *   and a Cache-Control allowing stale-while-revalidate; requests with a
+ *   matching If-None-Match or If-Modified-Since get an empty 304.
  */
 
-import Database from 'better-sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const DB_PATH = join(__dirname, '../data/bestsellers.db');
+import { checkAccess } from './_lib/access.js';
+import { ROUTES, errorStatus, runRoute } from './_lib/routes.js';
+import { param } from './_lib/queries.js';
+
+// The v1 route each action is an alias for; its path parameters are read
+// from the query parameters of the same name
+const ACTIONS = {
+  lists: '/lists',
+  current: '/lists/{list}',
+  history: '/lists/{list}/editions/{date}',
+  book: '/books/{isbn}',
+  reviews: '/books/{isbn}/reviews',
+  stats: '/stats',
+  dates: '/lists/{list}/editions',
+  diff: '/lists/{list}/editions/{date}/diff',
+  timeseries: '/lists/{list}/timeseries',
+  authors: '/authors',
+  author: '/authors/{name}',
+  publishers: '/publishers',
+  publisher: '/publishers/{name}',
+  search: '/search'
+};
 
-// CORS headers
-const headers = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
-  'Content-Type': 'application/json'
+// Path parameters an action may leave out, and what they default to
+const OPTIONAL = {
+  date: 'latest'
 };
 
 export default async function handler(req, res) {
-  // Handle CORS preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).json({});
+  // CORS, API key and rate limit (and preflight requests)
+  if (!checkAccess(req, res, { sendError: (res, status, error) => res.status(status).json({ error }) })) {
+    return;
   }
 
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { action, list, date, isbn, q, limit = 50 } = req.query;
-
-  try {
-    const db = new Database(DB_PATH, { readonly: true });
-    let result;
+  const { action } = req.query;
+  let path = ACTIONS[action];
 
-    switch (action) {
-      case 'lists':
-        result = queryLists(db);
-        break;
+  if (!path) {
+    return res.status(400).json({
+      error: 'Invalid action',
+      validActions: Object.keys(ACTIONS)
+    });
+  }
 
-      case 'current':
-        if (!list) {
-          return res.status(400).json({ error: 'Missing required parameter: list' });
-        }
-        result = queryCurrent(db, list);
-        break;
+  // Reviews without an ISBN are the latest reviews
+  if (action === 'reviews' && !param(req.query.isbn)) {
+    path = '/reviews';
+  }
 
-      case 'history':
-        if (!list) {
-          return res.status(400).json({ error: 'Missing required parameter: list' });
-        }
-        result = queryHistory(db, list, date);
-        break;
+  const params = { ...req.query };
 
-      case 'book':
-        if (!isbn) {
-          return res.status(400).json({ error: 'Missing required parameter: isbn' });
-        }
-        result = queryBook(db, isbn);
-        break;
+  for (const [, name] of path.matchAll(/\{(\w+)\}/g)) {
+    params[name] = param(req.query[name]) || OPTIONAL[name];
 
-      case 'stats':
-        result = queryStats(db);
-        break;
+    if (!params[name]) {
+      return res.status(400).json({ error: `Missing required parameter: ${name}` });
+    }
+  }
 
-      case 'dates':
-        if (!list) {
-          return res.status(400).json({ error: 'Missing required parameter: list' });
-        }
-        result = queryDates(db, list);
-        break;
+  try {
+    return runRoute(req, res, ROUTES.find(route => route.path === path), params);
 
-      case 'search':
-        if (!q) {
-          return res.status(400).json({ error: 'Missing required parameter: q' });
-        }
-        result = querySearch(db, q, parseInt(limit));
-        break;
+  } catch (error) {
+    const status = errorStatus(error);
 
-      default:
-        return res.status(400).json({
-          error: 'Invalid action',
-          validActions: ['lists', 'current', 'history', 'book', 'stats', 'dates', 'search']
-        });
+    if (status !== 500) {
+      return res.status(status).json({ error: error.message });
     }
 
-    db.close();
-
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Content-Type', 'application/json');
-    return res.status(200).json(result);
-
-  } catch (error) {
     console.error('Database query error:', error);
     return res.status(500).json({
       error: 'Database query failed',
@@ -123,272 +165,3 @@ export default async function handler(req, res) {
     });
   }
 }
-
-// Query: Get all lists
-function queryLists(db) {
-  const lists = db.prepare(`
-    SELECT
-      list_id,
-      list_name_encoded,
-      display_name,
-      oldest_published_date,
-      newest_published_date,
-      updated,
-      (SELECT COUNT(DISTINCT published_date) FROM rankings WHERE list_id = lists.list_id) as total_editions,
-      (SELECT MAX(published_date) FROM rankings WHERE list_id = lists.list_id) as latest_edition
-    FROM lists
-    ORDER BY display_name
-  `).all();
-
-  return {
-    count: lists.length,
-    lists
-  };
-}
-
-// Query: Get current bestsellers for a list
-function queryCurrent(db, listNameEncoded) {
-  const list = db.prepare('SELECT list_id, display_name FROM lists WHERE list_name_encoded = ?')
-    .get(listNameEncoded);
-
-  if (!list) {
-    throw new Error(`List not found: ${listNameEncoded}`);
-  }
-
-  // Get the most recent published date for this list
-  const latestDate = db.prepare(`
-    SELECT MAX(published_date) as date
-    FROM rankings
-    WHERE list_id = ?
-  `).get(list.list_id);
-
-  if (!latestDate || !latestDate.date) {
-    return {
-      list: list.display_name,
-      published_date: null,
-      books: []
-    };
-  }
-
-  // Get books for that date
-  const books = db.prepare(`
-    SELECT
-      r.rank,
-      r.rank_last_week,
-      r.weeks_on_list,
-      r.published_date,
-      r.bestsellers_date,
-      b.title,
-      b.author,
-      b.publisher,
-      b.description,
-      b.price,
-      b.primary_isbn13,
-      b.primary_isbn10,
-      b.book_image,
-      b.amazon_product_url
-    FROM rankings r
-    JOIN books b ON r.book_id = b.book_id
-    WHERE r.list_id = ? AND r.published_date = ?
-    ORDER BY r.rank
-  `).all(list.list_id, latestDate.date);
-
-  return {
-    list: list.display_name,
-    list_name_encoded: listNameEncoded,
-    published_date: latestDate.date,
-    count: books.length,
-    books
-  };
-}
-
-// Query: Get historical bestsellers for a list on a specific date
-function queryHistory(db, listNameEncoded, date) {
-  const list = db.prepare('SELECT list_id, display_name FROM lists WHERE list_name_encoded = ?')
-    .get(listNameEncoded);
-
-  if (!list) {
-    throw new Error(`List not found: ${listNameEncoded}`);
-  }
-
-  // If no date specified, get the most recent
-  let targetDate = date;
-  if (!targetDate) {
-    const latestDate = db.prepare(`
-      SELECT MAX(published_date) as date
-      FROM rankings
-      WHERE list_id = ?
-    `).get(list.list_id);
-    targetDate = latestDate?.date;
-  }
-
-  if (!targetDate) {
-    return {
-      list: list.display_name,
-      published_date: null,
-      books: []
-    };
-  }
-
-  const books = db.prepare(`
-    SELECT
-      r.rank,
-      r.rank_last_week,
-      r.weeks_on_list,
-      r.published_date,
-      r.bestsellers_date,
-      b.title,
-      b.author,
-      b.publisher,
-      b.description,
-      b.price,
-      b.primary_isbn13,
-      b.primary_isbn10,
-      b.book_image,
-      b.amazon_product_url
-    FROM rankings r
-    JOIN books b ON r.book_id = b.book_id
-    WHERE r.list_id = ? AND r.published_date = ?
-    ORDER BY r.rank
-  `).all(list.list_id, targetDate);
-
-  return {
-    list: list.display_name,
-    list_name_encoded: listNameEncoded,
-    published_date: targetDate,
-    count: books.length,
-    books
-  };
-}
-
-// Query: Get book details and ranking history by ISBN
-function queryBook(db, isbn) {
-  // Find book by ISBN
-  const book = db.prepare(`
-    SELECT * FROM books
-    WHERE primary_isbn13 = ? OR primary_isbn10 = ?
-    LIMIT 1
-  `).get(isbn, isbn);
-
-  if (!book) {
-    throw new Error(`Book not found with ISBN: ${isbn}`);
-  }
-
-  // Get all ISBNs for this book
-  const isbns = db.prepare(`
-    SELECT isbn13, isbn10 FROM isbns WHERE book_id = ?
-  `).all(book.book_id);
-
-  // Get ranking history
-  const rankings = db.prepare(`
-    SELECT
-      l.display_name as list_name,
-      l.list_name_encoded,
-      r.published_date,
-      r.bestsellers_date,
-      r.rank,
-      r.rank_last_week,
-      r.weeks_on_list
-    FROM rankings r
-    JOIN lists l ON r.list_id = l.list_id
-    WHERE r.book_id = ?
-    ORDER BY r.published_date DESC, r.rank
-  `).all(book.book_id);
-
-  return {
-    book,
-    isbns,
-    ranking_history: rankings,
-    total_appearances: rankings.length
-  };
-}
-
-// Query: Get database statistics
-function queryStats(db) {
-  const stats = db.prepare(`
-    SELECT
-      (SELECT COUNT(*) FROM lists) as lists_count,
-      (SELECT COUNT(*) FROM books) as books_count,
-      (SELECT COUNT(*) FROM rankings) as rankings_count,
-      (SELECT COUNT(DISTINCT published_date) FROM rankings) as unique_dates,
-      (SELECT MIN(published_date) FROM rankings) as oldest_date,
-      (SELECT MAX(published_date) FROM rankings) as newest_date,
-      (SELECT COUNT(*) FROM sync_log WHERE status = 'success') as successful_syncs,
-      (SELECT MAX(created_at) FROM sync_log WHERE status = 'success') as last_sync
-  `).get();
-
-  // Top books by weeks on list
-  const topBooks = db.prepare(`
-    SELECT
-      b.title,
-      b.author,
-      MAX(r.weeks_on_list) as max_weeks,
-      COUNT(DISTINCT r.list_id) as lists_appeared
-    FROM rankings r
-    JOIN books b ON r.book_id = b.book_id
-    GROUP BY r.book_id
-    ORDER BY max_weeks DESC
-    LIMIT 10
-  `).all();
-
-  return {
-    stats,
-    top_books_by_longevity: topBooks
-  };
-}
-
-// Query: Get all available dates for a list
-function queryDates(db, listNameEncoded) {
-  const list = db.prepare('SELECT list_id, display_name FROM lists WHERE list_name_encoded = ?')
-    .get(listNameEncoded);
-
-  if (!list) {
-    throw new Error(`List not found: ${listNameEncoded}`);
-  }
-
-  const dates = db.prepare(`
-    SELECT DISTINCT published_date, COUNT(*) as books_count
-    FROM rankings
-    WHERE list_id = ?
-    GROUP BY published_date
-    ORDER BY published_date DESC
-  `).all(list.list_id);
-
-  return {
-    list: list.display_name,
-    list_name_encoded: listNameEncoded,
-    count: dates.length,
-    dates
-  };
-}
-
-// Query: Search for books by title or author
-function querySearch(db, searchTerm, limit = 50) {
-  const books = db.prepare(`
-    SELECT
-      b.book_id,
-      b.title,
-      b.author,
-      b.publisher,
-      b.description,
-      b.primary_isbn13,
-      b.primary_isbn10,
-      b.book_image,
-      COUNT(DISTINCT r.list_id) as lists_count,
-      MAX(r.weeks_on_list) as max_weeks_on_list,
-      MIN(r.published_date) as first_appearance,
-      MAX(r.published_date) as last_appearance
-    FROM books b
-    LEFT JOIN rankings r ON b.book_id = r.book_id
-    WHERE b.title LIKE ? OR b.author LIKE ?
-    GROUP BY b.book_id
-    ORDER BY max_weeks_on_list DESC, last_appearance DESC
-    LIMIT ?
-  `).all(`%${searchTerm}%`, `%${searchTerm}%`, limit);
-
-  return {
-    query: searchTerm,
-    count: books.length,
-    books
-  };
-}
@@ -0,0 +1,538 @@
+/**
+ * GraphQL API Endpoint
+ *
+ * Any shape of bestsellers data in one request, resolved against the same
+ * SQLite database as db-query.js:
+ *
+ *   POST /api/graphql  {"query": "...", "variables": {...}, "operationName": "..."}
+ *   GET  /api/graphql?query=...&variables=<JSON>
+ *
+ * Example: a list's latest edition, and every list each of its books has been on
+ *   {
+ *     list(name: "hardcover-fiction") {
+ *       displayName
+ *       edition { publishedDate rankings { rank book { title lists { name } } } }
+ *     }
+ *   }
+ *
+ * Every query is measured before it runs, so none can outlast the
+ * function's 10s maxDuration: at most MAX_DEPTH levels of nesting, and an
+ * estimated cost of at most MAX_COST, where each object costs 1, a field
+ * aggregated over rankings costs what it reads (FIELD_COSTS), and a list
+ * field multiplies what it contains by its limit (LIST_SIZE_ESTIMATE for
+ * lists without one).
+ */
+
+import {
+  GraphQLError,
+  GraphQLInt,
+  Kind,
+  buildSchema,
+  execute,
+  getNamedType,
+  getNullableType,
+  getOperationAST,
+  isListType,
+  parse,
+  validate,
+  valueFromAST
+} from 'graphql';
+import { normalizeName, splitAuthors } from '../scripts/lib/normalize.js';
+import { checkAccess } from './_lib/access.js';
+import { openDatabase } from './_lib/database.js';
+
+// Query limits
+const MAX_DEPTH = 8;
+const MAX_COST = 5000;
+const LIST_SIZE_ESTIMATE = 10;
+
+// Scalar fields aggregated over many rows, by type: an author's totals count
+// every ranking of every book they are credited on, about as many rows as a
+// list field returns
+const FIELD_COSTS = {
+  Author: { titles: LIST_SIZE_ESTIMATE, totalWeeks: LIST_SIZE_ESTIMATE, numberOneTitles: LIST_SIZE_ESTIMATE }
+};
+
+// Largest limit any list field accepts
+const MAX_LIMIT = 100;
+
+const typeDefs = `
+  type Query {
+    "Every list, by display name"
+    lists(limit: Int = 100, offset: Int = 0): [List!]!
+    "A list by its encoded name, e.g. hardcover-fiction"
+    list(name: String!): List
+    "The book with this ISBN (any of its ISBNs)"
+    book(isbn: String!): Book
+    "An author, by any spelling of their name"
+    author(name: String!): Author
+  }
+
+  type List {
+    name: String!
+    displayName: String!
+    updated: String
+    oldestPublishedDate: String
+    newestPublishedDate: String
+    "Editions stored for the list, newest first"
+    editions(limit: Int = 10, offset: Int = 0, from: String, to: String): [Edition!]!
+    "One edition: the latest when no date is given"
+    edition(date: String): Edition
+  }
+
+  type Edition {
+    list: List!
+    publishedDate: String!
+    bestsellersDate: String
+    previousPublishedDate: String
+    nextPublishedDate: String
+    "The books on this edition, by rank"
+    rankings(limit: Int = 20): [Ranking!]!
+  }
+
+  type Ranking {
+    rank: Int!
+    rankLastWeek: Int
+    weeksOnList: Int
+    publishedDate: String!
+    list: List!
+    edition: Edition!
+    book: Book!
+  }
+
+  type Book {
+    id: Int!
+    workId: Int
+    isbn13: String
+    isbn10: String
+    isbns: [String!]!
+    title: String!
+    author: String
+    "Each person credited as an author"
+    authors: [Author!]!
+    publisher: String
+    description: String
+    bookImage: String
+    amazonProductUrl: String
+    "Other editions and formats of the same work"
+    otherEditions: [Book!]!
+    "Appearances on lists, newest first (only on one list when it is given)"
+    rankings(list: String, limit: Int = 20, offset: Int = 0): [Ranking!]!
+    "Every list the book has been on"
+    lists: [List!]!
+    reviews: [Review!]!
+  }
+
+  type Review {
+    url: String
+    publicationDate: String
+    byline: String
+    summary: String
+    book: Book
+  }
+
+  type Author {
+    name: String!
+    key: String!
+    "Distinct works they are credited on"
+    titles: Int!
+    "Weeks with any of their books on any list"
+    totalWeeks: Int!
+    numberOneTitles: Int!
+    "Their books, most recently on a list first"
+    books(limit: Int = 20, offset: Int = 0): [Book!]!
+  }
+`;
+
+const LIST_COLUMNS = `
+  list_id as listId,
+  list_name_encoded as name,
+  display_name as displayName,
+  updated,
+  oldest_published_date as oldestPublishedDate,
+  newest_published_date as newestPublishedDate
+`;
+
+const BOOK_COLUMNS = `
+  b.book_id as id,
+  b.work_id as workId,
+  b.primary_isbn13 as isbn13,
+  b.primary_isbn10 as isbn10,
+  b.title,
+  b.author,
+  b.publisher,
+  b.description,
+  b.book_image as bookImage,
+  b.amazon_product_url as amazonProductUrl
+`;
+
+const RANKING_COLUMNS = `
+  r.rank,
+  r.rank_last_week as rankLastWeek,
+  r.weeks_on_list as weeksOnList,
+  r.published_date as publishedDate,
+  r.list_id as listId,
+  r.book_id as bookId
+`;
+
+// Editions come from the rankings, with neighbours from the editions table
+// where the sync recorded them
+const EDITION_SELECT = `
+  SELECT
+    r.list_id as listId,
+    r.published_date as publishedDate,
+    MAX(r.bestsellers_date) as bestsellersDate,
+    NULLIF(e.previous_published_date, '') as previousPublishedDate,
+    NULLIF(e.next_published_date, '') as nextPublishedDate
+  FROM rankings r
+  LEFT JOIN editions e ON e.list_id = r.list_id AND e.published_date = r.published_date
+`;
+
+// Helper: Reject a limit/offset argument outside what the cost estimate allows
+function checkPage({ limit, offset = 0 }) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new GraphQLError(`limit must be from 1 to ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new GraphQLError('offset must be a whole number, not negative');
+  }
+  return [limit, offset];
+}
+
+// Helper: Reject a date argument that isn't YYYY-MM-DD
+function checkDate(name, value) {
+  if (value !== undefined && value !== null && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new GraphQLError(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value ?? null;
+}
+
+// Loaders shared by the resolvers: objects looked up by id are loaded once per request
+function loadList(ctx, listId) {
+  return ctx.once(`list:${listId}`, () => ctx.get(`SELECT ${LIST_COLUMNS} FROM lists WHERE list_id = ?`, listId));
+}
+
+function loadBook(ctx, bookId) {
+  return ctx.once(`book:${bookId}`, () => ctx.get(`SELECT ${BOOK_COLUMNS} FROM books b WHERE b.book_id = ?`, bookId));
+}
+
+function loadEdition(ctx, listId, publishedDate) {
+  return ctx.once(`edition:${listId}:${publishedDate}`, () => ctx.get(`
+    ${EDITION_SELECT}
+    WHERE r.list_id = ? AND r.published_date = ?
+    GROUP BY r.published_date
+  `, listId, publishedDate));
+}
+
+function loadAuthorTotals(ctx, key) {
+  return ctx.once(`author:${key}`, () => ctx.get(`
+    SELECT
+      COUNT(DISTINCT b.work_id) as titles,
+      COUNT(DISTINCT r.published_date) as totalWeeks,
+      COUNT(DISTINCT CASE WHEN r.rank = 1 THEN b.work_id END) as numberOneTitles
+    FROM book_credits a
+    JOIN books b ON b.book_id = a.book_id
+    JOIN rankings r ON r.book_id = b.book_id
+    WHERE a.name_key = ?
+  `, key));
+}
+
+const resolvers = {
+  Query: {
+    lists: (_, args, ctx) => ctx.all(`
+      SELECT ${LIST_COLUMNS} FROM lists ORDER BY display_name LIMIT ? OFFSET ?
+    `, ...checkPage(args)),
+
+    list: (_, { name }, ctx) => ctx.get(`SELECT ${LIST_COLUMNS} FROM lists WHERE list_name_encoded = ?`, name),
+
+    book: (_, { isbn }, ctx) => ctx.get(`
+      SELECT ${BOOK_COLUMNS} FROM books b
+      WHERE b.primary_isbn13 = ? OR b.primary_isbn10 = ?
+        OR b.book_id IN (SELECT book_id FROM isbns WHERE isbn13 = ? OR isbn10 = ?)
+      ORDER BY b.primary_isbn13 = ? OR b.primary_isbn10 = ? DESC
+      LIMIT 1
+    `, isbn, isbn, isbn, isbn, isbn, isbn),
+
+    author: (_, { name }, ctx) => {
+      const names = splitAuthors(name);
+      if (names.length !== 1) {
+        throw new GraphQLError('name must be a single author');
+      }
+
+      const key = normalizeName(names[0]);
+      // The spelling used on the most books
+      const credit = ctx.get(`
+        SELECT a.name FROM book_credits a
+        WHERE a.name_key = ?
+        GROUP BY a.name ORDER BY COUNT(*) DESC, a.name LIMIT 1
+      `, key);
+
+      return credit ? { name: credit.name, key } : null;
+    }
+  },
+
+  List: {
+    editions: (list, args, ctx) => ctx.all(`
+      ${EDITION_SELECT}
+      WHERE r.list_id = ? AND r.published_date BETWEEN ? AND ?
+      GROUP BY r.published_date
+      ORDER BY r.published_date DESC
+      LIMIT ? OFFSET ?
+    `, list.listId, checkDate('from', args.from) || '0000-01-01', checkDate('to', args.to) || '9999-12-31',
+    ...checkPage(args)),
+
+    edition: (list, { date }, ctx) => {
+      const publishedDate = checkDate('date', date)
+        || ctx.get('SELECT MAX(published_date) as date FROM rankings WHERE list_id = ?', list.listId).date;
+
+      return publishedDate ? loadEdition(ctx, list.listId, publishedDate) ?? null : null;
+    }
+  },
+
+  Edition: {
+    list: (edition, _, ctx) => loadList(ctx, edition.listId),
+
+    rankings: (edition, args, ctx) => ctx.all(`
+      SELECT ${RANKING_COLUMNS} FROM rankings r
+      WHERE r.list_id = ? AND r.published_date = ?
+      ORDER BY r.rank
+      LIMIT ?
+    `, edition.listId, edition.publishedDate, checkPage(args)[0])
+  },
+
+  Ranking: {
+    list: (ranking, _, ctx) => loadList(ctx, ranking.listId),
+    edition: (ranking, _, ctx) => loadEdition(ctx, ranking.listId, ranking.publishedDate),
+    book: (ranking, _, ctx) => loadBook(ctx, ranking.bookId)
+  },
+
+  Book: {
+    isbns: (book, _, ctx) => {
+      const isbns = ctx.all('SELECT isbn13, isbn10 FROM isbns WHERE book_id = ?', book.id)
+        .flatMap(row => [row.isbn13, row.isbn10]);
+      return [...new Set([book.isbn13, book.isbn10, ...isbns].filter(Boolean))];
+    },
+
+    authors: book => splitAuthors(book.author).map(name => ({ name, key: normalizeName(name) })),
+
+    otherEditions: (book, _, ctx) => (book.workId === null ? [] : ctx.all(`
+      SELECT ${BOOK_COLUMNS} FROM books b
+      WHERE b.work_id = ? AND b.book_id <> ?
+      ORDER BY b.book_id
+    `, book.workId, book.id)),
+
+    rankings: (book, args, ctx) => ctx.all(`
+      SELECT ${RANKING_COLUMNS} FROM rankings r
+      JOIN lists l ON l.list_id = r.list_id
+      WHERE r.book_id = ? AND (? IS NULL OR l.list_name_encoded = ?)
+      ORDER BY r.published_date DESC, l.list_name_encoded
+      LIMIT ? OFFSET ?
+    `, book.id, args.list ?? null, args.list ?? null, ...checkPage(args)),
+
+    lists: (book, _, ctx) => ctx.all(`
+      SELECT ${LIST_COLUMNS} FROM lists
+      WHERE list_id IN (SELECT list_id FROM rankings WHERE book_id = ?)
+      ORDER BY display_name
+    `, book.id),
+
+    reviews: (book, _, ctx) => ctx.all(`
+      SELECT url, publication_dt as publicationDate, byline, summary, book_id as bookId
+      FROM reviews
+      WHERE book_id = ?
+      ORDER BY publication_dt DESC
+    `, book.id)
+  },
+
+  Review: {
+    book: (review, _, ctx) => (review.bookId === null ? null : loadBook(ctx, review.bookId))
+  },
+
+  Author: {
+    titles: (author, _, ctx) => loadAuthorTotals(ctx, author.key).titles,
+    totalWeeks: (author, _, ctx) => loadAuthorTotals(ctx, author.key).totalWeeks,
+    numberOneTitles: (author, _, ctx) => loadAuthorTotals(ctx, author.key).numberOneTitles,
+
+    books: (author, args, ctx) => ctx.all(`
+      SELECT ${BOOK_COLUMNS}
+      FROM book_credits a
+      JOIN books b ON b.book_id = a.book_id
+      JOIN rankings r ON r.book_id = b.book_id
+      WHERE a.name_key = ?
+      GROUP BY b.book_id
+      ORDER BY MAX(r.published_date) DESC, b.book_id
+      LIMIT ? OFFSET ?
+    `, author.key, ...checkPage(args))
+  }
+};
+
+// Build the schema from the type definitions and attach the resolvers
+const schema = buildSchema(typeDefs);
+for (const [typeName, fields] of Object.entries(resolvers)) {
+  const typeFields = schema.getType(typeName).getFields();
+  for (const [fieldName, resolve] of Object.entries(fields)) {
+    typeFields[fieldName].resolve = resolve;
+  }
+}
+
+// Per-request resolver context (the shared connection reuses prepared
+// statements): once() runs a load only the first time its key is asked for
+function createContext(db) {
+  const loaded = new Map();
+
+  return {
+    all: (sql, ...params) => db.prepare(sql).all(...params),
+    get: (sql, ...params) => db.prepare(sql).get(...params),
+    once: (key, load) => {
+      if (!loaded.has(key)) {
+        loaded.set(key, load());
+      }
+      return loaded.get(key);
+    }
+  };
+}
+
+// Helper: How many items a list field is expected to return: its limit
+// argument (as given, or its default when it is left out or set from a
+// variable the request doesn't provide), else LIST_SIZE_ESTIMATE
+function listSize(field, selection, variables) {
+  const limitArg = field.args.find(arg => arg.name === 'limit');
+  if (!limitArg) {
+    return LIST_SIZE_ESTIMATE;
+  }
+
+  const node = selection.arguments.find(arg => arg.name.value === 'limit');
+  const limit = (node && valueFromAST(node.value, GraphQLInt, variables)) ?? limitArg.defaultValue;
+  return Number.isInteger(limit) && limit > 0 ? limit : LIST_SIZE_ESTIMATE;
+}
+
+// Helper: Depth and estimated cost of a selection set on a type
+function measure(selectionSet, parentType, fragments, variables) {
+  let depth = 0;
+  let cost = 0;
+
+  for (const selection of selectionSet.selections) {
+    let nested;
+
+    if (selection.kind === Kind.FIELD) {
+      const field = parentType.getFields?.()[selection.name.value];
+
+      if (!field || !selection.selectionSet) {
+        depth = Math.max(depth, 1);
+        cost += FIELD_COSTS[parentType.name]?.[selection.name.value] ?? 0;
+        continue;
+      }
+
+      const inner = measure(selection.selectionSet, getNamedType(field.type), fragments, variables);
+      const size = isListType(getNullableType(field.type)) ? listSize(field, selection, variables) : 1;
+      nested = { depth: inner.depth + 1, cost: size * (1 + inner.cost) };
+    } else {
+      const fragment = selection.kind === Kind.FRAGMENT_SPREAD ? fragments[selection.name.value] : selection;
+      const type = fragment.typeCondition ? schema.getType(fragment.typeCondition.name.value) : parentType;
+      nested = measure(fragment.selectionSet, type, fragments, variables);
+    }
+
+    depth = Math.max(depth, nested.depth);
+    cost += nested.cost;
+  }
+
+  return { depth, cost };
+}
+
+// Helper: Why a (valid) query is too big to run, or null if it isn't
+function checkQueryLimits(document, operationName, variables) {
+  const operation = getOperationAST(document, operationName);
+  if (!operation) {
+    return null;
+  }
+
+  const fragments = Object.fromEntries(document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map(definition => [definition.name.value, definition]));
+
+  const { depth, cost } = measure(operation.selectionSet, schema.getQueryType(), fragments, variables);
+
+  if (depth > MAX_DEPTH) {
+    return `Query is nested ${depth} levels deep (at most ${MAX_DEPTH} allowed)`;
+  }
+  if (cost > MAX_COST) {
+    return `Query is too expensive: estimated cost ${cost} (at most ${MAX_COST} allowed); lower some limits`;
+  }
+  return null;
+}
+
+// Helper: Read the query, variables and operation name from a GET or POST request
+function readRequest(req) {
+  let source = req.method === 'POST' ? req.body : req.query;
+
+  if (typeof source === 'string') {
+    source = JSON.parse(source);
+  }
+
+  const { query, operationName } = source || {};
+  let { variables } = source || {};
+
+  if (typeof variables === 'string') {
+    variables = variables === '' ? {} : JSON.parse(variables);
+  }
+
+  return { query, variables: variables || {}, operationName: operationName || null };
+}
+
+export default async function handler(req, res) {
+  // CORS, API key and rate limit (and preflight requests)
+  const sendError = (res, status, message) => res.status(status).json({ errors: [{ message }] });
+  if (!checkAccess(req, res, { methods: ['GET', 'POST'], sendError })) {
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Content-Type', 'application/json');
+
+  let request;
+  try {
+    request = readRequest(req);
+  } catch (error) {
+    return res.status(400).json({ errors: [{ message: `Invalid JSON: ${error.message}` }] });
+  }
+
+  if (!request.query) {
+    return res.status(400).json({ errors: [{ message: 'Missing required parameter: query' }] });
+  }
+
+  let document;
+  try {
+    document = parse(request.query);
+  } catch (error) {
+    return res.status(400).json({ errors: [error] });
+  }
+
+  const validationErrors = validate(schema, document);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ errors: validationErrors });
+  }
+
+  const limitError = checkQueryLimits(document, request.operationName, request.variables);
+  if (limitError) {
+    return res.status(400).json({ errors: [{ message: limitError }] });
+  }
+
+  try {
+    const db = openDatabase();
+    const result = await execute({
+      schema,
+      document,
+      variableValues: request.variables,
+      operationName: request.operationName,
+      contextValue: createContext(db)
+    });
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error('GraphQL error:', error);
+    return res.status(500).json({ errors: [{ message: error.message }] });
+  }
+}
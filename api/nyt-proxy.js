@@ -1,12 +1,275 @@
+/**
+ * NYT Books API Proxy
+ *
+ * Forwards the page's Books API requests to NYT with our key, for the
+ * endpoints and parameters below only (anything else is a 404 or 400, so
+ * the key can't be used for other paths). Successful responses are cached
+ * for each endpoint's TTL (see _lib/response-cache.js), and a dated list
+ * the local database already holds is answered from it without calling NYT
+ * at all. The X-Proxy-Source header says where a response came from:
+ * database, cache or nyt.
+ *
+ *   GET /api/nyt-proxy?endpoint=/lists/names.json
+ *   GET /api/nyt-proxy?endpoint=/lists/{date|current}/{list}.json&offset=
+ *   GET /api/nyt-proxy?endpoint=/lists/overview.json&published_date=
+ *   GET /api/nyt-proxy?endpoint=/reviews.json&isbn=&title=&author=
+ *   ...
+ */
+
+import { existsSync } from 'fs';
+import { API_KEYS_REQUIRED, checkAccess, omitRateLimitHeaders } from './_lib/access.js';
+import { DB_PATH, openDatabase } from './_lib/database.js';
+import { createResponseCache } from './_lib/response-cache.js';
+
+// Cache lifetimes in seconds
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// Books per page of a list, as NYT pages them
+const PAGE_SIZE = 20;
+
+// What each kind of parameter accepts
+const DATE = { test: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)), expected: 'a date (YYYY-MM-DD)' };
+const OFFSET = { test: value => /^\d+$/.test(value) && Number(value) % PAGE_SIZE === 0, expected: `a multiple of ${PAGE_SIZE}` };
+const ISBN = { test: value => /^(\d{9}[\dX]|\d{13})$/i.test(value), expected: 'a 10 or 13 digit ISBN' };
+const LIST = { test: value => /^[a-z0-9-]+$/.test(value), expected: 'an encoded list name' };
+const TEXT = { test: value => value.length <= 200, expected: 'at most 200 characters' };
+
+// The endpoints that can be proxied. Each has:
+//   name      How it is documented, with {placeholders}
+//   path      Pattern the endpoint must match
+//   params    The query parameters it takes, and what each accepts
+//   required  Parameters it needs; oneOf: parameters it needs at least one of
+//   ttl(match, params)  Seconds to cache a successful response for
+//   local(match, params)  The response from the local database, or null
+const ENDPOINTS = [
+  {
+    name: '/lists/names.json',
+    path: /^\/lists\/names\.json$/,
+    ttl: () => DAY
+  },
+  {
+    name: '/lists/age-groups.json',
+    path: /^\/lists\/age-groups\.json$/,
+    ttl: () => DAY
+  },
+  {
+    name: '/lists/overview.json',
+    path: /^\/lists\/overview\.json$/,
+    params: { published_date: DATE },
+    ttl: (match, params) => params.published_date ? DAY : HOUR
+  },
+  {
+    name: '/lists/{date|current}/{list}.json',
+    path: /^\/lists\/(current|\d{4}-\d{2}-\d{2})\/([a-z0-9-]+)\.json$/,
+    params: { offset: OFFSET },
+    ttl: match => match[1] === 'current' ? HOUR : DAY,
+    local: (match, params) => match[1] === 'current' ? null : localList(match[2], match[1], Number(params.offset || 0))
+  },
+  {
+    name: '/lists.json',
+    path: /^\/lists\.json$/,
+    params: { list: LIST, 'published-date': DATE, 'bestsellers-date': DATE, offset: OFFSET },
+    required: ['list'],
+    ttl: () => HOUR
+  },
+  {
+    name: '/lists/best-sellers/history.json',
+    path: /^\/lists\/best-sellers\/history\.json$/,
+    params: {
+      author: TEXT,
+      title: TEXT,
+      isbn: ISBN,
+      publisher: TEXT,
+      contributor: TEXT,
+      price: TEXT,
+      'age-group': TEXT,
+      offset: OFFSET
+    },
+    ttl: () => DAY
+  },
+  {
+    name: '/reviews.json',
+    path: /^\/reviews\.json$/,
+    params: { isbn: ISBN, title: TEXT, author: TEXT },
+    oneOf: ['isbn', 'title', 'author'],
+    ttl: () => DAY
+  }
+];
+
+// Raised for a request the proxy won't forward; status is 400 or 404
+class ProxyRequestError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.name = 'ProxyRequestError';
+    this.status = status;
+    this.error = error;
+  }
+}
+
+// Error names for requests turned away by checkAccess
+const ACCESS_ERRORS = {
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  429: 'Too many requests'
+};
+
+// The cache, created on first use
+let cache = null;
+
+function getCache() {
+  if (!cache) {
+    cache = createResponseCache({ path: process.env.NYT_PROXY_CACHE_PATH || null });
+  }
+  return cache;
+}
+
+// Helper: Find the endpoint for a request and check its parameters (empty
+// ones are dropped); throws ProxyRequestError if it isn't allowed
+function resolveRequest(endpoint, query) {
+  const path = Array.isArray(endpoint) ? null : endpoint;
+  const found = path && ENDPOINTS
+    .map(definition => ({ definition, match: definition.path.exec(path) }))
+    .find(({ match }) => match);
+
+  if (!found) {
+    throw new ProxyRequestError(404, 'Unsupported endpoint',
+      `Supported endpoints: ${ENDPOINTS.map(definition => definition.name).join(', ')}`);
+  }
+
+  const { definition, match } = found;
+  const accepted = definition.params || {};
+  const params = {};
+
+  for (const [name, value] of Object.entries(query)) {
+    if (name === 'endpoint' || value === '') continue;
+
+    if (!accepted[name]) {
+      throw new ProxyRequestError(400, 'Unsupported parameter', `${name} is not a parameter of ${definition.name}`);
+    }
+    if (typeof value !== 'string' || !accepted[name].test(value)) {
+      throw new ProxyRequestError(400, 'Invalid parameter', `${name} must be ${accepted[name].expected}`);
+    }
+    params[name] = value;
+  }
+
+  for (const name of definition.required || []) {
+    if (!params[name]) {
+      throw new ProxyRequestError(400, 'Missing parameter', `${definition.name} requires ${name}`);
+    }
+  }
+  if (definition.oneOf && !definition.oneOf.some(name => params[name])) {
+    throw new ProxyRequestError(400, 'Missing parameter',
+      `${definition.name} requires at least one of ${definition.oneOf.join(', ')}`);
+  }
+
+  return { path, definition, match, params };
+}
+
+// Helper: A list edition from the local database in the shape NYT returns
+// it, if the database holds the edition in effect on that date (null if it
+// doesn't, or there is no database)
+function localList(listNameEncoded, date, offset) {
+  if (!existsSync(DB_PATH)) {
+    return null;
+  }
+
+  const db = openDatabase();
+  const edition = db.prepare(`
+    SELECT
+      l.list_id,
+      l.list_name,
+      l.list_name_encoded,
+      l.display_name,
+      l.updated,
+      e.published_date,
+      e.bestsellers_date,
+      e.previous_published_date,
+      e.next_published_date
+    FROM editions e
+    JOIN lists l ON e.list_id = l.list_id
+    WHERE l.list_name_encoded = ? AND e.published_date <= ?
+    ORDER BY e.published_date DESC
+    LIMIT 1
+  `).get(listNameEncoded, date);
+
+  // A later date only resolves to this edition if the next one is known
+  // to come after it
+  if (!edition || (edition.published_date !== date && !(edition.next_published_date > date))) {
+    return null;
+  }
+
+  const total = db.prepare('SELECT COUNT(*) as count FROM rankings WHERE list_id = ? AND published_date = ?')
+    .get(edition.list_id, edition.published_date).count;
+
+  if (total === 0) {
+    return null;
+  }
+
+  const books = db.prepare(`
+    SELECT
+      r.rank,
+      r.rank_last_week,
+      r.weeks_on_list,
+      r.asterisk,
+      r.dagger,
+      b.primary_isbn10,
+      b.primary_isbn13,
+      b.publisher,
+      b.description,
+      b.price,
+      b.title,
+      b.author,
+      b.book_image,
+      b.book_image_width,
+      b.book_image_height,
+      b.amazon_product_url,
+      b.book_review_link,
+      (
+        SELECT json_group_array(json_object('isbn10', i.isbn10, 'isbn13', i.isbn13))
+        FROM isbns i
+        WHERE i.book_id = b.book_id
+      ) as isbns
+    FROM rankings r
+    JOIN books b ON r.book_id = b.book_id
+    WHERE r.list_id = ? AND r.published_date = ?
+    ORDER BY r.rank
+    LIMIT ? OFFSET ?
+  `).all(edition.list_id, edition.published_date, PAGE_SIZE, offset);
+
+  return {
+    status: 'OK',
+    num_results: total,
+    results: {
+      list_name: edition.list_name,
+      list_name_encoded: edition.list_name_encoded,
+      bestsellers_date: edition.bestsellers_date,
+      published_date: edition.published_date,
+      next_published_date: edition.next_published_date || '',
+      previous_published_date: edition.previous_published_date || '',
+      display_name: edition.display_name,
+      updated: edition.updated,
+      books: books.map(book => ({ ...book, isbns: JSON.parse(book.isbns) }))
+    }
+  };
+}
+
+// Helper: Send a JSON body (already serialized) saying where it came from
+function sendBody(res, status, body, source, ttl) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('X-Proxy-Source', source);
+  // Shared caches would serve keyed responses to anyone
+  if (ttl && !API_KEYS_REQUIRED) {
+    res.setHeader('Cache-Control', `public, s-maxage=${ttl}`);
+    omitRateLimitHeaders(res);
+  }
+  return res.status(status).send(body);
+}
+
 export default async function handler(req, res) {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-  // Handle preflight request
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
+  // CORS, API key and rate limit (and preflight requests)
+  const sendError = (res, status, message) => res.status(status).json({ error: ACCESS_ERRORS[status], message });
+  if (!checkAccess(req, res, { sendError })) {
     return;
   }
 
@@ -15,16 +278,6 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Get the API key from environment variable
-  const apiKey = process.env.NYT_API_KEY;
-
-  if (!apiKey) {
-    return res.status(500).json({
-      error: 'NYT_API_KEY environment variable is not configured',
-      message: 'Please add NYT_API_KEY to your Vercel environment variables'
-    });
-  }
-
   // Get the endpoint path from query parameter
   const { endpoint } = req.query;
 
@@ -36,29 +289,56 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Build the NYT API URL
-    const baseUrl = 'https://api.nytimes.com/svc/books/v3';
-
-    // Copy all query parameters except 'endpoint'
-    const queryParams = new URLSearchParams();
-    for (const [key, value] of Object.entries(req.query)) {
-      if (key !== 'endpoint') {
-        queryParams.append(key, value);
-      }
+    const { path, definition, match, params } = resolveRequest(endpoint, req.query);
+    const ttl = definition.ttl(match, params);
+
+    // Serve from the database when it already holds the answer
+    const local = definition.local?.(match, params);
+    if (local) {
+      return sendBody(res, 200, JSON.stringify(local), 'database', ttl);
+    }
+
+    // Then from the cache, keyed without the API key
+    const queryParams = new URLSearchParams(Object.entries(params).sort(([a], [b]) => a.localeCompare(b)));
+    const cacheKey = `${path}?${queryParams.toString()}`;
+    const cached = getCache().get(cacheKey);
+
+    if (cached) {
+      return sendBody(res, 200, cached, 'cache', ttl);
+    }
+
+    // Get the API key from environment variable
+    const apiKey = process.env.NYT_API_KEY;
+
+    if (!apiKey) {
+      return res.status(500).json({
+        error: 'NYT_API_KEY environment variable is not configured',
+        message: 'Please add NYT_API_KEY to your Vercel environment variables'
+      });
     }
 
     // Add the API key
     queryParams.append('api-key', apiKey);
 
-    const url = `${baseUrl}${endpoint}?${queryParams.toString()}`;
-
     // Make the request to NYT API
-    const response = await fetch(url);
+    const baseUrl = process.env.NYT_BASE_URL || 'https://api.nytimes.com/svc/books/v3';
+    const response = await fetch(`${baseUrl}${path}?${queryParams.toString()}`);
     const data = await response.json();
+    const body = JSON.stringify(data);
+
+    // Only keep successful responses
+    if (response.ok && data.status === 'OK') {
+      getCache().set(cacheKey, body, ttl);
+      return sendBody(res, 200, body, 'nyt', ttl);
+    }
 
     // Return the response with the same status code
-    res.status(response.status).json(data);
+    return sendBody(res, response.status, body, 'nyt');
   } catch (error) {
+    if (error instanceof ProxyRequestError) {
+      return res.status(error.status).json({ error: error.error, message: error.message });
+    }
+
     console.error('Error proxying request:', error);
     res.status(500).json({
       error: 'Internal server error',
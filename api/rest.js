@@ -0,0 +1,105 @@
+/**
+ * REST API Endpoint (v1)
+ *
+ * Versioned resource routes over the NYT Best Sellers SQLite database,
+ * served at /api/v1/... (vercel.json rewrites those URLs here):
+ *
+ *   GET /api/v1/lists
+ *   GET /api/v1/lists/{list}                          Latest edition
+ *   GET /api/v1/lists/{list}/editions                 Edition dates
+ *   GET /api/v1/lists/{list}/editions/{date|latest}
+ *   GET /api/v1/lists/{list}/editions/{date|latest}/diff
+ *   GET /api/v1/lists/{list}/timeseries?isbns=&from=&to=
+ *   GET /api/v1/books/{isbn}
+ *   GET /api/v1/books/{isbn}/reviews
+ *   GET /api/v1/reviews
+ *   GET /api/v1/search?q=
+ *   GET /api/v1/stats?list=&category=&from=&to=&period=&publishers=
+ *   GET /api/v1/authors, /api/v1/authors/{name}
+ *   GET /api/v1/publishers, /api/v1/publishers/{name}
+ *   GET /api/v1/openapi.json                          OpenAPI document for all of these
+ *
+ * Routes are defined in _lib/routes.js; paging and format= work as for
+ * /api/db-query. Every error has the same envelope:
+ *   { "error": { "status": 404, "code": "not_found", "message": "List not found: x" } }
+ * with 400 for a missing or invalid parameter, 404 for an unknown route or
+ * anything not stored, and 405 for methods other than GET (and 401, 403 and
+ * 429 from the checks in _lib/access.js).
+ */
+
+import { checkAccess } from './_lib/access.js';
+import { ROUTES, errorStatus, matchRoute, runRoute } from './_lib/routes.js';
+import { buildOpenApiDocument } from './_lib/openapi.js';
+
+// Error codes for each status the API answers with
+const ERROR_CODES = {
+  400: 'invalid_parameter',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  429: 'rate_limited',
+  500: 'internal_error'
+};
+
+// Send an error in the v1 envelope
+function sendError(res, status, message) {
+  res.setHeader('Content-Type', 'application/json');
+  return res.status(status).json({ error: { status, code: ERROR_CODES[status], message } });
+}
+
+// Helper: The requested path below /api/v1, from the rewrite's path parameter
+// or else the URL itself
+function requestPath(req) {
+  const path = Array.isArray(req.query.path) ? req.query.path.join('/') : req.query.path;
+
+  if (path !== undefined) {
+    return `/${path}`;
+  }
+
+  return (req.url || '').split('?')[0].replace(/^\/api\/v1/, '') || '/';
+}
+
+export default async function handler(req, res) {
+  // CORS, API key and rate limit (and preflight requests)
+  if (!checkAccess(req, res, { sendError })) {
+    return;
+  }
+
+  const query = { ...req.query };
+  delete query.path;
+
+  try {
+    const path = requestPath(req);
+
+    if (path === '/openapi.json' || path === '/openapi.json/') {
+      if (req.method !== 'GET') {
+        return sendError(res, 405, 'Method not allowed');
+      }
+      res.setHeader('Content-Type', 'application/json');
+      return res.status(200).json(buildOpenApiDocument(ROUTES));
+    }
+
+    const match = matchRoute(path);
+
+    if (!match) {
+      return sendError(res, 404, `No such route: ${path}`);
+    }
+
+    if (req.method !== 'GET') {
+      return sendError(res, 405, 'Method not allowed');
+    }
+
+    return runRoute(req, res, match.route, { ...query, ...match.params });
+
+  } catch (error) {
+    const status = errorStatus(error);
+
+    if (status === 500) {
+      console.error('Database query error:', error);
+      return sendError(res, 500, 'Database query failed');
+    }
+
+    return sendError(res, status, error.message);
+  }
+}
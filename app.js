@@ -0,0 +1,1453 @@
+/**
+ * NYT Books API Explorer
+ *
+ * The script behind index.html: tabs, the live API queries (through
+ * /api/nyt-proxy) and the Database tab (/api/db-query), and how their results
+ * are shown. It lives outside the page so the page's Content-Security-Policy
+ * (vercel.json) can refuse inline scripts and handlers; buttons are wired up
+ * here instead, by their data-command and data-tab attributes.
+ *
+ * Everything that comes from an API or the page URL is escaped (escapeHtml,
+ * safeUrl) or set as text before it reaches the DOM.
+ */
+
+const BASE_URL = 'https://api.nytimes.com/svc/books/v3';
+let currentResponse = null;
+let currentUrl = '';
+let showRawJson = false;
+
+// Escape text from an API response for use in HTML
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// A link or image URL from an API response, if it is http(s) (so a
+// javascript: or data: URL can't get into an href or src)
+function safeUrl(value) {
+  try {
+    const url = new URL(value, location.href);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+// Search highlights: escaped text, keeping only the <mark> tags the API adds
+function highlightHtml(value) {
+  return escapeHtml(value).replace(/&lt;(\/?)mark&gt;/g, '<$1mark>');
+}
+
+function switchTab(tabName) {
+  // Hide all tabs
+  document.querySelectorAll('.tab-content').forEach(tab => {
+    tab.classList.remove('active');
+  });
+
+  // Remove active class from all buttons
+  document.querySelectorAll('.tab-button').forEach(btn => {
+    btn.classList.remove('active');
+  });
+
+  // Show selected tab
+  document.getElementById(tabName).classList.add('active');
+
+  // Add active class to its button
+  document.querySelector(`.tab-button[data-tab="${tabName}"]`).classList.add('active');
+
+  pushUrlState(new URLSearchParams({ tab: tabName }));
+}
+
+// What goes in the page URL (its #fragment, so links work wherever the
+// page is served from): the tab, and once a query has run, run=1 and
+// the form fields of each tab by URL parameter. Back and forward
+// restore the fields and run the query again.
+const TAB_STATE = {
+  bestsellers: { fields: { date: 'bs-date', list: 'bs-list', offset: 'bs-offset' }, run: () => getBestSellersList() },
+  overview: { fields: { date: 'ov-date' }, run: () => getOverview() },
+  listnames: { fields: {}, run: () => getListNames() },
+  history: { fields: { author: 'hist-author', isbn: 'hist-isbn', title: 'hist-title', offset: 'hist-offset' }, run: () => getHistory() },
+  reviews: { fields: { isbn: 'rev-isbn', title: 'rev-title', author: 'rev-author' }, run: () => getReviews() },
+  agegroups: { fields: {}, run: () => getAgeGroups() },
+  database: {
+    fields: { action: 'db-action', list: 'db-list', date: 'db-date', isbn: 'db-isbn', q: 'db-search' },
+    run: params => runDbQuery(params.get('action'), {
+      list: params.get('list'),
+      date: params.get('date'),
+      isbn: params.get('isbn'),
+      q: params.get('q')
+    })
+  }
+};
+
+// Set while a URL is being restored, so running its query doesn't
+// add another history entry
+let restoringUrlState = false;
+
+function activeTab() {
+  return document.querySelector('.tab-content.active').id;
+}
+
+function pushUrlState(params) {
+  const hash = `#${params}`;
+  if (restoringUrlState || location.hash === hash) return;
+  history.pushState(null, '', hash);
+}
+
+// Record the query the active tab is running
+function recordQuery() {
+  const tab = activeTab();
+  const params = new URLSearchParams({ tab });
+
+  for (const [name, id] of Object.entries(TAB_STATE[tab].fields)) {
+    const value = document.getElementById(id)?.value;
+    if (value) params.set(name, value);
+  }
+  params.set('run', '1');
+
+  pushUrlState(params);
+}
+
+// Fill in a form field, adding the option if a select doesn't have it yet
+function setField(id, value) {
+  const field = document.getElementById(id);
+  if (!field) return;
+
+  if (field.tagName === 'SELECT' && ![...field.options].some(option => option.value === value)) {
+    field.add(new Option(value, value));
+  }
+  field.value = value;
+}
+
+// Show the view the page URL describes
+async function restoreUrlState() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const tab = TAB_STATE[params.get('tab')] ? params.get('tab') : 'bestsellers';
+
+  restoringUrlState = true;
+  try {
+    switchTab(tab);
+
+    if (params.get('run') !== '1') {
+      hideResponse();
+      return;
+    }
+
+    if (tab !== 'database') {
+      for (const [name, id] of Object.entries(TAB_STATE[tab].fields)) {
+        setField(id, params.get(name) || '');
+      }
+    }
+    await TAB_STATE[tab].run(params);
+  } finally {
+    restoringUrlState = false;
+  }
+}
+
+async function makeRequest(url) {
+  recordQuery();
+  showLoading();
+
+  try {
+    // Extract the endpoint path from the full URL
+    const endpoint = url.replace(BASE_URL, '');
+
+    // Use the serverless function (for Vercel deployment)
+    let proxyUrl = `/api/nyt-proxy?endpoint=${encodeURIComponent(endpoint)}`;
+
+    // Check if there are existing query parameters in the endpoint
+    if (endpoint.includes('?')) {
+      const [path, queryString] = endpoint.split('?');
+      proxyUrl = `/api/nyt-proxy?endpoint=${encodeURIComponent(path)}`;
+
+      // Add the original query parameters
+      const params = new URLSearchParams(queryString);
+      for (const [key, value] of params.entries()) {
+        proxyUrl += `&${key}=${encodeURIComponent(value)}`;
+      }
+    }
+
+    const response = await fetch(proxyUrl);
+    const data = await response.json();
+
+    if (response.ok) {
+      currentResponse = data;
+      displayResponse(data, url);
+    } else {
+      showMessage(`Error: ${data.fault?.faultstring || data.message || data.error || 'Request failed'}`, 'error');
+      displayResponse(data, url);
+    }
+  } catch (error) {
+    showMessage(`Error: ${error.message}`, 'error');
+    hideResponse();
+  }
+}
+
+function getBestSellersList() {
+  const date = document.getElementById('bs-date').value || 'current';
+  const list = document.getElementById('bs-list').value;
+  const offset = document.getElementById('bs-offset').value || 0;
+
+  const url = `${BASE_URL}/lists/${encodeURIComponent(date)}/${encodeURIComponent(list)}.json?offset=${encodeURIComponent(offset)}`;
+  makeRequest(url);
+}
+
+function getOverview() {
+  const date = document.getElementById('ov-date').value;
+  let url = `${BASE_URL}/lists/overview.json`;
+
+  if (date) {
+    url += `?published_date=${encodeURIComponent(date)}`;
+  }
+
+  makeRequest(url);
+}
+
+function getListNames() {
+  const url = `${BASE_URL}/lists/names.json`;
+  makeRequest(url);
+}
+
+function getHistory() {
+  const author = document.getElementById('hist-author').value;
+  const isbn = document.getElementById('hist-isbn').value;
+  const title = document.getElementById('hist-title').value;
+  const offset = document.getElementById('hist-offset').value || 0;
+
+  let url = `${BASE_URL}/lists/best-sellers/history.json?offset=${encodeURIComponent(offset)}`;
+
+  if (author) url += `&author=${encodeURIComponent(author)}`;
+  if (isbn) url += `&isbn=${encodeURIComponent(isbn)}`;
+  if (title) url += `&title=${encodeURIComponent(title)}`;
+
+  makeRequest(url);
+}
+
+function getReviews() {
+  const isbn = document.getElementById('rev-isbn').value;
+  const title = document.getElementById('rev-title').value;
+  const author = document.getElementById('rev-author').value;
+
+  if (!isbn && !title && !author) {
+    showMessage('Please provide at least one search parameter (ISBN, title, or author)', 'error');
+    return;
+  }
+
+  let url = `${BASE_URL}/reviews.json?`;
+
+  if (isbn) url += `isbn=${encodeURIComponent(isbn)}&`;
+  if (title) url += `title=${encodeURIComponent(title)}&`;
+  if (author) url += `author=${encodeURIComponent(author)}&`;
+
+  makeRequest(url);
+}
+
+function getAgeGroups() {
+  const url = `${BASE_URL}/lists/age-groups.json`;
+  makeRequest(url);
+}
+
+// Database query functions
+function updateDbForm() {
+  const action = document.getElementById('db-action').value;
+  const formFields = document.getElementById('db-form-fields');
+
+  let html = '';
+
+  if (action === 'current' || action === 'history' || action === 'dates') {
+    html += '<div class="form-group" style="margin-top: 15px;">';
+    html += '<label for="db-list">List Name:</label>';
+    html += '<input type="search" id="db-list-filter" class="list-filter" placeholder="Filter lists..." style="width: 100%; max-width: 400px;" />';
+    html += '<select id="db-list" style="width: 100%; max-width: 400px; padding: 10px;">';
+    html += '<option value="">Loading lists...</option>';
+    html += '</select>';
+    html += '</div>';
+  }
+
+  if (action === 'history') {
+    html += '<div class="form-group" style="margin-top: 15px;">';
+    html += '<label for="db-date">Edition:</label>';
+    html += '<select id="db-date" style="width: 100%; max-width: 400px; padding: 10px;">';
+    html += '<option value="">Latest edition</option>';
+    html += '</select>';
+    html += '</div>';
+  }
+
+  if (action === 'search') {
+    html += '<div class="form-group" style="margin-top: 15px;">';
+    html += '<label for="db-search">Search Term (title, author, publisher or description):</label>';
+    html += '<input type="text" id="db-search" placeholder="e.g., &quot;harry potter&quot; or author:king shin*" style="width: 100%; max-width: 400px; padding: 10px;" />';
+    html += '<small>Use "quotes" for phrases, word* for prefixes, OR between terms, and author: or publisher: to narrow a term</small>';
+    html += '</div>';
+  }
+
+  if (action === 'book') {
+    html += '<div class="form-group" style="margin-top: 15px;">';
+    html += '<label for="db-isbn">ISBN (10 or 13 digits):</label>';
+    html += '<input type="text" id="db-isbn" placeholder="e.g., 9781234567890" style="width: 100%; max-width: 400px; padding: 10px;" />';
+    html += '</div>';
+  }
+
+  if (action === 'reviews') {
+    html += '<div class="form-group" style="margin-top: 15px;">';
+    html += '<label for="db-isbn">ISBN (optional, latest reviews if empty):</label>';
+    html += '<input type="text" id="db-isbn" placeholder="e.g., 9781234567890" style="width: 100%; max-width: 400px; padding: 10px;" />';
+    html += '</div>';
+  }
+
+  formFields.innerHTML = html;
+
+  if (document.getElementById('db-list')) {
+    return setUpListPicker('db-list', { stored: true, onChange: updateEditionPicker });
+  }
+}
+
+// Lists the database holds (action=lists), loaded once
+let listsPromise = null;
+
+// Dates of each list's stored editions (action=dates), by list
+const editionDatesCache = new Map();
+
+// How list pickers group lists, in order: by cadence, then category
+// (the first pattern matching the encoded name), with lists NYT hasn't
+// published for RETIRED_AFTER_DAYS at the end
+const LIST_CADENCES = { WEEKLY: 'Weekly', MONTHLY: 'Monthly' };
+const LIST_CATEGORIES = [
+  ["Children's", /children|young-adult|picture-books|middle-grade|series-books/],
+  ['Nonfiction', /nonfiction/],
+  ['Fiction', /fiction/],
+  ['Other', /./]
+];
+const RETIRED_AFTER_DAYS = 90;
+
+// Every row of a paged db-query action; onPage sees each page's whole response
+async function fetchAllPages(url, key, onPage = () => {}) {
+  let rows = [];
+  let cursor = null;
+
+  do {
+    const response = await fetch(`${url}&limit=1000${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    onPage(data);
+    rows = rows.concat(data[key]);
+    cursor = data.next;
+  } while (cursor);
+
+  return rows;
+}
+
+function loadLists() {
+  if (!listsPromise) {
+    listsPromise = fetchAllPages('/api/db-query?action=lists', 'lists').catch(error => {
+      listsPromise = null;
+      throw error;
+    });
+  }
+  return listsPromise;
+}
+
+function loadEditionDates(list) {
+  if (!editionDatesCache.has(list)) {
+    const dates = fetchAllPages(`/api/db-query?action=dates&list=${encodeURIComponent(list)}`, 'dates')
+      .then(rows => rows.map(row => row.published_date));
+    editionDatesCache.set(list, dates);
+    dates.catch(() => editionDatesCache.delete(list));
+  }
+  return editionDatesCache.get(list);
+}
+
+function listGroup(list, newestOverall) {
+  const newest = list.newest_published_date || list.latest_edition;
+  if (newest && Date.parse(newestOverall) - Date.parse(newest) > RETIRED_AFTER_DAYS * DAY_MS) {
+    return 'Retired';
+  }
+
+  const cadence = LIST_CADENCES[list.updated] || 'Other';
+  const [category] = LIST_CATEGORIES.find(([, pattern]) => pattern.test(list.list_name_encoded));
+  return `${cadence} · ${category}`;
+}
+
+// Fill a list picker with the lists matching filter, grouped. stored is
+// for the Database tab: it shows the editions the database holds and
+// can't pick lists it holds none of; otherwise the picker shows the
+// dates NYT has published each list between.
+function fillListSelect(select, lists, { filter = '', stored = false } = {}) {
+  const selected = select.value;
+  const needle = filter.trim().toLowerCase();
+  const newestOverall = lists
+    .map(list => list.newest_published_date || list.latest_edition)
+    .filter(Boolean)
+    .sort()
+    .pop();
+
+  const groupOrder = [
+    ...Object.values(LIST_CADENCES), 'Other'
+  ].flatMap(cadence => LIST_CATEGORIES.map(([category]) => `${cadence} · ${category}`)).concat('Retired');
+
+  const groups = new Map(groupOrder.map(group => [group, []]));
+  lists
+    .filter(list => !needle
+      || list.display_name.toLowerCase().includes(needle)
+      || list.list_name_encoded.includes(needle))
+    .forEach(list => groups.get(listGroup(list, newestOverall)).push(list));
+
+  let html = '';
+  groups.forEach((members, group) => {
+    if (members.length === 0) return;
+
+    html += `<optgroup label="${escapeHtml(group)}">`;
+    members.forEach(list => {
+      const empty = stored && !list.total_editions;
+      const coverage = stored
+        ? (empty ? 'nothing stored' : `${list.first_edition} – ${list.latest_edition}, ${list.total_editions} editions`)
+        : `${list.oldest_published_date || '?'} – ${list.newest_published_date || '?'}`;
+      html += `<option value="${escapeHtml(list.list_name_encoded)}"${empty ? ' disabled' : ''}>${escapeHtml(list.display_name)} (${escapeHtml(coverage)})</option>`;
+    });
+    html += '</optgroup>';
+  });
+
+  select.innerHTML = html || '<option value="" disabled>No lists match</option>';
+
+  if ([...select.options].some(option => option.value === selected && !option.disabled)) {
+    select.value = selected;
+  } else {
+    const first = [...select.options].find(option => !option.disabled);
+    if (first) select.value = first.value;
+  }
+}
+
+// Populate a list picker from the database and hook up its filter box.
+// onChange runs whenever the picked list changes, and once populated.
+async function setUpListPicker(selectId, { stored = false, onChange = null } = {}) {
+  const select = document.getElementById(selectId);
+  const filterInput = document.getElementById(`${selectId}-filter`);
+
+  let lists;
+  try {
+    lists = await loadLists();
+  } catch (error) {
+    // The Best Sellers tab keeps its built-in lists (it works
+    // without the database); the Database tab can't
+    if (stored) {
+      select.innerHTML = `<option value="">Could not load lists: ${escapeHtml(error.message)}</option>`;
+    }
+    return;
+  }
+
+  // The form may have been replaced while the lists loaded
+  if (!select.isConnected) return;
+
+  const refresh = () => {
+    const previous = select.value;
+    fillListSelect(select, lists, { filter: filterInput.value, stored });
+    if (onChange && select.value !== previous) onChange();
+  };
+
+  fillListSelect(select, lists, { filter: filterInput.value, stored });
+  filterInput.addEventListener('input', refresh);
+  if (onChange) {
+    select.addEventListener('change', onChange);
+    await onChange();
+  }
+}
+
+// Offer the stored editions of the picked list as history dates
+async function updateEditionPicker() {
+  const dateSelect = document.getElementById('db-date');
+  const list = document.getElementById('db-list')?.value;
+  if (!dateSelect || !list) return;
+
+  const selected = dateSelect.value;
+  dateSelect.innerHTML = '<option value="">Latest edition</option>';
+
+  let dates;
+  try {
+    dates = await loadEditionDates(list);
+  } catch (error) {
+    showMessage(`Could not load the editions of ${list}: ${error.message}`, 'error');
+    return;
+  }
+
+  // Another list may have been picked while these loaded
+  if (document.getElementById('db-list')?.value !== list) return;
+
+  dates.forEach(date => dateSelect.add(new Option(date, date)));
+  if (dates.includes(selected)) {
+    dateSelect.value = selected;
+  }
+}
+
+async function queryDatabase() {
+  const action = document.getElementById('db-action').value;
+  let url = '/api/db-query?action=' + action;
+
+  // Add parameters based on action
+  if (action === 'current' || action === 'history' || action === 'dates') {
+    const list = document.getElementById('db-list').value;
+    url += '&list=' + encodeURIComponent(list);
+  }
+
+  if (action === 'history') {
+    const date = document.getElementById('db-date').value;
+    if (date) {
+      url += '&date=' + encodeURIComponent(date);
+    }
+  }
+
+  if (action === 'search') {
+    const searchTerm = document.getElementById('db-search').value;
+    if (!searchTerm) {
+      showMessage('Please enter a search term', 'error');
+      return;
+    }
+    url += '&q=' + encodeURIComponent(searchTerm);
+  }
+
+  if (action === 'book') {
+    const isbn = document.getElementById('db-isbn').value;
+    if (!isbn) {
+      showMessage('Please enter an ISBN', 'error');
+      return;
+    }
+    url += '&isbn=' + encodeURIComponent(isbn);
+  }
+
+  if (action === 'reviews') {
+    const isbn = document.getElementById('db-isbn').value;
+    if (isbn) {
+      url += '&isbn=' + encodeURIComponent(isbn);
+    }
+  }
+
+  // Make the request
+  recordQuery();
+  showLoading();
+
+  try {
+    const response = await fetch(url);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Database query failed');
+    }
+
+    currentResponse = data;
+    displayResponse(data, url);
+  } catch (error) {
+    console.error('Error querying database:', error);
+    showMessage('Error: ' + error.message, 'error');
+  }
+}
+
+// Run a database query from a link in the results (an ISBN, a date, a
+// list) or the page URL, filling in the form so it shows what was asked
+async function runDbQuery(action, params) {
+  if (!document.querySelector(`#db-action option[value="${CSS.escape(action || '')}"]`)) {
+    showMessage(`Unknown query type: ${action}`, 'error');
+    return;
+  }
+  document.getElementById('db-action').value = action;
+  await updateDbForm();
+
+  if (params.list) {
+    const select = document.getElementById('db-list');
+    if (![...select.options].some(option => option.value === params.list)) {
+      select.add(new Option(params.list, params.list));
+    }
+    select.value = params.list;
+    await updateEditionPicker();
+  }
+  if (params.date) {
+    const dateSelect = document.getElementById('db-date');
+    if (![...dateSelect.options].some(option => option.value === params.date)) {
+      dateSelect.add(new Option(params.date, params.date));
+    }
+    dateSelect.value = params.date;
+  }
+  if (params.isbn) {
+    document.getElementById('db-isbn').value = params.isbn;
+  }
+  if (params.q) {
+    document.getElementById('db-search').value = params.q;
+  }
+
+  return queryDatabase();
+}
+
+// Clicks on ISBNs, dates and lists in database results, and on the
+// rank chart's remove buttons
+function handleDbLinkClick(event) {
+  const remove = event.target.closest('.chart-remove');
+  if (remove) {
+    removeChartBook(remove.dataset.chartIsbn);
+    return;
+  }
+
+  const link = event.target.closest('.db-link');
+  if (!link) return;
+
+  event.preventDefault();
+  const { isbn, list, date } = link.dataset;
+
+  if (isbn) {
+    runDbQuery('book', { isbn });
+  } else if (list && date) {
+    runDbQuery('history', { list, date });
+  } else if (list) {
+    runDbQuery('current', { list });
+  }
+}
+
+// What each button's data-command runs
+const COMMANDS = {
+  getBestSellersList,
+  getOverview,
+  getListNames,
+  getHistory,
+  getReviews,
+  getAgeGroups,
+  queryDatabase,
+  toggleRawJson,
+  copyResponse
+};
+
+function handleCommandClick(event) {
+  const button = event.target.closest('[data-command]');
+  if (button && COMMANDS[button.dataset.command]) {
+    COMMANDS[button.dataset.command](event);
+  }
+}
+
+function handleTabClick(event) {
+  const button = event.target.closest('.tab-button');
+  if (button) switchTab(button.dataset.tab);
+}
+
+// Wire up the tabs, buttons and database form on page load, then show the
+// view the URL links to
+document.addEventListener('DOMContentLoaded', function() {
+  document.querySelector('.tab-buttons').addEventListener('click', handleTabClick);
+  document.addEventListener('click', handleCommandClick);
+  document.getElementById('db-action').addEventListener('change', updateDbForm);
+
+  updateDbForm();
+  setUpListPicker('bs-list');
+  restoreUrlState();
+  window.addEventListener('popstate', restoreUrlState);
+  const responseContent = document.getElementById('responseContent');
+  responseContent.addEventListener('click', handleDbLinkClick);
+  responseContent.addEventListener('submit', addChartBook);
+  responseContent.addEventListener('mouseover', showChartTooltip);
+  responseContent.addEventListener('mouseout', hideChartTooltip);
+});
+
+function displayResponse(data, url) {
+  const responseDiv = document.getElementById('response');
+  const contentDiv = document.getElementById('responseContent');
+
+  responseDiv.classList.remove('hidden');
+  currentUrl = url;
+
+  if (showRawJson) {
+    displayRawJson(data, contentDiv);
+  } else {
+    displayAsTable(data, contentDiv, url);
+  }
+}
+
+function displayRawJson(data, contentDiv) {
+  const jsonString = JSON.stringify(data, null, 2);
+  contentDiv.innerHTML = `<pre>${syntaxHighlight(jsonString)}</pre>`;
+  contentDiv.style.background = '#1e1e1e';
+  contentDiv.style.padding = '20px';
+}
+
+function displayAsTable(data, contentDiv, url) {
+  contentDiv.style.background = 'transparent';
+  contentDiv.style.padding = '0';
+
+  // Database tab results, by the action asked for
+  if (url.startsWith('/api/db-query')) {
+    const action = new URLSearchParams(url.split('?')[1]).get('action');
+    if (DB_RENDERERS[action]) {
+      DB_RENDERERS[action](data, contentDiv);
+    } else {
+      displayRawJson(data, contentDiv);
+    }
+    return;
+  }
+
+  // Determine the type of response and display accordingly
+  if (data.results) {
+    if (Array.isArray(data.results)) {
+      // List Names, Age Groups, or History results
+      if (url.includes('/names.json')) {
+        displayListNamesTable(data.results, contentDiv);
+      } else if (url.includes('/age-groups.json')) {
+        displayAgeGroupsTable(data.results, contentDiv);
+      } else if (url.includes('/history.json')) {
+        displayHistoryTable(data.results, contentDiv);
+      } else if (url.includes('/reviews.json')) {
+        displayReviewsTable(data.results, contentDiv);
+      } else {
+        displayGenericTable(data.results, contentDiv);
+      }
+    } else if (data.results.books) {
+      // Best Sellers List
+      displayBestSellersTable(data.results, contentDiv);
+    } else if (data.results.lists) {
+      // Overview
+      displayOverviewTable(data.results.lists, contentDiv);
+    }
+  } else {
+    // Fallback to raw JSON if structure is unknown
+    displayRawJson(data, contentDiv);
+  }
+}
+
+function displayBestSellersTable(results, contentDiv) {
+  const books = results.books || [];
+  let html = '<div class="table-container"><table class="results-table">';
+  html += '<thead><tr>';
+  html += '<th>Rank</th>';
+  html += '<th>Title</th>';
+  html += '<th>Author</th>';
+  html += '<th>Publisher</th>';
+  html += '<th>Description</th>';
+  html += '<th>Weeks on List</th>';
+  html += '</tr></thead><tbody>';
+
+  books.forEach(book => {
+    html += '<tr>';
+    html += `<td><strong>${escapeHtml(book.rank)}</strong></td>`;
+    html += `<td><strong>${escapeHtml(book.title)}</strong></td>`;
+    html += `<td>${escapeHtml(book.author)}</td>`;
+    html += `<td>${escapeHtml(book.publisher)}</td>`;
+    html += `<td>${escapeHtml(book.description || 'N/A')}</td>`;
+    html += `<td>${escapeHtml(book.weeks_on_list)}</td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table></div>';
+  contentDiv.innerHTML = html;
+}
+
+function displayOverviewTable(lists, contentDiv) {
+  let html = '<div class="table-container">';
+
+  lists.forEach(list => {
+    html += `<h3 style="color: #333; margin: 20px 0 10px 0;">${escapeHtml(list.display_name)}</h3>`;
+    html += '<table class="results-table">';
+    html += '<thead><tr>';
+    html += '<th>Rank</th>';
+    html += '<th>Title</th>';
+    html += '<th>Author</th>';
+    html += '<th>Description</th>';
+    html += '</tr></thead><tbody>';
+
+    list.books.forEach(book => {
+      html += '<tr>';
+      html += `<td><strong>${escapeHtml(book.rank)}</strong></td>`;
+      html += `<td><strong>${escapeHtml(book.title)}</strong></td>`;
+      html += `<td>${escapeHtml(book.author)}</td>`;
+      html += `<td>${escapeHtml(book.description || 'N/A')}</td>`;
+      html += '</tr>';
+    });
+
+    html += '</tbody></table>';
+  });
+
+  html += '</div>';
+  contentDiv.innerHTML = html;
+}
+
+function displayListNamesTable(results, contentDiv) {
+  let html = '<div class="table-container"><table class="results-table">';
+  html += '<thead><tr>';
+  html += '<th>List Name</th>';
+  html += '<th>Display Name</th>';
+  html += '<th>Oldest</th>';
+  html += '<th>Newest</th>';
+  html += '<th>Update Frequency</th>';
+  html += '</tr></thead><tbody>';
+
+  results.forEach(item => {
+    html += '<tr>';
+    html += `<td><code>${escapeHtml(item.list_name_encoded)}</code></td>`;
+    html += `<td><strong>${escapeHtml(item.display_name)}</strong></td>`;
+    html += `<td>${escapeHtml(item.oldest_published_date)}</td>`;
+    html += `<td>${escapeHtml(item.newest_published_date)}</td>`;
+    html += `<td>${escapeHtml(item.updated)}</td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table></div>';
+  contentDiv.innerHTML = html;
+}
+
+function displayAgeGroupsTable(results, contentDiv) {
+  let html = '<div class="table-container"><table class="results-table">';
+  html += '<thead><tr>';
+  html += '<th>Age Group</th>';
+  html += '</tr></thead><tbody>';
+
+  results.forEach(item => {
+    html += '<tr>';
+    html += `<td><strong>${escapeHtml(item.age_group)}</strong></td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table></div>';
+  contentDiv.innerHTML = html;
+}
+
+function displayHistoryTable(results, contentDiv) {
+  let html = '<div class="table-container"><table class="results-table">';
+  html += '<thead><tr>';
+  html += '<th>Title</th>';
+  html += '<th>Author</th>';
+  html += '<th>Publisher</th>';
+  html += '<th>Description</th>';
+  html += '<th>ISBN</th>';
+  html += '</tr></thead><tbody>';
+
+  results.forEach(book => {
+    html += '<tr>';
+    html += `<td><strong>${escapeHtml(book.title)}</strong></td>`;
+    html += `<td>${escapeHtml(book.author)}</td>`;
+    html += `<td>${escapeHtml(book.publisher)}</td>`;
+    html += `<td>${escapeHtml(book.description || 'N/A')}</td>`;
+    html += `<td>${escapeHtml(book.isbns?.map(i => i.isbn13 || i.isbn10).join(', ') || 'N/A')}</td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table></div>';
+  contentDiv.innerHTML = html;
+}
+
+function displayReviewsTable(results, contentDiv) {
+  let html = '<div class="table-container"><table class="results-table">';
+  html += '<thead><tr>';
+  html += '<th>Book Title</th>';
+  html += '<th>Author</th>';
+  html += '<th>Summary</th>';
+  html += '<th>Publication Date</th>';
+  html += '<th>Review Link</th>';
+  html += '</tr></thead><tbody>';
+
+  results.forEach(review => {
+    html += '<tr>';
+    html += `<td><strong>${escapeHtml(review.book_title)}</strong></td>`;
+    html += `<td>${escapeHtml(review.book_author)}</td>`;
+    html += `<td>${escapeHtml(review.summary)}</td>`;
+    html += `<td>${escapeHtml(review.publication_dt)}</td>`;
+    html += `<td><a href="${escapeHtml(safeUrl(review.url))}" target="_blank" rel="noopener">View Review</a></td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table></div>';
+  contentDiv.innerHTML = html;
+}
+
+function displayGenericTable(results, contentDiv) {
+  if (results.length === 0) {
+    contentDiv.innerHTML = '<p style="padding: 20px;">No results found.</p>';
+    return;
+  }
+
+  let html = '<div class="table-container"><table class="results-table">';
+
+  // Get all unique keys from results
+  const keys = [...new Set(results.flatMap(Object.keys))];
+
+  html += '<thead><tr>';
+  keys.forEach(key => {
+    html += `<th>${escapeHtml(key.replace(/_/g, ' ').toUpperCase())}</th>`;
+  });
+  html += '</tr></thead><tbody>';
+
+  results.forEach(item => {
+    html += '<tr>';
+    keys.forEach(key => {
+      const value = item[key];
+      const displayValue = typeof value === 'object' ? JSON.stringify(value) : (value || 'N/A');
+      html += `<td>${escapeHtml(displayValue)}</td>`;
+    });
+    html += '</tr>';
+  });
+
+  html += '</tbody></table></div>';
+  contentDiv.innerHTML = html;
+}
+
+function coverImage(url, title) {
+  if (!safeUrl(url)) {
+    return '<span class="book-cover"></span>';
+  }
+  return `<img class="book-cover" src="${escapeHtml(safeUrl(url))}" alt="${escapeHtml(title)}" loading="lazy" />`;
+}
+
+// Movement since the previous edition (NYT gives 0 for books that weren't on it)
+function rankMovement(rank, rankLastWeek) {
+  if (!rankLastWeek) {
+    return '<span class="rank-move new" title="New this week">NEW</span>';
+  }
+  if (rankLastWeek > rank) {
+    return `<span class="rank-move up" title="Up from ${escapeHtml(rankLastWeek)}">▲ ${escapeHtml(rankLastWeek - rank)}</span>`;
+  }
+  if (rankLastWeek < rank) {
+    return `<span class="rank-move down" title="Down from ${escapeHtml(rankLastWeek)}">▼ ${escapeHtml(rank - rankLastWeek)}</span>`;
+  }
+  return '<span class="rank-move same" title="Unchanged">▬</span>';
+}
+
+function isbnLink(isbn) {
+  if (!isbn) return 'N/A';
+  return `<a href="#" class="db-link" data-isbn="${escapeHtml(isbn)}" title="Book details">${escapeHtml(isbn)}</a>`;
+}
+
+function editionLink(list, date) {
+  if (!date) return 'N/A';
+  return `<a href="#" class="db-link" data-list="${escapeHtml(list)}" data-date="${escapeHtml(date)}" title="Open this edition">${escapeHtml(date)}</a>`;
+}
+
+function listLink(list, label) {
+  return `<a href="#" class="db-link" data-list="${escapeHtml(list)}" title="Latest edition">${escapeHtml(label)}</a>`;
+}
+
+function percent(value) {
+  return value === null || value === undefined ? 'N/A' : `${(value * 100).toFixed(1)}%`;
+}
+
+// Paged results: how many of how many are shown
+function pageSummary(data) {
+  if (data.total === undefined) return '';
+  return data.count < data.total
+    ? `<small>(${escapeHtml(data.offset + 1)}–${escapeHtml(data.offset + data.count)} of ${escapeHtml(data.total)})</small>`
+    : `<small>(${escapeHtml(data.total)})</small>`;
+}
+
+// action=current and action=history
+function displayDbEdition(data, contentDiv) {
+  let html = '<div class="table-container">';
+  html += `<h3 class="results-heading">${escapeHtml(data.list)} — ${editionLink(data.list_name_encoded, data.published_date)} ${pageSummary(data)}</h3>`;
+  html += '<table class="results-table">';
+  html += '<thead><tr>';
+  html += '<th>Rank</th>';
+  html += '<th></th>';
+  html += '<th>Title</th>';
+  html += '<th>Publisher</th>';
+  html += '<th>Weeks on List</th>';
+  html += '<th>ISBN</th>';
+  html += '</tr></thead><tbody>';
+
+  data.books.forEach(book => {
+    html += '<tr>';
+    html += `<td><strong>${escapeHtml(book.rank)}</strong>${rankMovement(book.rank, book.rank_last_week)}</td>`;
+    html += `<td>${coverImage(book.book_image, book.title)}</td>`;
+    html += `<td><strong>${escapeHtml(book.title)}</strong><br>${escapeHtml(book.author)}<br><small>${escapeHtml(book.description)}</small></td>`;
+    html += `<td>${escapeHtml(book.publisher)}</td>`;
+    html += `<td>${escapeHtml(book.weeks_on_list)}</td>`;
+    html += `<td>${isbnLink(book.primary_isbn13 || book.primary_isbn10)}</td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table></div>';
+  contentDiv.innerHTML = html;
+}
+
+// action=book
+function displayDbBook(data, contentDiv) {
+  const book = data.book;
+  let html = '<div class="table-container">';
+
+  html += '<div class="book-card">';
+  html += coverImage(book.book_image, book.title);
+  html += '<div>';
+  html += `<h3>${escapeHtml(book.title)}</h3>`;
+  html += `<p>by <strong>${escapeHtml(book.author)}</strong> · ${escapeHtml(book.publisher)}</p>`;
+  html += `<p>${escapeHtml(book.description)}</p>`;
+  html += `<p><small>ISBNs: ${data.isbns.map(isbn => isbnLink(isbn.isbn13 || isbn.isbn10)).join(', ')}</small></p>`;
+  if (safeUrl(book.amazon_product_url)) {
+    html += `<p><a href="${escapeHtml(safeUrl(book.amazon_product_url))}" target="_blank" rel="noopener">Buy on Amazon</a></p>`;
+  }
+  html += '</div></div>';
+
+  if (data.editions.length > 1) {
+    html += '<h3 class="results-heading">Editions</h3>';
+    html += '<table class="results-table">';
+    html += '<thead><tr><th></th><th>Title</th><th>Publisher</th><th>ISBN</th><th>On Lists</th><th>Appearances</th></tr></thead><tbody>';
+    data.editions.forEach(edition => {
+      html += '<tr>';
+      html += `<td>${coverImage(edition.book_image, edition.title)}</td>`;
+      html += `<td><strong>${escapeHtml(edition.title)}</strong><br>${escapeHtml(edition.author)}</td>`;
+      html += `<td>${escapeHtml(edition.publisher)}</td>`;
+      html += `<td>${isbnLink(edition.primary_isbn13 || edition.primary_isbn10)}</td>`;
+      html += `<td>${escapeHtml(edition.first_appearance || 'N/A')} – ${escapeHtml(edition.last_appearance || 'N/A')}</td>`;
+      html += `<td>${escapeHtml(edition.appearances)}</td>`;
+      html += '</tr>';
+    });
+    html += '</tbody></table><br>';
+  }
+
+  html += '<h3 class="results-heading">Rank Over Time</h3>';
+  html += '<div id="rank-chart" class="rank-chart">';
+  html += '<div class="chart-plot"><p>Loading chart...</p></div>';
+  html += '<div class="chart-legend"></div>';
+  html += '<form class="chart-compare">';
+  html += '<input type="text" id="chart-isbn" placeholder="ISBN of another book" />';
+  html += '<button type="submit">Compare</button>';
+  html += '<span class="chart-message"></span>';
+  html += '</form>';
+  html += '<div class="chart-tooltip hidden"></div>';
+  html += '</div>';
+
+  html += `<h3 class="results-heading">Ranking History ${pageSummary(data)}</h3>`;
+  html += '<table class="results-table">';
+  html += '<thead><tr><th>List</th><th>Date</th><th>Rank</th><th>Weeks on List</th><th>ISBN</th></tr></thead><tbody>';
+  data.ranking_history.forEach(entry => {
+    html += '<tr>';
+    html += `<td>${listLink(entry.list_name_encoded, entry.list_name)}</td>`;
+    html += `<td>${editionLink(entry.list_name_encoded, entry.published_date)}</td>`;
+    html += `<td><strong>${escapeHtml(entry.rank)}</strong>${rankMovement(entry.rank, entry.rank_last_week)}</td>`;
+    html += `<td>${escapeHtml(entry.weeks_on_list)}</td>`;
+    html += `<td>${isbnLink(entry.primary_isbn13)}</td>`;
+    html += '</tr>';
+  });
+  html += '</tbody></table>';
+
+  if (data.reviews && data.reviews.length > 0) {
+    html += '<br><h3 class="results-heading">Reviews</h3>';
+    html += '<table class="results-table">';
+    html += '<thead><tr><th>Summary</th><th>By</th><th>Published</th><th>Review</th></tr></thead><tbody>';
+    data.reviews.forEach(review => {
+      html += '<tr>';
+      html += `<td>${escapeHtml(review.summary || 'N/A')}</td>`;
+      html += `<td>${escapeHtml(review.byline)}</td>`;
+      html += `<td>${escapeHtml(review.publication_dt)}</td>`;
+      html += `<td><a href="${escapeHtml(safeUrl(review.url))}" target="_blank" rel="noopener">View Review</a></td>`;
+      html += '</tr>';
+    });
+    html += '</tbody></table>';
+  }
+
+  html += '</div>';
+  contentDiv.innerHTML = html;
+
+  showRankChart(book.primary_isbn13 || book.primary_isbn10, data);
+}
+
+// action=dates
+function displayDbDates(data, contentDiv) {
+  let html = '<div class="table-container">';
+  html += `<h3 class="results-heading">${escapeHtml(data.list)} editions ${pageSummary(data)}</h3>`;
+  html += '<table class="results-table">';
+  html += '<thead><tr><th>Published Date</th><th>Books</th></tr></thead><tbody>';
+
+  data.dates.forEach(edition => {
+    html += '<tr>';
+    html += `<td>${editionLink(data.list_name_encoded, edition.published_date)}</td>`;
+    html += `<td>${escapeHtml(edition.books_count)}</td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table></div>';
+  contentDiv.innerHTML = html;
+}
+
+// action=search
+function displayDbSearch(data, contentDiv) {
+  if (data.books.length === 0) {
+    contentDiv.innerHTML = `<p style="padding: 20px;">No books match ${escapeHtml(data.query)}.</p>`;
+    return;
+  }
+
+  let html = '<div class="table-container">';
+  html += `<h3 class="results-heading">Results for “${escapeHtml(data.query)}” ${pageSummary(data)}</h3>`;
+  html += '<table class="results-table">';
+  html += '<thead><tr><th></th><th>Title</th><th>Publisher</th><th>On Lists</th><th>Best Run</th><th>ISBN</th></tr></thead><tbody>';
+
+  data.books.forEach(book => {
+    html += '<tr>';
+    html += `<td>${coverImage(book.book_image, book.title)}</td>`;
+    html += `<td><strong>${highlightHtml(book.title_highlight || book.title)}</strong><br>${escapeHtml(book.author)}<br><small>${highlightHtml(book.snippet)}</small></td>`;
+    html += `<td>${escapeHtml(book.publisher)}</td>`;
+    html += `<td>${escapeHtml(book.first_appearance || 'N/A')} – ${escapeHtml(book.last_appearance || 'N/A')}<br><small>${escapeHtml(book.lists_count)} list(s)</small></td>`;
+    html += `<td>${book.max_weeks_on_list ? `${escapeHtml(book.max_weeks_on_list)} weeks` : 'N/A'}</td>`;
+    html += `<td>${isbnLink(book.primary_isbn13 || book.primary_isbn10)}</td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table></div>';
+  contentDiv.innerHTML = html;
+}
+
+// action=lists
+function displayDbLists(data, contentDiv) {
+  let html = '<div class="table-container">';
+  html += `<h3 class="results-heading">Lists ${pageSummary(data)}</h3>`;
+  html += '<table class="results-table">';
+  html += '<thead><tr><th>List</th><th>Encoded Name</th><th>Updated</th><th>Editions</th><th>Oldest</th><th>Latest</th></tr></thead><tbody>';
+
+  data.lists.forEach(list => {
+    html += '<tr>';
+    html += `<td>${listLink(list.list_name_encoded, list.display_name)}</td>`;
+    html += `<td><code>${escapeHtml(list.list_name_encoded)}</code></td>`;
+    html += `<td>${escapeHtml(list.updated)}</td>`;
+    html += `<td>${escapeHtml(list.total_editions)}</td>`;
+    html += `<td>${escapeHtml(list.oldest_published_date || 'N/A')}</td>`;
+    html += `<td>${editionLink(list.list_name_encoded, list.latest_edition)}</td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table></div>';
+  contentDiv.innerHTML = html;
+}
+
+// action=stats
+function displayDbStats(data, contentDiv) {
+  const { stats, summary } = data;
+  const card = (value, label) => `<div class="stat-card"><h3>${escapeHtml(value ?? 'N/A')}</h3><p>${label}</p></div>`;
+
+  let html = '<div class="table-container">';
+  html += '<h3 class="results-heading">Database</h3>';
+  html += '<div class="stats">';
+  html += card(stats.lists_count, 'Lists');
+  html += card(stats.works_count, 'Works');
+  html += card(stats.books_count, 'Books');
+  html += card(stats.rankings_count, 'Rankings');
+  html += card(stats.reviews_count, 'Reviews');
+  html += card(`${stats.oldest_date || '?'} – ${stats.newest_date || '?'}`, 'Date range');
+  html += '</div><br>';
+
+  html += '<h3 class="results-heading">Rankings</h3>';
+  html += '<div class="stats">';
+  html += card(summary.titles, 'Titles');
+  html += card(summary.number_one_titles, '#1 titles');
+  html += card(summary.avg_tenure_weeks, 'Average weeks on a list');
+  html += card(percent(summary.debut_at_number_one_rate), 'Debuts at #1');
+  html += card(summary.avg_new_per_week, 'New books per edition');
+  html += card(percent(summary.turnover_rate), 'Weekly turnover');
+  html += '</div><br>';
+
+  html += '<h3 class="results-heading">#1 Books</h3>';
+  html += '<table class="results-table">';
+  html += '<thead><tr><th>Title</th><th>Author</th><th>Weeks at #1</th><th>Lists</th></tr></thead><tbody>';
+  data.number_ones.forEach(book => {
+    html += `<tr><td><strong>${escapeHtml(book.title)}</strong></td><td>${escapeHtml(book.author)}</td><td>${escapeHtml(book.weeks_at_number_one)}</td><td>${escapeHtml(book.lists_appeared)}</td></tr>`;
+  });
+  html += '</tbody></table><br>';
+
+  html += '<h3 class="results-heading">Longest Running</h3>';
+  html += '<table class="results-table">';
+  html += '<thead><tr><th>Title</th><th>Author</th><th>Editions on a List</th><th>Most Weeks</th><th>Lists</th></tr></thead><tbody>';
+  data.top_books_by_longevity.forEach(book => {
+    html += `<tr><td><strong>${escapeHtml(book.title)}</strong></td><td>${escapeHtml(book.author)}</td><td>${escapeHtml(book.total_weeks)}</td><td>${escapeHtml(book.max_weeks)}</td><td>${escapeHtml(book.lists_appeared)}</td></tr>`;
+  });
+  html += '</tbody></table><br>';
+
+  html += '<h3 class="results-heading">Publisher Share</h3>';
+  html += '<table class="results-table">';
+  html += '<thead><tr><th>Period</th><th>Entries</th><th>Top 5 Share</th><th>Leading Publishers</th></tr></thead><tbody>';
+  data.publisher_share.forEach(period => {
+    const leaders = period.publishers.slice(0, 5)
+      .map(publisher => `${escapeHtml(publisher.publisher)} (${percent(publisher.share)})`)
+      .join(', ');
+    html += `<tr><td><strong>${escapeHtml(period.period)}</strong></td><td>${escapeHtml(period.entries)}</td><td>${percent(period.top5_share)}</td><td>${leaders}</td></tr>`;
+  });
+  html += '</tbody></table>';
+
+  html += '</div>';
+  contentDiv.innerHTML = html;
+}
+
+// action=reviews
+function displayDbReviews(data, contentDiv) {
+  if (data.reviews.length === 0) {
+    contentDiv.innerHTML = '<p style="padding: 20px;">No reviews found.</p>';
+    return;
+  }
+  displayReviewsTable(data.reviews, contentDiv);
+}
+
+// Rank chart: the books plotted, each with its whole ranking history
+let chartBooks = [];
+
+const CHART_COLORS = ['#667eea', '#e8590c', '#2b8a3e', '#c2255c', '#1098ad', '#f59f00', '#5f3dc4', '#495057'];
+const CHART_DASHES = ['', '6 3', '2 3', '8 3 2 3'];
+const CHART_SIZE = { width: 800, height: 320, top: 15, right: 20, bottom: 35, left: 45 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function chartBook(isbn, data) {
+  return { isbn, title: data.book.title, author: data.book.author, history: data.ranking_history };
+}
+
+// A book's ranking history in full, however many pages action=book splits it into
+async function fetchRankHistory(isbn) {
+  let book = null;
+  const history = await fetchAllPages(`/api/db-query?action=book&isbn=${encodeURIComponent(isbn)}`, 'ranking_history',
+    page => { book = book || page.book; });
+
+  return chartBook(isbn, { book, ranking_history: history });
+}
+
+// Chart the book just opened, on its own
+async function showRankChart(isbn, data) {
+  try {
+    chartBooks = [data.total > data.ranking_history.length ? await fetchRankHistory(isbn) : chartBook(isbn, data)];
+    renderRankChart();
+  } catch (error) {
+    setChartMessage(`Could not load the ranking history: ${error.message}`);
+  }
+}
+
+// Overlay another book on the chart
+async function addChartBook(event) {
+  if (!event.target.matches('.chart-compare')) return;
+  event.preventDefault();
+
+  const input = document.getElementById('chart-isbn');
+  const isbn = input.value.trim();
+  if (!isbn) return;
+
+  if (chartBooks.some(book => book.isbn === isbn)) {
+    setChartMessage('That book is already on the chart.');
+    return;
+  }
+
+  try {
+    setChartMessage('Loading...');
+    chartBooks.push(await fetchRankHistory(isbn));
+    input.value = '';
+    setChartMessage('');
+    renderRankChart();
+  } catch (error) {
+    setChartMessage(error.message);
+  }
+}
+
+function removeChartBook(isbn) {
+  chartBooks = chartBooks.filter(book => book.isbn !== isbn);
+  renderRankChart();
+}
+
+function setChartMessage(message) {
+  const element = document.querySelector('#rank-chart .chart-message');
+  if (element) element.textContent = message;
+}
+
+// One line per book and list: a colour per book, a dash pattern per list
+function chartSeries() {
+  const listOrder = [...new Set(chartBooks.flatMap(book => book.history.map(entry => entry.list_name_encoded)))];
+
+  return chartBooks.flatMap((book, bookIndex) => {
+    const lists = new Map();
+
+    book.history.forEach(entry => {
+      if (!lists.has(entry.list_name_encoded)) {
+        lists.set(entry.list_name_encoded, { listName: entry.list_name, points: [] });
+      }
+      lists.get(entry.list_name_encoded).points.push(entry);
+    });
+
+    return [...lists].map(([listNameEncoded, list]) => ({
+      book,
+      listName: list.listName,
+      color: CHART_COLORS[bookIndex % CHART_COLORS.length],
+      dash: CHART_DASHES[listOrder.indexOf(listNameEncoded) % CHART_DASHES.length],
+      points: list.points.sort((a, b) => a.published_date.localeCompare(b.published_date))
+    }));
+  });
+}
+
+// The chart as SVG: dates across, rank down (1 at the top). A line
+// breaks where a book left the list and came back (rank_last_week 0).
+function rankChartSvg(series) {
+  const { width, height, top, right, bottom, left } = CHART_SIZE;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+
+  const points = series.flatMap(line => line.points);
+  let minTime = Math.min(...points.map(point => Date.parse(point.published_date)));
+  let maxTime = Math.max(...points.map(point => Date.parse(point.published_date)));
+  if (minTime === maxTime) {
+    minTime -= 7 * DAY_MS;
+    maxTime += 7 * DAY_MS;
+  }
+  const maxRank = Math.max(5, ...points.map(point => point.rank));
+
+  const x = date => left + (Date.parse(date) - minTime) / (maxTime - minTime) * plotWidth;
+  const y = rank => top + (rank - 1) / (maxRank - 1) * plotHeight;
+
+  let svg = `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Rank over time">`;
+
+  // Rank gridlines, 1 and then every step
+  const step = Math.max(1, Math.ceil(maxRank / 6));
+  const ranks = [1];
+  for (let rank = step; rank <= maxRank; rank += step) {
+    if (rank > 1) ranks.push(rank);
+  }
+  svg += '<g class="chart-grid chart-axis">';
+  ranks.forEach(rank => {
+    svg += `<line x1="${left}" x2="${width - right}" y1="${y(rank)}" y2="${y(rank)}" />`;
+    svg += `<text x="${left - 8}" y="${y(rank) + 4}" text-anchor="end">#${rank}</text>`;
+  });
+
+  // Date labels
+  for (let i = 0; i <= 4; i++) {
+    const time = minTime + (maxTime - minTime) * i / 4;
+    const date = new Date(time).toISOString().slice(0, 10);
+    svg += `<text x="${x(date)}" y="${height - 10}" text-anchor="middle">${escapeHtml(date)}</text>`;
+  }
+  svg += '</g>';
+
+  series.forEach(line => {
+    let path = '';
+    line.points.forEach((point, index) => {
+      const command = index === 0 || !point.rank_last_week ? 'M' : 'L';
+      path += `${command}${x(point.published_date).toFixed(1)},${y(point.rank).toFixed(1)} `;
+    });
+    svg += `<path d="${path.trim()}" fill="none" stroke="${line.color}" stroke-width="2" stroke-dasharray="${line.dash}" />`;
+
+    line.points.forEach(point => {
+      const tip = `${line.book.title} — ${line.listName}\n${point.published_date}: #${point.rank}, ${point.weeks_on_list} week(s) on list`;
+      svg += `<circle class="chart-point" cx="${x(point.published_date).toFixed(1)}" cy="${y(point.rank).toFixed(1)}" r="4" fill="${line.color}" data-tip="${escapeHtml(tip)}"><title>${escapeHtml(tip)}</title></circle>`;
+    });
+  });
+
+  svg += '</svg>';
+  return svg;
+}
+
+function renderRankChart() {
+  const container = document.getElementById('rank-chart');
+  if (!container) return;
+
+  const series = chartSeries();
+  container.querySelector('.chart-plot').innerHTML = series.length > 0
+    ? rankChartSvg(series)
+    : '<p>No rankings to chart.</p>';
+
+  container.querySelector('.chart-legend').innerHTML = series.map(line => {
+    const swatch = `<svg width="30" height="10"><line x1="0" x2="30" y1="5" y2="5" stroke="${line.color}" stroke-width="3" stroke-dasharray="${line.dash}" /></svg>`;
+    const remove = chartBooks.length > 1
+      ? `<button type="button" class="chart-remove" data-chart-isbn="${escapeHtml(line.book.isbn)}" title="Remove from chart">✕</button>`
+      : '';
+    return `<span>${swatch}${escapeHtml(line.book.title)} — ${escapeHtml(line.listName)}${remove}</span>`;
+  }).join('');
+}
+
+// Tooltip for the point under the pointer
+function showChartTooltip(event) {
+  const container = document.getElementById('rank-chart');
+  const tooltip = container?.querySelector('.chart-tooltip');
+  if (!tooltip) return;
+
+  const point = event.target.closest?.('.chart-point');
+  if (!point) {
+    tooltip.classList.add('hidden');
+    return;
+  }
+
+  const box = container.getBoundingClientRect();
+  const mark = point.getBoundingClientRect();
+  tooltip.innerHTML = point.dataset.tip.split('\n').map(escapeHtml).join('<br>');
+  tooltip.style.left = `${mark.left - box.left + 12}px`;
+  tooltip.style.top = `${mark.top - box.top - 10}px`;
+  tooltip.classList.remove('hidden');
+}
+
+function hideChartTooltip(event) {
+  if (event.target.closest?.('.chart-point')) {
+    document.querySelector('#rank-chart .chart-tooltip')?.classList.add('hidden');
+  }
+}
+
+// Renderers for each database action's results
+const DB_RENDERERS = {
+  current: displayDbEdition,
+  history: displayDbEdition,
+  book: displayDbBook,
+  dates: displayDbDates,
+  search: displayDbSearch,
+  lists: displayDbLists,
+  stats: displayDbStats,
+  reviews: displayDbReviews
+};
+
+function toggleRawJson() {
+  showRawJson = !showRawJson;
+  if (currentResponse) {
+    displayResponse(currentResponse, currentUrl);
+  }
+}
+
+function syntaxHighlight(json) {
+  json = json.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return json.replace(/("(\\u[a-zA-Z0-9]{4}|\\[^u]|[^\\"])*"(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?)/g, function (match) {
+    let cls = 'number';
+    if (/^"/.test(match)) {
+      if (/:$/.test(match)) {
+        cls = 'key';
+        return '<span style="color: #9cdcfe;">' + match + '</span>';
+      } else {
+        cls = 'string';
+        return '<span style="color: #ce9178;">' + match + '</span>';
+      }
+    } else if (/true|false/.test(match)) {
+      cls = 'boolean';
+      return '<span style="color: #569cd6;">' + match + '</span>';
+    } else if (/null/.test(match)) {
+      cls = 'null';
+      return '<span style="color: #569cd6;">' + match + '</span>';
+    }
+    return '<span style="color: #b5cea8;">' + match + '</span>';
+  });
+}
+
+function showLoading() {
+  const responseDiv = document.getElementById('response');
+  const contentDiv = document.getElementById('responseContent');
+
+  responseDiv.classList.remove('hidden');
+  contentDiv.innerHTML = '<div class="spinner"></div><p style="text-align: center; margin-top: 10px; color: #666;">Loading...</p>';
+}
+
+function hideResponse() {
+  document.getElementById('response').classList.add('hidden');
+}
+
+function showMessage(message, type) {
+  const responseDiv = document.getElementById('response');
+  const contentDiv = document.getElementById('responseContent');
+
+  responseDiv.classList.remove('hidden');
+
+  // Messages often quote an API or the page URL, so they go in as text
+  const messageDiv = document.createElement('div');
+  messageDiv.className = type;
+  messageDiv.textContent = message;
+  contentDiv.replaceChildren(messageDiv);
+}
+
+function copyResponse(event) {
+  if (currentResponse) {
+    const btn = event.target;
+    const jsonString = JSON.stringify(currentResponse, null, 2);
+    navigator.clipboard.writeText(jsonString).then(() => {
+      const originalText = btn.textContent;
+      btn.textContent = 'Copied!';
+      setTimeout(() => {
+        btn.textContent = originalText;
+      }, 2000);
+    });
+  }
+}
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Manage API Keys
+ *
+ * Issues, lists and revokes the keys callers can send to the public API
+ * endpoints (X-API-Key or Authorization: Bearer). A key is printed once when
+ * it's created; the database only keeps its hash. Deploy the database after
+ * a change for it to take effect.
+ *
+ * Usage: node scripts/api-keys.js <command>
+ * Commands:
+ *   create <name> [--limit <n>]  Issue a key (--limit: requests per minute,
+ *                                default RATE_LIMIT_KEY_PER_MINUTE or 600)
+ *   list                         Show every key issued
+ *   revoke <id|prefix>           Revoke a key
+ */
+
+import { existsSync } from 'fs';
+import { DB_PATH, openDatabase } from './lib/sync.js';
+import { createApiKey, listApiKeys, revokeApiKey } from './lib/api-keys.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const command = args[0];
+const options = {
+  limit: args.includes('--limit') ? parseInt(args[args.indexOf('--limit') + 1]) : null
+};
+
+function usage() {
+  console.error('   Usage: node scripts/api-keys.js create <name> [--limit <n>] | list | revoke <id|prefix>');
+  process.exit(1);
+}
+
+function create(db, name) {
+  if (!name || name.startsWith('--')) {
+    console.error('❌ A name for the key is required');
+    usage();
+  }
+  if (options.limit !== null && !(options.limit > 0)) {
+    console.error('❌ --limit must be a positive number of requests per minute');
+    usage();
+  }
+
+  const { key, keyId, keyPrefix } = createApiKey(db, { name, rateLimit: options.limit });
+
+  console.log(`✅ Created key ${keyId} (${keyPrefix}…) for ${name}`);
+  console.log(`   Rate limit: ${options.limit ? `${options.limit} requests per minute` : 'default'}`);
+  console.log('\n🔑 Key (shown only this once):');
+  console.log(`   ${key}`);
+}
+
+function list(db) {
+  const keys = listApiKeys(db);
+
+  if (keys.length === 0) {
+    console.log('   No keys issued yet');
+    return;
+  }
+
+  console.log('🔑 API keys:');
+  for (const key of keys) {
+    const limit = key.rate_limit ? `${key.rate_limit}/min` : 'default limit';
+    const state = key.revoked_at ? `❌ revoked ${key.revoked_at}` : '✅ active';
+    console.log(`   ${String(key.key_id).padStart(3)}. ${key.key_prefix}…  ${key.name}  (${limit}, created ${key.created_at})  ${state}`);
+  }
+}
+
+function revoke(db, idOrPrefix) {
+  if (!idOrPrefix) {
+    console.error('❌ The id or prefix of the key to revoke is required');
+    usage();
+  }
+
+  const revoked = revokeApiKey(db, idOrPrefix);
+
+  if (revoked === 0) {
+    console.error(`❌ No active key matches ${idOrPrefix}`);
+    process.exit(1);
+  }
+  console.log(`✅ Revoked ${revoked} key${revoked === 1 ? '' : 's'} matching ${idOrPrefix}`);
+}
+
+function main() {
+  const commands = { create, list, revoke };
+
+  if (!commands[command]) {
+    console.error(`❌ Unknown command: ${command ?? '(none)'}`);
+    usage();
+  }
+
+  if (!existsSync(DB_PATH)) {
+    console.error('❌ Database not found at', DB_PATH);
+    console.error('   Please run: npm run init-db');
+    process.exit(1);
+  }
+
+  try {
+    const db = openDatabase();
+    commands[command](db, args[1]);
+    db.close();
+
+  } catch (error) {
+    console.error('\n❌ API key command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Export NYT Best Sellers Data
+ *
+ * Dumps a whole table, or ranking history joined with its books and lists,
+ * as CSV, TSV or NDJSON (the formats of the API's format parameter). Rows
+ * are streamed straight from the database, so any size of export works.
+ *
+ * Usage: node scripts/export.js <table|history> [options]
+ * Tables: lists, works, books, isbns, rankings, editions, reviews,
+ *         review_checks, sync_log, sync_checkpoints, api_usage
+ * Options:
+ *   --format <csv|tsv|ndjson>  Output format (default: csv)
+ *   --out <file>               Write to a file instead of stdout
+ *   --lists <list1,list2>      history only: these lists (comma-separated)
+ *   --from <YYYY-MM-DD>        history only: editions on or after this date
+ *   --to <YYYY-MM-DD>          history only: editions on or before this date
+ */
+
+import Database from 'better-sqlite3';
+import { createWriteStream, existsSync } from 'fs';
+import { once } from 'events';
+import { DB_PATH } from './lib/sync.js';
+import { EXPORT_FORMATS, serializeRows } from './lib/export.js';
+
+// Tables that can be exported whole
+const TABLES = [
+  'lists', 'works', 'books', 'isbns', 'rankings', 'editions', 'reviews',
+  'review_checks', 'sync_log', 'sync_checkpoints', 'api_usage'
+];
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {
+  target: args[0],
+  format: args.includes('--format') ? args[args.indexOf('--format') + 1] : 'csv',
+  out: args.includes('--out') ? args[args.indexOf('--out') + 1] : null,
+  lists: args.includes('--lists') ? args[args.indexOf('--lists') + 1]?.split(',') : null,
+  from: args.includes('--from') ? args[args.indexOf('--from') + 1] : null,
+  to: args.includes('--to') ? args[args.indexOf('--to') + 1] : null
+};
+
+// Build the export query: a whole table, or filtered ranking history
+function buildQuery(db) {
+  if (TABLES.includes(options.target)) {
+    return { stmt: db.prepare(`SELECT * FROM ${options.target}`), params: [] };
+  }
+
+  const conditions = [];
+  const params = [];
+
+  if (options.lists) {
+    conditions.push('l.list_name_encoded IN (SELECT value FROM json_each(?))');
+    params.push(JSON.stringify(options.lists));
+  }
+  if (options.from) {
+    conditions.push('r.published_date >= ?');
+    params.push(options.from);
+  }
+  if (options.to) {
+    conditions.push('r.published_date <= ?');
+    params.push(options.to);
+  }
+
+  const stmt = db.prepare(`
+    SELECT
+      l.list_name_encoded,
+      r.published_date,
+      r.rank,
+      r.rank_last_week,
+      r.weeks_on_list,
+      b.work_id,
+      b.primary_isbn13,
+      b.primary_isbn10,
+      b.title,
+      b.author,
+      b.publisher
+    FROM rankings r
+    JOIN lists l ON r.list_id = l.list_id
+    JOIN books b ON r.book_id = b.book_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY l.list_name_encoded, r.published_date, r.rank
+  `);
+
+  return { stmt, params };
+}
+
+// Check the arguments, exiting with usage help if they can't be used
+function checkOptions() {
+  const problems = [];
+
+  if (options.target !== 'history' && !TABLES.includes(options.target)) {
+    problems.push(`Unknown table: ${options.target ?? '(none)'} (use history or one of: ${TABLES.join(', ')})`);
+  }
+  if (!EXPORT_FORMATS[options.format]) {
+    problems.push(`Unknown format: ${options.format} (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+  for (const name of ['from', 'to']) {
+    if (options[name] !== null && !/^\d{4}-\d{2}-\d{2}$/.test(options[name] ?? '')) {
+      problems.push(`--${name} must be a date (YYYY-MM-DD)`);
+    }
+  }
+  if (options.target !== 'history' && (options.lists || options.from || options.to)) {
+    problems.push('--lists, --from and --to only apply to history');
+  }
+
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`❌ ${problem}`));
+    console.error('   Usage: node scripts/export.js <table|history> [--format csv|tsv|ndjson] [--out file]');
+    process.exit(1);
+  }
+}
+
+async function main() {
+  checkOptions();
+
+  if (!existsSync(DB_PATH)) {
+    console.error('❌ Database not found at', DB_PATH);
+    console.error('   Please run: npm run init-db');
+    process.exit(1);
+  }
+
+  try {
+    const db = new Database(DB_PATH, { readonly: true });
+    const { stmt, params } = buildQuery(db);
+    const columns = stmt.columns().map(column => column.name);
+    const output = options.out ? createWriteStream(options.out) : process.stdout;
+
+    let count = 0;
+    const rows = (function* () {
+      for (const row of stmt.iterate(...params)) {
+        count++;
+        yield row;
+      }
+    })();
+
+    // Wait for the output to drain whenever it's full, so rows are only read
+    // from the database as fast as they can be written
+    for (const line of serializeRows(options.format, columns, rows)) {
+      if (!output.write(line)) {
+        await once(output, 'drain');
+      }
+    }
+
+    if (options.out) {
+      output.end();
+      await once(output, 'finish');
+    }
+
+    db.close();
+
+    // Progress goes to stderr so it never mixes with data written to stdout
+    console.error(`✅ Exported ${count} ${options.target} rows as ${options.format}${options.out ? ` to ${options.out}` : ''}`);
+
+  } catch (error) {
+    console.error('\n❌ Export failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -8,81 +8,70 @@
  * 2. Applies the schema
  * 3. Fetches all list names from NYT API
  * 4. Fetches historical data for each list
- * 5. Respects API rate limits (5 req/min, 500 req/day)
+ * 5. Respects API rate limits (5 req/min, 500 req/day across all runs) and
+ *    retries 429s and server errors with backoff
+ * 6. Follows each list's edition chain (next_published_date), so only real
+ *    weekly or monthly editions are fetched
+ * 7. Skips editions already stored and checkpoints progress, so an
+ *    interrupted run (daily limit, time budget) resumes where it stopped
  *
  * Usage: node scripts/init-db.js [options]
  * Options:
  *   --lists <list1,list2>  Only fetch specific lists (comma-separated)
  *   --since <YYYY-MM-DD>   Only fetch data since this date
  *   --dry-run              Show what would be fetched without making API calls
+ *   --time-budget <min>    Stop cleanly after this many minutes (resume next run)
+ *   --reset-checkpoints    Ignore saved checkpoints and re-walk every list
  */
 
-import Database from 'better-sqlite3';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import {
+  DB_PATH,
+  StopRunError,
+  createNytClient,
+  openDatabase,
+  getListId,
+  saveLists,
+  getEdition,
+  saveListEdition,
+  logSyncError,
+  isValidListResults,
+  systemClock
+} from './lib/sync.js';
 
 // Configuration
-const DB_PATH = join(__dirname, '../data/bestsellers.db');
-const SCHEMA_PATH = join(__dirname, 'schema.sql');
 const NYT_API_KEY = process.env.NYT_API_KEY;
-const NYT_BASE_URL = 'https://api.nytimes.com/svc/books/v3';
-
-// Rate limiting configuration
-const RATE_LIMIT_DELAY = 12000; // 12 seconds between requests (5 per minute)
-const REQUESTS_PER_MINUTE = 5;
-const MAX_REQUESTS_PER_DAY = 500;
-
-let requestCount = 0;
-let startTime = Date.now();
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const options = {
   lists: args.includes('--lists') ? args[args.indexOf('--lists') + 1]?.split(',') : null,
   since: args.includes('--since') ? args[args.indexOf('--since') + 1] : null,
-  dryRun: args.includes('--dry-run')
+  dryRun: args.includes('--dry-run'),
+  timeBudget: args.includes('--time-budget') ? parseFloat(args[args.indexOf('--time-budget') + 1]) : null,
+  resetCheckpoints: args.includes('--reset-checkpoints')
 };
 
-// Utility: Sleep function
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// Utility: Rate-limited fetch
-async function rateLimitedFetch(url) {
-  if (requestCount >= MAX_REQUESTS_PER_DAY) {
-    throw new Error(`Daily API limit reached (${MAX_REQUESTS_PER_DAY} requests)`);
-  }
-
-  // Wait for rate limit
-  await sleep(RATE_LIMIT_DELAY);
-
-  requestCount++;
-  const elapsed = (Date.now() - startTime) / 1000;
-  console.log(`[${requestCount}] Fetching: ${url.replace(NYT_API_KEY, 'API_KEY')}`);
-  console.log(`    (${elapsed.toFixed(1)}s elapsed, ~${(requestCount / elapsed * 60).toFixed(1)} req/min)`);
-
-  const response = await fetch(url);
-
-  if (!response.ok) {
-    throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-  }
-
-  return response.json();
+const clock = systemClock;
+const client = createNytClient({
+  apiKey: NYT_API_KEY,
+  clock,
+  timeBudgetMinutes: options.timeBudget,
+  verbose: true
+});
+
+// Utility: Add days to a YYYY-MM-DD date string
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
 }
 
 // Initialize database with schema
 function initDatabase() {
   console.log('📦 Creating database...');
-  const db = new Database(DB_PATH);
-
   console.log('📋 Applying schema...');
-  const schema = readFileSync(SCHEMA_PATH, 'utf-8');
-  db.exec(schema);
+  const db = openDatabase(DB_PATH);
+  client.trackDailyUsage(db);
 
   console.log('✅ Database initialized at:', DB_PATH);
   return db;
@@ -97,123 +86,59 @@ async function fetchListNames() {
     return [];
   }
 
-  const url = `${NYT_BASE_URL}/lists/names.json?api-key=${NYT_API_KEY}`;
-  const data = await rateLimitedFetch(url);
+  const data = await client.get('/lists/names.json');
 
   console.log(`✅ Found ${data.results.length} lists`);
   return data.results;
 }
 
-// Save list metadata to database
-function saveLists(db, lists) {
-  console.log('\n💾 Saving list metadata...');
-
-  const stmt = db.prepare(`
-    INSERT OR REPLACE INTO lists (
-      list_name_encoded, display_name, list_name,
-      oldest_published_date, newest_published_date, updated
-    ) VALUES (?, ?, ?, ?, ?, ?)
-  `);
-
-  const insert = db.transaction((lists) => {
-    for (const list of lists) {
-      stmt.run(
-        list.list_name_encoded,
-        list.display_name,
-        list.list_name,
-        list.oldest_published_date,
-        list.newest_published_date,
-        list.updated
-      );
-    }
-  });
-
-  insert(lists);
-  console.log(`✅ Saved ${lists.length} lists to database`);
+// Get the saved backfill checkpoint for a list
+function getCheckpoint(db, listNameEncoded) {
+  return db.prepare('SELECT * FROM sync_checkpoints WHERE list_name_encoded = ?')
+    .get(listNameEncoded);
 }
 
-// Find or create book in database
-function findOrCreateBook(db, bookData) {
-  // Try to find by ISBN
-  let book = null;
+// Save the backfill checkpoint for a list
+function saveCheckpoint(db, listNameEncoded, startDate, nextDate, status) {
+  db.prepare(`
+    INSERT OR REPLACE INTO sync_checkpoints (list_name_encoded, start_date, next_date, status, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(listNameEncoded, startDate, nextDate, status, clock.now().toISOString());
+}
 
-  if (bookData.primary_isbn13) {
-    book = db.prepare('SELECT book_id FROM books WHERE primary_isbn13 = ?')
-      .get(bookData.primary_isbn13);
+// Step a date forward by one list cadence (only used when there is no next
+// link to follow: a dry run, or an edition stored without one)
+function nextCadenceDate(dateStr, cadence) {
+  if (cadence === 'MONTHLY') {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    return date.toISOString().split('T')[0];
   }
+  return addDays(dateStr, 7);
+}
 
-  if (!book && bookData.primary_isbn10) {
-    book = db.prepare('SELECT book_id FROM books WHERE primary_isbn10 = ?')
-      .get(bookData.primary_isbn10);
+// Whether an edition was stored before editions (and their links) were
+// recorded: it has rankings, or a successful sync_log row if it was empty
+function isEditionStored(db, listId, listNameEncoded, date) {
+  const ranking = db.prepare('SELECT 1 FROM rankings WHERE list_id = ? AND published_date = ? LIMIT 1')
+    .get(listId, date);
+
+  if (ranking) {
+    return true;
   }
 
-  const now = new Date().toISOString();
-
-  if (book) {
-    // Update existing book
-    db.prepare(`
-      UPDATE books SET
-        title = ?, author = ?, publisher = ?, description = ?,
-        price = ?, book_image = ?, book_image_width = ?, book_image_height = ?,
-        amazon_product_url = ?, book_review_link = ?, updated_date = ?
-      WHERE book_id = ?
-    `).run(
-      bookData.title,
-      bookData.author,
-      bookData.publisher,
-      bookData.description,
-      bookData.price,
-      bookData.book_image,
-      bookData.book_image_width,
-      bookData.book_image_height,
-      bookData.amazon_product_url,
-      bookData.book_review_link,
-      now,
-      book.book_id
-    );
-
-    return book.book_id;
-  } else {
-    // Create new book
-    const result = db.prepare(`
-      INSERT INTO books (
-        primary_isbn13, primary_isbn10, title, author, publisher, description,
-        price, book_image, book_image_width, book_image_height,
-        amazon_product_url, book_review_link, created_date, updated_date
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      bookData.primary_isbn13,
-      bookData.primary_isbn10,
-      bookData.title,
-      bookData.author,
-      bookData.publisher,
-      bookData.description,
-      bookData.price,
-      bookData.book_image,
-      bookData.book_image_width,
-      bookData.book_image_height,
-      bookData.amazon_product_url,
-      bookData.book_review_link,
-      now,
-      now
-    );
-
-    // Save all ISBNs
-    if (bookData.isbns && bookData.isbns.length > 0) {
-      const isbnStmt = db.prepare('INSERT INTO isbns (book_id, isbn13, isbn10) VALUES (?, ?, ?)');
-      for (const isbn of bookData.isbns) {
-        isbnStmt.run(result.lastInsertRowid, isbn.isbn13, isbn.isbn10);
-      }
-    }
+  const sync = db.prepare(`
+    SELECT 1 FROM sync_log
+    WHERE list_name_encoded = ? AND published_date = ? AND status = 'success'
+    LIMIT 1
+  `).get(listNameEncoded, date);
 
-    return result.lastInsertRowid;
-  }
+  return !!sync;
 }
 
-// Fetch historical data for a specific list
-async function fetchListHistory(db, listNameEncoded, oldestDate, newestDate, sinceDate) {
-  const listId = db.prepare('SELECT list_id FROM lists WHERE list_name_encoded = ?')
-    .get(listNameEncoded)?.list_id;
+// Fetch historical data for a specific list by following its edition chain
+async function fetchListHistory(db, listNameEncoded, oldestDate, newestDate, cadence, sinceDate) {
+  const listId = getListId(db, listNameEncoded);
 
   if (!listId) {
     console.error(`❌ List not found in database: ${listNameEncoded}`);
@@ -221,104 +146,141 @@ async function fetchListHistory(db, listNameEncoded, oldestDate, newestDate, sin
   }
 
   console.log(`\n📖 Fetching history for: ${listNameEncoded}`);
-  console.log(`   Date range: ${oldestDate} to ${newestDate}`);
+  console.log(`   Date range: ${oldestDate} to ${newestDate} (${(cadence || 'WEEKLY').toLowerCase()})`);
 
   // Determine date range
-  const startDate = sinceDate ? new Date(sinceDate) : new Date(oldestDate);
-  const endDate = new Date(newestDate);
+  const startDate = sinceDate || oldestDate;
 
-  // NYT lists update weekly, so we'll fetch weekly snapshots
-  const dates = [];
-  let currentDate = new Date(startDate);
+  // Resume from the checkpoint when it belongs to a walk covering our start
+  let checkpointStart = startDate;
+  let cursor = startDate;
+  const checkpoint = options.resetCheckpoints ? null : getCheckpoint(db, listNameEncoded);
 
-  while (currentDate <= endDate) {
-    dates.push(currentDate.toISOString().split('T')[0]);
-    currentDate.setDate(currentDate.getDate() + 7); // Weekly intervals
+  if (checkpoint && checkpoint.start_date <= startDate && checkpoint.next_date > startDate) {
+    checkpointStart = checkpoint.start_date;
+    cursor = checkpoint.next_date;
+    console.log(`   Resuming from checkpoint: ${cursor} (${checkpoint.status})`);
   }
 
-  console.log(`   Will fetch ${dates.length} snapshots (weekly intervals)`);
-
   if (options.dryRun) {
-    console.log('[DRY RUN] Would fetch dates:', dates.slice(0, 5), '...');
+    let estimate = 0;
+    for (let date = cursor; date <= newestDate; date = nextCadenceDate(date, cadence)) {
+      estimate++;
+    }
+    console.log(`[DRY RUN] Would walk ~${estimate} editions starting at ${cursor}`);
     return;
   }
 
   let successCount = 0;
+  let skippedCount = 0;
   let errorCount = 0;
 
-  for (const date of dates) {
+  // A failed edition is requested once more; if that fails too the walk stops
+  // there, since without a response there is no next link to follow, and the
+  // checkpoint (still on that edition) has the next run retry it
+  let retrying = false;
+  let failed = false;
+
+  // Where the next run should pick up once this walk is finished
+  let nextDate = cursor;
+
+  // Each response carries next_published_date, so we walk the real edition
+  // chain rather than guessing dates; stored editions are followed locally
+  while (cursor && cursor <= newestDate) {
+    const stored = getEdition(db, listId, cursor);
+
+    if (stored && stored.next_published_date) {
+      skippedCount++;
+      cursor = stored.next_published_date;
+      nextDate = cursor;
+      continue;
+    }
+
+    // Newest edition already stored: nothing newer has been published yet
+    if (stored && cursor >= newestDate) {
+      skippedCount++;
+      nextDate = cursor;
+      break;
+    }
+
+    // Stored by an older version without an editions row: there is no link
+    // to follow, so step ahead by the list's cadence as the walk used to
+    if (!stored && isEditionStored(db, listId, listNameEncoded, cursor)) {
+      skippedCount++;
+      nextDate = cursor;
+      if (cursor >= newestDate) {
+        break;
+      }
+      cursor = nextCadenceDate(cursor, cadence);
+      nextDate = cursor;
+      continue;
+    }
+
+    const requestedDate = cursor;
+
     try {
-      const url = `${NYT_BASE_URL}/lists/${date}/${listNameEncoded}.json?api-key=${NYT_API_KEY}`;
-      const data = await rateLimitedFetch(url);
+      const data = await client.get(`/lists/${requestedDate}/${listNameEncoded}.json`);
 
-      if (!data.results || !data.results.books) {
-        console.log(`   ⚠️  No data for ${date}`);
-        continue;
+      if (!isValidListResults(data.results)) {
+        throw new Error('No data in response');
       }
 
-      const books = data.results.books;
       const publishedDate = data.results.published_date;
-      const bestsellersDate = data.results.bestsellers_date;
-
-      // Save books and rankings in a transaction
-      const saveData = db.transaction(() => {
-        let booksAdded = 0;
-        let rankingsAdded = 0;
-
-        for (const bookData of books) {
-          const bookId = findOrCreateBook(db, bookData);
-          booksAdded++;
-
-          // Save ranking
-          try {
-            db.prepare(`
-              INSERT OR REPLACE INTO rankings (
-                list_id, book_id, published_date, bestsellers_date,
-                rank, rank_last_week, weeks_on_list, asterisk, dagger
-              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `).run(
-              listId,
-              bookId,
-              publishedDate,
-              bestsellersDate,
-              bookData.rank,
-              bookData.rank_last_week,
-              bookData.weeks_on_list,
-              bookData.asterisk || 0,
-              bookData.dagger || 0
-            );
-            rankingsAdded++;
-          } catch (err) {
-            // Ranking might already exist, that's ok
-          }
-        }
-
-        // Log sync
-        db.prepare(`
-          INSERT INTO sync_log (sync_type, list_name_encoded, sync_date, published_date, records_added, status)
-          VALUES (?, ?, ?, ?, ?, ?)
-        `).run('init', listNameEncoded, new Date().toISOString(), publishedDate, rankingsAdded, 'success');
-
-        return { booksAdded, rankingsAdded };
-      });
-
-      const result = saveData();
+      const followingDate = data.results.next_published_date || null;
+
+      // The newest edition has no next link yet, so it is re-requested next
+      // run to discover what came after it
+      const chainEnded = !followingDate || followingDate <= requestedDate;
+      cursor = chainEnded ? null : followingDate;
+      nextDate = chainEnded ? publishedDate : followingDate;
+
+      // Save the edition and advance the checkpoint in one transaction
+      const result = db.transaction(() => {
+        const saved = saveListEdition(db, {
+          listId,
+          listNameEncoded,
+          results: data.results,
+          syncType: 'init',
+          clock
+        });
+
+        saveCheckpoint(db, listNameEncoded, checkpointStart, nextDate, 'in_progress');
+
+        return saved;
+      })();
+
       successCount++;
-      console.log(`   ✅ ${date}: ${result.rankingsAdded} rankings saved`);
+      retrying = false;
+      const requestedNote = publishedDate !== requestedDate ? ` (requested ${requestedDate})` : '';
+      console.log(`   ✅ ${publishedDate}: ${result.rankingsAdded} rankings saved${requestedNote}`);
 
     } catch (error) {
+      if (error instanceof StopRunError) {
+        console.log(`   Summary: ${successCount} successful, ${skippedCount} already stored, ${errorCount} errors (stopped early)`);
+        throw error;
+      }
+
+      // The cursor is still on the failed edition
+      if (!retrying) {
+        retrying = true;
+        console.error(`   ⚠️  ${requestedDate}: ${error.message} (retrying)`);
+        continue;
+      }
+
       errorCount++;
-      console.error(`   ❌ ${date}: ${error.message}`);
+      failed = true;
+      console.error(`   ❌ ${requestedDate}: ${error.message} (resuming here next run)`);
 
-      // Log error
-      db.prepare(`
-        INSERT INTO sync_log (sync_type, list_name_encoded, sync_date, published_date, status, error_message)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `).run('init', listNameEncoded, new Date().toISOString(), date, 'error', error.message);
+      logSyncError(db, { syncType: 'init', listNameEncoded, publishedDate: requestedDate, error, clock });
+      break;
     }
   }
 
-  console.log(`   Summary: ${successCount} successful, ${errorCount} errors`);
+  if (!failed) {
+    saveCheckpoint(db, listNameEncoded, checkpointStart, nextDate, 'complete');
+  }
+
+  console.log(`   Summary: ${successCount} successful, ${skippedCount} already stored, ${errorCount} errors`);
 }
 
 // Main execution
@@ -343,6 +305,10 @@ async function main() {
     console.log('📅 Fetching data since:', options.since);
   }
 
+  if (options.timeBudget) {
+    console.log(`⏱️  Time budget: ${options.timeBudget} minutes`);
+  }
+
   try {
     // Initialize database
     const db = initDatabase();
@@ -351,7 +317,9 @@ async function main() {
     const lists = await fetchListNames();
 
     if (!options.dryRun && lists.length > 0) {
+      console.log('\n💾 Saving list metadata...');
       saveLists(db, lists);
+      console.log(`✅ Saved ${lists.length} lists to database`);
     }
 
     // Filter lists if specified
@@ -369,19 +337,34 @@ async function main() {
     console.log(`⏱️  Estimated time: ~${(listsToFetch.length * 2).toFixed(0)} minutes (with rate limiting)\n`);
 
     // Fetch historical data for each list
-    for (const list of listsToFetch) {
-      await fetchListHistory(
-        db,
-        list.list_name_encoded,
-        list.oldest_published_date,
-        list.newest_published_date,
-        options.since
-      );
+    let stopReason = null;
+
+    try {
+      for (const list of listsToFetch) {
+        await fetchListHistory(
+          db,
+          list.list_name_encoded,
+          list.oldest_published_date,
+          list.newest_published_date,
+          list.updated,
+          options.since
+        );
+      }
+    } catch (error) {
+      if (!(error instanceof StopRunError)) {
+        throw error;
+      }
+      stopReason = error.message;
     }
 
-    console.log('\n✅ Database initialization complete!');
-    console.log(`📊 Total API requests made: ${requestCount}`);
-    console.log(`⏱️  Total time: ${((Date.now() - startTime) / 1000 / 60).toFixed(1)} minutes`);
+    if (stopReason) {
+      console.log(`\n⏸️  Stopped early: ${stopReason}`);
+      console.log('   Progress is checkpointed - run init-db again to resume.');
+    } else {
+      console.log('\n✅ Database initialization complete!');
+    }
+    console.log(`📊 Total API requests made: ${client.requestCount} (${client.requestsToday} today)`);
+    console.log(`⏱️  Total time: ${(client.elapsedSeconds() / 60).toFixed(1)} minutes`);
 
     // Show database stats
     const stats = db.prepare(`
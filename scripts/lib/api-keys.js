@@ -0,0 +1,61 @@
+/**
+ * API Keys
+ *
+ * Issuing, listing and revoking keys for the public API endpoints. Keys are
+ * shown once when issued; the api_keys table only keeps their SHA-256 hash
+ * and a short prefix to tell them apart. Used by scripts/api-keys.js, and
+ * by api/_lib/access.js to check the keys requests carry.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+
+// Every key starts with this, so a leaked one is easy to recognize
+export const API_KEY_PREFIX = 'nytb_';
+
+// Characters of a key kept in the clear to identify it
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 6;
+
+// The stored hash of a key
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+// Issue a key; returns it along with its row (the key can't be shown again).
+// rateLimit is requests per minute (null for the default keyed limit).
+export function createApiKey(db, { name, rateLimit = null, now = new Date().toISOString() }) {
+  const key = `${API_KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+  const keyPrefix = key.slice(0, DISPLAY_PREFIX_LENGTH);
+
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO api_keys (key_hash, key_prefix, name, rate_limit, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(hashApiKey(key), keyPrefix, name, rateLimit, now);
+
+  return { key, keyId: Number(lastInsertRowid), keyPrefix };
+}
+
+// Revoke keys by id or prefix; returns how many were revoked
+export function revokeApiKey(db, idOrPrefix, now = new Date().toISOString()) {
+  return db.prepare(`
+    UPDATE api_keys SET revoked_at = ?
+    WHERE (CAST(key_id AS TEXT) = ? OR key_prefix = ?) AND revoked_at IS NULL
+  `).run(now, String(idOrPrefix), String(idOrPrefix)).changes;
+}
+
+// Every key issued, newest first
+export function listApiKeys(db) {
+  return db.prepare(`
+    SELECT key_id, key_prefix, name, rate_limit, created_at, revoked_at
+    FROM api_keys
+    ORDER BY key_id DESC
+  `).all();
+}
+
+// The active key a request presented, or null if it isn't one
+export function findApiKey(db, key) {
+  return db.prepare(`
+    SELECT key_id, key_prefix, name, rate_limit
+    FROM api_keys
+    WHERE key_hash = ? AND revoked_at IS NULL
+  `).get(hashApiKey(key)) || null;
+}
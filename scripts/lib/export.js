@@ -0,0 +1,77 @@
+/**
+ * Tabular Export
+ *
+ * Writes query results as CSV, TSV or NDJSON one line at a time, so an
+ * export can be streamed however many rows it has. Used by the API's
+ * format parameter and by scripts/export.js.
+ *
+ * Cells hold null as empty text and arrays/objects as JSON; NDJSON keeps
+ * each row as it is.
+ */
+
+// Output formats: response Content-Type and file extension
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  tsv: { contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Text of one cell
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// CSV cell, quoted when it holds a separator, quote or line break (RFC 4180)
+function csvCell(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// TSV cell: TSV has no quoting, so tabs and line breaks become spaces
+function tsvCell(value) {
+  return cellText(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+// Every field the rows use, in the order they first appear
+export function columnsOf(rows) {
+  const columns = new Set();
+  for (const row of rows) {
+    Object.keys(row).forEach(column => columns.add(column));
+  }
+  return [...columns];
+}
+
+// The lines of an export, each ending in a newline: a header line of
+// `columns` (CSV/TSV), then one line per row. `rows` may be any iterable,
+// e.g. a better-sqlite3 statement's iterate().
+export function* serializeRows(format, columns, rows) {
+  if (format === 'ndjson') {
+    for (const row of rows) {
+      yield `${JSON.stringify(row)}\n`;
+    }
+    return;
+  }
+
+  const cell = format === 'csv' ? csvCell : tsvCell;
+  const separator = format === 'csv' ? ',' : '\t';
+
+  yield `${columns.map(cell).join(separator)}\n`;
+  for (const row of rows) {
+    yield `${columns.map(column => cell(row[column])).join(separator)}\n`;
+  }
+}
+
+// File name for an export, e.g. ['current', 'hardcover-fiction'] ->
+// "nyt-bestsellers-current-hardcover-fiction.csv"
+export function exportFilename(parts, format) {
+  const name = ['nyt-bestsellers', ...parts]
+    .filter(Boolean)
+    .map(part => String(part).toLowerCase().replace(/[^a-z0-9.-]+/g, '-').replace(/^-+|-+$/g, ''))
+    .filter(Boolean)
+    .join('-')
+    .slice(0, 120);
+
+  return `${name}.${EXPORT_FORMATS[format].extension}`;
+}
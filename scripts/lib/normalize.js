@@ -0,0 +1,75 @@
+/**
+ * Name Normalization
+ *
+ * Reduces titles and author credits to comparison keys, so the same work
+ * listed with different capitalization, accents, punctuation or credit
+ * order still matches:
+ *   "The Lighthouse Ledger" / "THE LIGHTHOUSE LEDGER"  -> "lighthouse ledger"
+ *   "Theo Brandt & Mara Quill" / "by Mara Quill and Theo Brandt"
+ *                                                     -> "mara quill;theo brandt"
+ *   "Penguin Books, Inc." / "PENGUIN BOOKS"           -> "penguin books"
+ */
+
+// Lowercase, strip accents and punctuation, collapse whitespace
+function simplify(text) {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Comparison key for one person's name
+export function normalizeName(name) {
+  return simplify(name);
+}
+
+// Comparison key for a title (leading article dropped)
+export function normalizeTitle(title) {
+  return simplify(title).replace(/^(the|a|an) /, '');
+}
+
+// The people in an author credit, as written ("A and B with C" -> [A, B, C]),
+// keeping a "Jr."/"III" suffix with its name and dropping repeats
+export function splitAuthors(author) {
+  const names = (author || '')
+    .replace(/^\s*by\s+/i, '')
+    .split(/\s*(?:,(?!\s*(?:jr|sr|ii|iii|iv)\b)|;|&|\band\b|\bwith\b)\s*/i)
+    .map(name => name.trim())
+    .filter(name => simplify(name));
+
+  const seen = new Set();
+  return names.filter(name => {
+    const key = simplify(name);
+    return !seen.has(key) && seen.add(key);
+  });
+}
+
+// Comparison key for an author credit: each name simplified, in a fixed order
+export function normalizeAuthor(author) {
+  return splitAuthors(author).map(simplify).sort().join(';');
+}
+
+// Comparison key for a publisher (company suffixes dropped)
+export function normalizePublisher(publisher) {
+  return simplify(publisher).replace(/( (inc|llc|ltd|co|corp))+$/, '');
+}
+
+// Connections the functions below are already registered on
+const registered = new WeakSet();
+
+// Make the publisher key available to SQL on a database connection, as
+// normalize_publisher(publisher) (once per connection, since redefining a
+// function expires its prepared statements). Author credits are stored in
+// book_credits instead, so they can be looked up by index.
+export function registerNameFunctions(db) {
+  if (registered.has(db)) {
+    return;
+  }
+  registered.add(db);
+
+  db.function('normalize_publisher', { deterministic: true }, publisher => normalizePublisher(publisher));
+}
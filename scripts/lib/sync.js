@@ -0,0 +1,680 @@
+/**
+ * Shared Sync Library
+ *
+ * Ingestion logic shared by init-db.js, update-db.js and sync-reviews.js:
+ * - createNytClient: Books API client with a token-bucket rate limiter,
+ *   retry/backoff and a daily request cap persisted in api_usage
+ * - openDatabase: opens the SQLite file and applies the schema
+ * - findOrCreateBook / resolveWork: book editions, grouped into works and
+ *   credited to each of their authors
+ * - saveLists / saveListEdition / logSyncError: the writes every sync makes
+ * - listResultsFromOverview: adapts full-overview entries to list results
+ *
+ * The HTTP fetcher and the clock are injectable, so the same code can be
+ * driven against a local NYT stand-in without real network calls or waits.
+ */
+
+import Database from 'better-sqlite3';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { normalizeTitle, normalizeAuthor, normalizeName, splitAuthors } from './normalize.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Configuration (the environment overrides let tests point the scripts at
+// a scratch database and a local NYT stand-in)
+export const DB_PATH = process.env.DB_PATH || join(__dirname, '../../data/bestsellers.db');
+export const SCHEMA_PATH = join(__dirname, '../schema.sql');
+export const NYT_BASE_URL = process.env.NYT_BASE_URL || 'https://api.nytimes.com/svc/books/v3';
+
+// Rate limiting configuration
+export const RATE_LIMIT_DELAY = process.env.NYT_REQUEST_DELAY_MS
+  ? parseInt(process.env.NYT_REQUEST_DELAY_MS)
+  : 12000; // 12 seconds between requests (5 per minute)
+export const REQUESTS_PER_MINUTE = 5;
+export const MAX_REQUESTS_PER_DAY = 500;
+
+// Retry configuration (429s, 5xx and network errors)
+export const MAX_RETRIES = process.env.NYT_MAX_RETRIES
+  ? parseInt(process.env.NYT_MAX_RETRIES)
+  : 3;
+// A Retry-After longer than this means the daily quota is spent, so stop instead
+export const MAX_RETRY_WAIT_MS = 5 * 60 * 1000;
+
+// Real time: what the scripts use unless a test swaps it out
+export const systemClock = {
+  now: () => new Date(),
+  sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+// Raised when a run has to stop early (daily cap, time budget)
+export class StopRunError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StopRunError';
+  }
+}
+
+// Token bucket holding up to `capacity` tokens, refilled one per `refillMs`
+export function createTokenBucket({ capacity, refillMs, clock = systemClock }) {
+  let tokens = capacity;
+  let lastRefill = clock.now().getTime();
+
+  function refill() {
+    const now = clock.now().getTime();
+    tokens = refillMs > 0 ? Math.min(capacity, tokens + (now - lastRefill) / refillMs) : capacity;
+    lastRefill = now;
+  }
+
+  return {
+    // Wait until a token is available, then take it
+    async take() {
+      refill();
+      while (tokens < 1) {
+        await clock.sleep(Math.ceil((1 - tokens) * refillMs));
+        refill();
+      }
+      tokens -= 1;
+    },
+
+    // Give up any saved-up burst (after the server says we're too fast)
+    drain() {
+      refill();
+      tokens = Math.min(tokens, 0);
+    }
+  };
+}
+
+// Every client on the same clock shares one per-minute bucket, so the
+// 5/min budget holds across the whole process. It holds a single token:
+// with more, a burst at the start plus the refills would put more than
+// REQUESTS_PER_MINUTE requests in the first minute.
+const minuteBuckets = new WeakMap();
+
+function sharedMinuteBucket(clock, requestDelay) {
+  if (!minuteBuckets.has(clock)) {
+    minuteBuckets.set(clock, createTokenBucket({ capacity: 1, refillMs: requestDelay, clock }));
+  }
+  return minuteBuckets.get(clock);
+}
+
+// Requests already made on a UTC day (YYYY-MM-DD), as recorded in api_usage
+export function getDailyUsage(db, usageDate) {
+  return db.prepare('SELECT request_count FROM api_usage WHERE usage_date = ?')
+    .get(usageDate)?.request_count ?? 0;
+}
+
+// Add requests to a day's recorded usage
+export function recordDailyUsage(db, usageDate, requests = 1, now = new Date().toISOString()) {
+  db.prepare(`
+    INSERT INTO api_usage (usage_date, request_count, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(usage_date) DO UPDATE SET
+      request_count = request_count + excluded.request_count,
+      updated_at = excluded.updated_at
+  `).run(usageDate, requests, now);
+}
+
+// Milliseconds a Retry-After header asks for (seconds or an HTTP date), or null
+function parseRetryAfter(value, now) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now.getTime());
+}
+
+// Create a rate-limited NYT Books API client
+export function createNytClient({
+  apiKey,
+  baseUrl = NYT_BASE_URL,
+  fetch = globalThis.fetch,
+  clock = systemClock,
+  requestDelay = RATE_LIMIT_DELAY,
+  maxRequests = null,
+  dailyLimit = MAX_REQUESTS_PER_DAY,
+  maxRetries = MAX_RETRIES,
+  backoffMs = requestDelay,
+  limiter = sharedMinuteBucket(clock, requestDelay),
+  timeBudgetMinutes = null,
+  verbose = false
+}) {
+  let requestCount = 0;
+  let usageDb = null;
+  const localUsage = new Map();
+  const startTime = clock.now().getTime();
+
+  function elapsedSeconds() {
+    return (clock.now().getTime() - startTime) / 1000;
+  }
+
+  function today() {
+    return clock.now().toISOString().split('T')[0];
+  }
+
+  // Requests made today by this run and, once tracked, every other run
+  function usedToday() {
+    return usageDb ? getDailyUsage(usageDb, today()) : (localUsage.get(today()) || 0);
+  }
+
+  function countRequest() {
+    requestCount++;
+
+    if (usageDb) {
+      recordDailyUsage(usageDb, today(), 1, clock.now().toISOString());
+    } else {
+      localUsage.set(today(), (localUsage.get(today()) || 0) + 1);
+    }
+  }
+
+  function checkBudgets() {
+    if (maxRequests !== null && requestCount >= maxRequests) {
+      throw new StopRunError(`Request cap reached (${maxRequests} requests this run)`);
+    }
+
+    if (usedToday() >= dailyLimit) {
+      throw new StopRunError(`Daily API limit reached (${dailyLimit} requests today)`);
+    }
+
+    if (timeBudgetMinutes && elapsedSeconds() / 60 >= timeBudgetMinutes) {
+      throw new StopRunError(`Time budget reached (${timeBudgetMinutes} minutes)`);
+    }
+  }
+
+  // GET a Books API path (e.g. '/lists/names.json') and return parsed JSON
+  async function get(path, params = {}) {
+    const query = new URLSearchParams({ ...params, 'api-key': apiKey });
+    const url = `${baseUrl}${path}?${query}`;
+
+    for (let attempt = 0; ; attempt++) {
+      checkBudgets();
+
+      // Wait for rate limit
+      await limiter.take();
+      countRequest();
+
+      if (verbose) {
+        const elapsed = elapsedSeconds();
+        const rate = elapsed > 0 ? ` ~${(requestCount / elapsed * 60).toFixed(1)} req/min` : '';
+        console.log(`[${requestCount}] Fetching: ${url.replace(apiKey, 'API_KEY')}`);
+        console.log(`    (${elapsed.toFixed(1)}s elapsed,${rate}, ${usedToday()}/${dailyLimit} today)`);
+      }
+
+      let response = null;
+      let error;
+
+      try {
+        response = await fetch(url);
+      } catch (fetchError) {
+        error = new Error(`API request failed: ${fetchError.message}`);
+      }
+
+      if (response?.ok) {
+        return response.json();
+      }
+
+      if (response) {
+        error = new Error(`API request failed: ${response.status} ${response.statusText}`);
+      }
+
+      // Client errors other than 429 won't succeed on a retry
+      const retryable = !response || response.status === 429 || response.status >= 500;
+      if (!retryable || attempt >= maxRetries) {
+        throw error;
+      }
+
+      const retryAfter = parseRetryAfter(response?.headers?.get?.('retry-after'), clock.now());
+      const wait = retryAfter ?? backoffMs * 2 ** attempt;
+
+      if (wait > MAX_RETRY_WAIT_MS) {
+        throw new StopRunError(`${error.message} (asked to retry after ${Math.round(wait / 60000)} minutes)`);
+      }
+
+      if (response?.status === 429) {
+        limiter.drain();
+      }
+
+      console.log(`    ⏳ ${error.message}; retry ${attempt + 1}/${maxRetries} in ${(wait / 1000).toFixed(1)}s`);
+      await clock.sleep(wait);
+    }
+  }
+
+  // Count requests in the database's api_usage table from now on, so runs
+  // on the same day share the daily limit
+  function trackDailyUsage(db) {
+    for (const [usageDate, requests] of localUsage) {
+      recordDailyUsage(db, usageDate, requests, clock.now().toISOString());
+    }
+    localUsage.clear();
+    usageDb = db;
+  }
+
+  return {
+    get,
+    elapsedSeconds,
+    trackDailyUsage,
+    get requestCount() {
+      return requestCount;
+    },
+    get requestsToday() {
+      return usedToday();
+    }
+  };
+}
+
+// Columns added after their table first shipped: CREATE TABLE IF NOT EXISTS
+// leaves existing tables alone, so these are added to older databases first
+const ADDED_COLUMNS = [
+  { table: 'books', column: 'work_id', definition: 'INTEGER REFERENCES works(work_id)' }
+];
+
+function addMissingColumns(db) {
+  for (const { table, column, definition } of ADDED_COLUMNS) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+
+    if (columns.length > 0 && !columns.some(c => c.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+}
+
+// Open the database and bring it up to date with the schema
+export function openDatabase(dbPath = DB_PATH) {
+  const db = new Database(dbPath);
+  addMissingColumns(db);
+  db.exec(readFileSync(SCHEMA_PATH, 'utf-8'));
+  assignMissingWorks(db);
+  creditMissingAuthors(db);
+  rebuildSearchIndexIfStale(db);
+  return db;
+}
+
+// Index books stored before the search index existed (its triggers only
+// see writes made after it was created)
+function rebuildSearchIndexIfStale(db) {
+  const indexed = db.prepare('SELECT COUNT(*) as count FROM books_fts_docsize').get().count;
+  const books = db.prepare('SELECT COUNT(*) as count FROM books').get().count;
+
+  if (indexed !== books) {
+    db.prepare("INSERT INTO books_fts (books_fts) VALUES ('rebuild')").run();
+  }
+}
+
+// Look up a list's id by its encoded name
+export function getListId(db, listNameEncoded) {
+  return db.prepare('SELECT list_id FROM lists WHERE list_name_encoded = ?')
+    .get(listNameEncoded)?.list_id;
+}
+
+// Save list metadata from lists/names.json
+export function saveLists(db, lists) {
+  // Upsert rather than REPLACE: replacing the row would cascade-delete the
+  // list's rankings and lose everything fetched by earlier runs
+  const stmt = db.prepare(`
+    INSERT INTO lists (
+      list_name_encoded, display_name, list_name,
+      oldest_published_date, newest_published_date, updated
+    ) VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(list_name_encoded) DO UPDATE SET
+      display_name = excluded.display_name,
+      list_name = excluded.list_name,
+      oldest_published_date = excluded.oldest_published_date,
+      newest_published_date = excluded.newest_published_date,
+      updated = excluded.updated
+  `);
+
+  const insert = db.transaction((lists) => {
+    for (const list of lists) {
+      stmt.run(
+        list.list_name_encoded,
+        list.display_name,
+        list.list_name,
+        list.oldest_published_date,
+        list.newest_published_date,
+        list.updated
+      );
+    }
+  });
+
+  insert(lists);
+  return lists.length;
+}
+
+// Every ISBN pair a list entry carries: its primary ISBNs plus its isbns array
+function bookIsbns(bookData) {
+  const pairs = [
+    { isbn13: bookData.primary_isbn13, isbn10: bookData.primary_isbn10 },
+    ...(bookData.isbns || [])
+  ];
+  const seen = new Set();
+
+  return pairs
+    .map(pair => ({ isbn13: pair.isbn13 || null, isbn10: pair.isbn10 || null }))
+    .filter(pair => {
+      const key = `${pair.isbn13}|${pair.isbn10}`;
+      if ((!pair.isbn13 && !pair.isbn10) || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+// Record a book's ISBNs, adding any it didn't have yet
+function saveIsbns(db, bookId, isbns) {
+  const stmt = db.prepare(`
+    INSERT INTO isbns (book_id, isbn13, isbn10)
+    SELECT ?, ?, ?
+    WHERE NOT EXISTS (
+      SELECT 1 FROM isbns WHERE book_id = ? AND isbn13 IS ? AND isbn10 IS ?
+    )
+  `);
+
+  for (const isbn of isbns) {
+    stmt.run(bookId, isbn.isbn13, isbn.isbn10, bookId, isbn.isbn13, isbn.isbn10);
+  }
+}
+
+// Replace the people a book is credited to, one row per author in its credit
+function saveCredits(db, bookId, author) {
+  db.prepare('DELETE FROM book_credits WHERE book_id = ?').run(bookId);
+
+  const stmt = db.prepare('INSERT INTO book_credits (book_id, name, name_key) VALUES (?, ?, ?)');
+  for (const name of splitAuthors(author)) {
+    stmt.run(bookId, name, normalizeName(name));
+  }
+}
+
+// Find the work an edition belongs to: first by any ISBN already known for
+// another edition, then by normalized title and author; create it otherwise
+export function resolveWork(db, { title, author }, isbns, now = new Date().toISOString()) {
+  const isbn13s = isbns.map(i => i.isbn13).filter(Boolean);
+  const isbn10s = isbns.map(i => i.isbn10).filter(Boolean);
+
+  const byIsbn = db.prepare(`
+    SELECT b.work_id FROM books b
+    WHERE b.work_id IS NOT NULL AND (
+      b.primary_isbn13 IN (SELECT value FROM json_each(?))
+      OR b.primary_isbn10 IN (SELECT value FROM json_each(?))
+      OR b.book_id IN (
+        SELECT book_id FROM isbns
+        WHERE isbn13 IN (SELECT value FROM json_each(?))
+           OR isbn10 IN (SELECT value FROM json_each(?))
+      )
+    )
+    ORDER BY b.work_id
+    LIMIT 1
+  `).get(JSON.stringify(isbn13s), JSON.stringify(isbn10s), JSON.stringify(isbn13s), JSON.stringify(isbn10s));
+
+  if (byIsbn) {
+    return byIsbn.work_id;
+  }
+
+  const normalizedTitle = normalizeTitle(title);
+  const normalizedAuthor = normalizeAuthor(author);
+
+  const byName = db.prepare(`
+    SELECT work_id FROM works
+    WHERE normalized_title = ? AND normalized_author = ?
+    ORDER BY work_id
+    LIMIT 1
+  `).get(normalizedTitle, normalizedAuthor);
+
+  if (byName) {
+    return byName.work_id;
+  }
+
+  return db.prepare(`
+    INSERT INTO works (title, author, normalized_title, normalized_author, created_date, updated_date)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(title, author, normalizedTitle, normalizedAuthor, now, now).lastInsertRowid;
+}
+
+// Group books stored before works existed (runs on open; a no-op once done)
+function assignMissingWorks(db) {
+  const books = db.prepare(`
+    SELECT book_id, title, author, primary_isbn13, primary_isbn10
+    FROM books WHERE work_id IS NULL
+    ORDER BY book_id
+  `).all();
+
+  if (books.length === 0) {
+    return;
+  }
+
+  const isbnsFor = db.prepare('SELECT isbn13, isbn10 FROM isbns WHERE book_id = ?');
+  const setWork = db.prepare('UPDATE books SET work_id = ? WHERE book_id = ?');
+
+  db.transaction(() => {
+    for (const book of books) {
+      const isbns = bookIsbns({ ...book, isbns: isbnsFor.all(book.book_id) });
+      saveIsbns(db, book.book_id, isbns);
+      setWork.run(resolveWork(db, book, isbns), book.book_id);
+    }
+  })();
+}
+
+// Credit books stored before book_credits existed (runs on open; a no-op once done)
+function creditMissingAuthors(db) {
+  const books = db.prepare(`
+    SELECT book_id, author FROM books b
+    WHERE NOT EXISTS (SELECT 1 FROM book_credits c WHERE c.book_id = b.book_id)
+    ORDER BY book_id
+  `).all().filter(book => splitAuthors(book.author).length > 0);
+
+  if (books.length === 0) {
+    return;
+  }
+
+  db.transaction(() => {
+    for (const book of books) {
+      saveCredits(db, book.book_id, book.author);
+    }
+  })();
+}
+
+// Find or create book in database
+export function findOrCreateBook(db, bookData, now = new Date().toISOString()) {
+  // Try to find by ISBN
+  let book = null;
+
+  if (bookData.primary_isbn13) {
+    book = db.prepare('SELECT book_id, work_id FROM books WHERE primary_isbn13 = ?')
+      .get(bookData.primary_isbn13);
+  }
+
+  if (!book && bookData.primary_isbn10) {
+    book = db.prepare('SELECT book_id, work_id FROM books WHERE primary_isbn10 = ?')
+      .get(bookData.primary_isbn10);
+  }
+
+  const isbns = bookIsbns(bookData);
+  const workId = book?.work_id ?? resolveWork(db, bookData, isbns, now);
+
+  if (book) {
+    // Update existing book
+    db.prepare(`
+      UPDATE books SET
+        work_id = ?, title = ?, author = ?, publisher = ?, description = ?,
+        price = ?, book_image = ?, book_image_width = ?, book_image_height = ?,
+        amazon_product_url = ?, book_review_link = ?, updated_date = ?
+      WHERE book_id = ?
+    `).run(
+      workId,
+      bookData.title,
+      bookData.author,
+      bookData.publisher,
+      bookData.description,
+      bookData.price,
+      bookData.book_image,
+      bookData.book_image_width,
+      bookData.book_image_height,
+      bookData.amazon_product_url,
+      bookData.book_review_link,
+      now,
+      book.book_id
+    );
+
+    // Later appearances can list ISBNs the first one didn't
+    saveIsbns(db, book.book_id, isbns);
+    saveCredits(db, book.book_id, bookData.author);
+    return book.book_id;
+  }
+
+  // Create new book
+  const result = db.prepare(`
+    INSERT INTO books (
+      work_id, primary_isbn13, primary_isbn10, title, author, publisher, description,
+      price, book_image, book_image_width, book_image_height,
+      amazon_product_url, book_review_link, created_date, updated_date
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    workId,
+    bookData.primary_isbn13,
+    bookData.primary_isbn10,
+    bookData.title,
+    bookData.author,
+    bookData.publisher,
+    bookData.description,
+    bookData.price,
+    bookData.book_image,
+    bookData.book_image_width,
+    bookData.book_image_height,
+    bookData.amazon_product_url,
+    bookData.book_review_link,
+    now,
+    now
+  );
+
+  // Save all ISBNs and author credits
+  saveIsbns(db, result.lastInsertRowid, isbns);
+  saveCredits(db, result.lastInsertRowid, bookData.author);
+
+  return result.lastInsertRowid;
+}
+
+// Get a stored edition of a list, including its links to the neighbouring editions
+export function getEdition(db, listId, publishedDate) {
+  return db.prepare('SELECT * FROM editions WHERE list_id = ? AND published_date = ?')
+    .get(listId, publishedDate);
+}
+
+// Save an edition and its previous/next links from a list response
+export function saveEdition(db, listId, results) {
+  db.prepare(`
+    INSERT INTO editions (
+      list_id, published_date, bestsellers_date,
+      previous_published_date, next_published_date, books_count
+    ) VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(list_id, published_date) DO UPDATE SET
+      bestsellers_date = excluded.bestsellers_date,
+      previous_published_date = COALESCE(excluded.previous_published_date, editions.previous_published_date),
+      next_published_date = COALESCE(excluded.next_published_date, editions.next_published_date),
+      books_count = excluded.books_count
+  `).run(
+    listId,
+    results.published_date,
+    results.bestsellers_date,
+    results.previous_published_date || null,
+    results.next_published_date || null,
+    results.books.length
+  );
+
+  // Link the previous edition forward to this one if it didn't know yet
+  if (results.previous_published_date) {
+    db.prepare(`
+      UPDATE editions SET next_published_date = ?
+      WHERE list_id = ? AND published_date = ? AND next_published_date IS NULL
+    `).run(results.published_date, listId, results.previous_published_date);
+  }
+}
+
+// Check whether rankings are already stored for a list edition
+export function hasRankings(db, listId, publishedDate) {
+  return !!db.prepare('SELECT 1 FROM rankings WHERE list_id = ? AND published_date = ? LIMIT 1')
+    .get(listId, publishedDate);
+}
+
+// Save one list edition (books, rankings, edition links, sync_log) atomically
+export function saveListEdition(db, { listId, listNameEncoded, results, syncType, clock = systemClock }) {
+  const now = clock.now().toISOString();
+  const rankingStmt = db.prepare(`
+    INSERT OR REPLACE INTO rankings (
+      list_id, book_id, published_date, bestsellers_date,
+      rank, rank_last_week, weeks_on_list, asterisk, dagger
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const save = db.transaction(() => {
+    let booksAdded = 0;
+    let rankingsAdded = 0;
+
+    for (const bookData of results.books) {
+      const bookId = findOrCreateBook(db, bookData, now);
+      booksAdded++;
+
+      rankingStmt.run(
+        listId,
+        bookId,
+        results.published_date,
+        results.bestsellers_date,
+        bookData.rank,
+        bookData.rank_last_week,
+        bookData.weeks_on_list,
+        bookData.asterisk || 0,
+        bookData.dagger || 0
+      );
+      rankingsAdded++;
+    }
+
+    saveEdition(db, listId, results);
+
+    // Keep the list's coverage current as newer editions arrive
+    db.prepare(`
+      UPDATE lists SET newest_published_date = ?
+      WHERE list_id = ? AND (newest_published_date IS NULL OR newest_published_date < ?)
+    `).run(results.published_date, listId, results.published_date);
+
+    db.prepare(`
+      INSERT INTO sync_log (sync_type, list_name_encoded, sync_date, published_date, records_added, status)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(syncType, listNameEncoded, now, results.published_date, rankingsAdded, 'success');
+
+    return { booksAdded, rankingsAdded };
+  });
+
+  return save();
+}
+
+// Record a failed sync attempt
+export function logSyncError(db, { syncType, listNameEncoded = null, publishedDate = null, error, clock = systemClock }) {
+  db.prepare(`
+    INSERT INTO sync_log (sync_type, list_name_encoded, sync_date, published_date, status, error_message)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(syncType, listNameEncoded, clock.now().toISOString(), publishedDate, 'error', error.message);
+}
+
+// Build per-list results (the shape saveListEdition takes) from one entry
+// of a lists/full-overview.json response
+export function listResultsFromOverview(overview, entry) {
+  return {
+    list_name_encoded: entry.list_name_encoded,
+    published_date: overview.published_date,
+    bestsellers_date: overview.bestsellers_date,
+    previous_published_date: overview.previous_published_date,
+    next_published_date: overview.next_published_date,
+    updated: entry.updated,
+    books: entry.books
+  };
+}
+
+// Check that a list response has what saveListEdition needs
+export function isValidListResults(results) {
+  return !!(results && Array.isArray(results.books) && results.published_date);
+}
@@ -11,9 +11,22 @@ CREATE TABLE IF NOT EXISTS lists (
   updated TEXT
 );
 
--- Books (deduplicated by ISBN)
+-- Works (one book across its formats and editions: hardcover, paperback,
+-- audio...), matched by shared ISBNs or normalized title and author
+CREATE TABLE IF NOT EXISTS works (
+  work_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  title TEXT NOT NULL,
+  author TEXT,
+  normalized_title TEXT NOT NULL,
+  normalized_author TEXT NOT NULL,
+  created_date TEXT,
+  updated_date TEXT
+);
+
+-- Books (deduplicated by ISBN; one row per edition, grouped into works)
 CREATE TABLE IF NOT EXISTS books (
   book_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  work_id INTEGER REFERENCES works(work_id),
   primary_isbn13 TEXT,
   primary_isbn10 TEXT,
   title TEXT NOT NULL,
@@ -39,6 +52,16 @@ CREATE TABLE IF NOT EXISTS isbns (
   FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE
 );
 
+-- Author credits (one row per person credited on a book, keyed by the
+-- normalized name the author actions group by)
+CREATE TABLE IF NOT EXISTS book_credits (
+  book_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  name_key TEXT NOT NULL,
+  FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+  UNIQUE(book_id, name_key)
+);
+
 -- Rankings (historical positions on lists)
 CREATE TABLE IF NOT EXISTS rankings (
   ranking_id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -56,6 +79,19 @@ CREATE TABLE IF NOT EXISTS rankings (
   UNIQUE(list_id, book_id, published_date)
 );
 
+-- Editions (each real publication of a list, linked to its neighbours)
+CREATE TABLE IF NOT EXISTS editions (
+  edition_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  list_id INTEGER NOT NULL,
+  published_date TEXT NOT NULL,
+  bestsellers_date TEXT,
+  previous_published_date TEXT,
+  next_published_date TEXT,
+  books_count INTEGER DEFAULT 0,
+  FOREIGN KEY (list_id) REFERENCES lists(list_id) ON DELETE CASCADE,
+  UNIQUE(list_id, published_date)
+);
+
 -- Reviews (NYT book reviews)
 CREATE TABLE IF NOT EXISTS reviews (
   review_id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -70,6 +106,15 @@ CREATE TABLE IF NOT EXISTS reviews (
   FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE SET NULL
 );
 
+-- Review lookups (which books have been checked against the reviews endpoint)
+CREATE TABLE IF NOT EXISTS review_checks (
+  book_id INTEGER PRIMARY KEY,
+  isbn TEXT,
+  checked_at TEXT NOT NULL,
+  reviews_found INTEGER DEFAULT 0,
+  FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE
+);
+
 -- Sync metadata (track what data we've fetched)
 CREATE TABLE IF NOT EXISTS sync_log (
   sync_id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -84,16 +129,80 @@ CREATE TABLE IF NOT EXISTS sync_log (
   created_at TEXT DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Backfill checkpoints (where each list's historical fetch should resume)
+CREATE TABLE IF NOT EXISTS sync_checkpoints (
+  list_name_encoded TEXT PRIMARY KEY,
+  start_date TEXT NOT NULL,
+  next_date TEXT NOT NULL,
+  status TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+-- NYT API requests made per UTC day, shared by every script so separate
+-- runs on the same day stay within the daily quota together
+CREATE TABLE IF NOT EXISTS api_usage (
+  usage_date TEXT PRIMARY KEY,
+  request_count INTEGER NOT NULL DEFAULT 0,
+  updated_at TEXT NOT NULL
+);
+
+-- Keys for the public API endpoints (scripts/api-keys.js). Only a hash of
+-- each key is kept; key_prefix identifies it in listings.
+CREATE TABLE IF NOT EXISTS api_keys (
+  key_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  key_hash TEXT UNIQUE NOT NULL,
+  key_prefix TEXT NOT NULL,
+  name TEXT NOT NULL,
+  rate_limit INTEGER,
+  created_at TEXT NOT NULL,
+  revoked_at TEXT
+);
+
+-- Full-text search over books (external content: the text lives in books,
+-- the triggers below keep the index in step with every write to it)
+CREATE VIRTUAL TABLE IF NOT EXISTS books_fts USING fts5(
+  title,
+  author,
+  publisher,
+  description,
+  content='books',
+  content_rowid='book_id',
+  tokenize='unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS books_fts_insert AFTER INSERT ON books BEGIN
+  INSERT INTO books_fts (rowid, title, author, publisher, description)
+  VALUES (new.book_id, new.title, new.author, new.publisher, new.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS books_fts_delete AFTER DELETE ON books BEGIN
+  INSERT INTO books_fts (books_fts, rowid, title, author, publisher, description)
+  VALUES ('delete', old.book_id, old.title, old.author, old.publisher, old.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS books_fts_update AFTER UPDATE OF title, author, publisher, description ON books BEGIN
+  INSERT INTO books_fts (books_fts, rowid, title, author, publisher, description)
+  VALUES ('delete', old.book_id, old.title, old.author, old.publisher, old.description);
+  INSERT INTO books_fts (rowid, title, author, publisher, description)
+  VALUES (new.book_id, new.title, new.author, new.publisher, new.description);
+END;
+
 -- Indexes for fast queries
 CREATE INDEX IF NOT EXISTS idx_rankings_list ON rankings(list_id);
 CREATE INDEX IF NOT EXISTS idx_rankings_date ON rankings(published_date);
 CREATE INDEX IF NOT EXISTS idx_rankings_book ON rankings(book_id);
 CREATE INDEX IF NOT EXISTS idx_rankings_list_date ON rankings(list_id, published_date);
+CREATE INDEX IF NOT EXISTS idx_editions_list_date ON editions(list_id, published_date);
 CREATE INDEX IF NOT EXISTS idx_books_isbn13 ON books(primary_isbn13);
 CREATE INDEX IF NOT EXISTS idx_books_isbn10 ON books(primary_isbn10);
+CREATE INDEX IF NOT EXISTS idx_books_work ON books(work_id);
+CREATE INDEX IF NOT EXISTS idx_works_normalized ON works(normalized_title, normalized_author);
 CREATE INDEX IF NOT EXISTS idx_isbns_isbn13 ON isbns(isbn13);
 CREATE INDEX IF NOT EXISTS idx_isbns_isbn10 ON isbns(isbn10);
 CREATE INDEX IF NOT EXISTS idx_isbns_book ON isbns(book_id);
+CREATE INDEX IF NOT EXISTS idx_book_credits_key ON book_credits(name_key);
+CREATE INDEX IF NOT EXISTS idx_reviews_book ON reviews(book_id);
 CREATE INDEX IF NOT EXISTS idx_lists_encoded ON lists(list_name_encoded);
 CREATE INDEX IF NOT EXISTS idx_sync_log_type ON sync_log(sync_type);
 CREATE INDEX IF NOT EXISTS idx_sync_log_date ON sync_log(sync_date);
+CREATE INDEX IF NOT EXISTS idx_sync_log_list_published ON sync_log(list_name_encoded, published_date);
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * Sync NYT Book Reviews into the Database
+ *
+ * This script:
+ * 1. Picks books in the database whose reviews haven't been checked yet,
+ *    then books whose last check is older than --recheck-days
+ * 2. Fetches /reviews.json by ISBN for each of them
+ * 3. Saves any reviews found, linked to the book
+ * 4. Stops after a fixed request budget so it fits in the daily API quota
+ *
+ * Usage: node scripts/sync-reviews.js [options]
+ * Options:
+ *   --max-requests <n>   Request budget for this run (default: 50)
+ *   --recheck-days <n>   Re-check books after this many days, reviewed or not (default: 30)
+ *   --verbose            Show detailed logging
+ */
+
+import { existsSync } from 'fs';
+import {
+  DB_PATH,
+  StopRunError,
+  createNytClient,
+  openDatabase,
+  systemClock
+} from './lib/sync.js';
+
+// Configuration
+const NYT_API_KEY = process.env.NYT_API_KEY;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {
+  maxRequests: args.includes('--max-requests') ? parseInt(args[args.indexOf('--max-requests') + 1]) : 50,
+  recheckDays: args.includes('--recheck-days') ? parseInt(args[args.indexOf('--recheck-days') + 1]) : 30,
+  verbose: args.includes('--verbose')
+};
+
+const clock = systemClock;
+const client = createNytClient({
+  apiKey: NYT_API_KEY,
+  clock,
+  maxRequests: options.maxRequests,
+  verbose: options.verbose
+});
+
+// Books due for a review check: never-checked books (most recently listed
+// first), then books whose last check is the oldest, since a book that
+// already has reviews can still get new ones
+function getBooksToCheck(db, limit) {
+  const recheckBefore = new Date(clock.now().getTime() - options.recheckDays * 24 * 60 * 60 * 1000).toISOString();
+
+  return db.prepare(`
+    SELECT
+      b.book_id,
+      b.title,
+      b.primary_isbn13,
+      b.primary_isbn10,
+      (SELECT MAX(published_date) FROM rankings WHERE book_id = b.book_id) as last_appearance
+    FROM books b
+    LEFT JOIN review_checks rc ON rc.book_id = b.book_id
+    WHERE (COALESCE(b.primary_isbn13, '') != '' OR COALESCE(b.primary_isbn10, '') != '')
+      AND (rc.book_id IS NULL OR rc.checked_at < ?)
+    ORDER BY rc.checked_at IS NOT NULL, rc.checked_at, last_appearance DESC
+    LIMIT ?
+  `).all(recheckBefore, limit);
+}
+
+// Save reviews for a book and record that it was checked
+function saveReviews(db, bookId, isbn, reviews) {
+  const existsStmt = db.prepare('SELECT review_id FROM reviews WHERE book_id = ? AND url = ?');
+  const insertStmt = db.prepare(`
+    INSERT INTO reviews (
+      book_id, url, publication_dt, byline, book_title, book_author, summary, isbn13
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const save = db.transaction(() => {
+    let reviewsAdded = 0;
+
+    for (const review of reviews) {
+      if (existsStmt.get(bookId, review.url)) {
+        continue;
+      }
+
+      insertStmt.run(
+        bookId,
+        review.url,
+        review.publication_dt,
+        review.byline,
+        review.book_title,
+        review.book_author,
+        review.summary,
+        isbn
+      );
+      reviewsAdded++;
+    }
+
+    db.prepare(`
+      INSERT OR REPLACE INTO review_checks (book_id, isbn, checked_at, reviews_found)
+      VALUES (?, ?, ?, ?)
+    `).run(bookId, isbn, clock.now().toISOString(), reviews.length);
+
+    return reviewsAdded;
+  });
+
+  return save();
+}
+
+// Main execution
+async function main() {
+  console.log('📝 NYT Book Reviews Sync\n');
+
+  if (!NYT_API_KEY) {
+    console.error('❌ Error: NYT_API_KEY environment variable not set');
+    process.exit(1);
+  }
+
+  if (!existsSync(DB_PATH)) {
+    console.error('❌ Error: Database not found at', DB_PATH);
+    console.error('   Please run: npm run init-db');
+    process.exit(1);
+  }
+
+  try {
+    // Opening also brings older databases up to date with the schema
+    const db = openDatabase(DB_PATH);
+    client.trackDailyUsage(db);
+
+    const books = getBooksToCheck(db, options.maxRequests);
+
+    console.log(`📊 Checking reviews for ${books.length} books (budget: ${options.maxRequests} requests)\n`);
+
+    let checkedCount = 0;
+    let errorCount = 0;
+    let totalReviewsAdded = 0;
+
+    // Why the run ended before every book was checked (daily cap, request budget)
+    let stopReason = null;
+
+    try {
+      for (const book of books) {
+        const isbn = book.primary_isbn13 || book.primary_isbn10;
+        process.stdout.write(`📖 ${book.title.slice(0, 40).padEnd(40)} ... `);
+
+        try {
+          const data = await client.get('/reviews.json', { isbn });
+
+          if (!Array.isArray(data.results)) {
+            throw new Error('No data in response');
+          }
+
+          const reviewsAdded = saveReviews(db, book.book_id, isbn, data.results);
+          checkedCount++;
+          totalReviewsAdded += reviewsAdded;
+          console.log(data.results.length > 0 ? `✅ ${reviewsAdded} new reviews` : '— no reviews');
+        } catch (error) {
+          if (error instanceof StopRunError) {
+            throw error;
+          }
+
+          errorCount++;
+          console.log(`❌ ${error.message}`);
+        }
+      }
+    } catch (error) {
+      if (!(error instanceof StopRunError)) {
+        throw error;
+      }
+      console.log(`⏸️  ${error.message}`);
+      stopReason = error.message;
+    }
+
+    db.prepare(`
+      INSERT INTO sync_log (sync_type, sync_date, records_added, status, error_message)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(
+      'reviews',
+      clock.now().toISOString(),
+      totalReviewsAdded,
+      errorCount > 0 ? 'error' : 'success',
+      errorCount > 0 ? `${errorCount} review lookups failed` : null
+    );
+
+    console.log(stopReason ? `\n⏸️  Reviews sync stopped early: ${stopReason}` : '\n✅ Reviews sync complete!');
+    console.log(`📊 Summary:`);
+    console.log(`   Books checked: ${checkedCount}`);
+    console.log(`   Errors: ${errorCount}`);
+    console.log(`   New reviews: ${totalReviewsAdded}`);
+    console.log(`   API requests: ${client.requestCount} (${client.requestsToday} today)`);
+    console.log(`   Time: ${(client.elapsedSeconds() / 60).toFixed(1)} minutes`);
+
+    db.close();
+
+    if (errorCount > 0) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('\n❌ Fatal error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
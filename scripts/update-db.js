@@ -4,151 +4,129 @@
  * Update NYT Best Sellers Database
  *
  * This script:
- * 1. Fetches the current week's data for all lists
- * 2. Updates the database with new rankings
- * 3. Respects API rate limits (5 req/min)
- * 4. Designed to run daily via GitHub Actions
+ * 1. Fetches every current list in one request (lists/full-overview.json)
+ * 2. Falls back to per-list requests only for lists missing from the
+ *    overview (or when the overview request fails)
+ * 3. Updates the database with new rankings
+ * 4. Respects API rate limits (5 req/min, 500 req/day across all runs) and
+ *    retries 429s and server errors with backoff
+ * 5. Designed to run daily via GitHub Actions
  *
  * Usage: node scripts/update-db.js [options]
  * Options:
- *   --force    Force update even if data was recently synced
- *   --verbose  Show detailed logging
+ *   --force     Force update even if data was recently synced
+ *   --per-list  Skip the overview and request every list individually
+ *   --verbose   Show detailed logging
  */
 
-import Database from 'better-sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import { existsSync } from 'fs';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import {
+  DB_PATH,
+  StopRunError,
+  createNytClient,
+  openDatabase,
+  getListId,
+  hasRankings,
+  saveListEdition,
+  logSyncError,
+  isValidListResults,
+  listResultsFromOverview,
+  systemClock
+} from './lib/sync.js';
 
 // Configuration
-const DB_PATH = join(__dirname, '../data/bestsellers.db');
 const NYT_API_KEY = process.env.NYT_API_KEY;
-const NYT_BASE_URL = 'https://api.nytimes.com/svc/books/v3';
 
-// Rate limiting configuration
-const RATE_LIMIT_DELAY = 12000; // 12 seconds between requests (5 per minute)
+// Lists whose newest edition is this far behind the overview have been retired
+const RETIRED_AFTER_DAYS = 90;
 
-let requestCount = 0;
-let startTime = Date.now();
+// A monthly list isn't worth a request until this long after its latest edition
+const MONTHLY_DUE_DAYS = 28;
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const options = {
   force: args.includes('--force'),
+  perList: args.includes('--per-list'),
   verbose: args.includes('--verbose')
 };
 
-// Utility: Sleep function
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+const clock = systemClock;
+const client = createNytClient({
+  apiKey: NYT_API_KEY,
+  clock,
+  verbose: options.verbose
+});
 
-// Utility: Rate-limited fetch
-async function rateLimitedFetch(url) {
-  // Wait for rate limit
-  await sleep(RATE_LIMIT_DELAY);
+// Utility: Whole days from one YYYY-MM-DD date to another
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
 
-  requestCount++;
-  const elapsed = (Date.now() - startTime) / 1000;
+// Fetch every current list in one request; null if it can't be used
+async function fetchOverview(db) {
+  try {
+    const data = await client.get('/lists/full-overview.json');
 
-  if (options.verbose) {
-    console.log(`[${requestCount}] Fetching: ${url.replace(NYT_API_KEY, 'API_KEY')}`);
-    console.log(`    (${elapsed.toFixed(1)}s elapsed)`);
-  }
+    if (!data.results || !Array.isArray(data.results.lists) || !data.results.published_date) {
+      throw new Error('No data in response');
+    }
 
-  const response = await fetch(url);
+    return data.results;
+  } catch (error) {
+    if (error instanceof StopRunError) {
+      throw error;
+    }
 
-  if (!response.ok) {
-    throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+    console.log(`⚠️  Overview unavailable (${error.message}), falling back to per-list requests\n`);
+    logSyncError(db, { syncType: 'update', error, clock });
+    return null;
   }
-
-  return response.json();
 }
 
-// Find or create book in database (same as init-db.js)
-function findOrCreateBook(db, bookData) {
-  let book = null;
+// Save a list's current edition unless we already have it
+function saveCurrentEdition(db, listId, listNameEncoded, results) {
+  const publishedDate = results.published_date;
 
-  if (bookData.primary_isbn13) {
-    book = db.prepare('SELECT book_id FROM books WHERE primary_isbn13 = ?')
-      .get(bookData.primary_isbn13);
+  // Check if we already have this data
+  if (hasRankings(db, listId, publishedDate) && !options.force) {
+    if (options.verbose) {
+      console.log(`   ⏭️  Already have data for ${publishedDate}, skipping`);
+    }
+    return { success: true, skipped: true, publishedDate };
   }
 
-  if (!book && bookData.primary_isbn10) {
-    book = db.prepare('SELECT book_id FROM books WHERE primary_isbn10 = ?')
-      .get(bookData.primary_isbn10);
-  }
+  const result = saveListEdition(db, {
+    listId,
+    listNameEncoded,
+    results,
+    syncType: 'update',
+    clock
+  });
+
+  return {
+    success: true,
+    publishedDate,
+    booksAdded: result.booksAdded,
+    rankingsAdded: result.rankingsAdded
+  };
+}
 
-  const now = new Date().toISOString();
-
-  if (book) {
-    // Update existing book
-    db.prepare(`
-      UPDATE books SET
-        title = ?, author = ?, publisher = ?, description = ?,
-        price = ?, book_image = ?, book_image_width = ?, book_image_height = ?,
-        amazon_product_url = ?, book_review_link = ?, updated_date = ?
-      WHERE book_id = ?
-    `).run(
-      bookData.title,
-      bookData.author,
-      bookData.publisher,
-      bookData.description,
-      bookData.price,
-      bookData.book_image,
-      bookData.book_image_width,
-      bookData.book_image_height,
-      bookData.amazon_product_url,
-      bookData.book_review_link,
-      now,
-      book.book_id
-    );
-
-    return book.book_id;
-  } else {
-    // Create new book
-    const result = db.prepare(`
-      INSERT INTO books (
-        primary_isbn13, primary_isbn10, title, author, publisher, description,
-        price, book_image, book_image_width, book_image_height,
-        amazon_product_url, book_review_link, created_date, updated_date
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      bookData.primary_isbn13,
-      bookData.primary_isbn10,
-      bookData.title,
-      bookData.author,
-      bookData.publisher,
-      bookData.description,
-      bookData.price,
-      bookData.book_image,
-      bookData.book_image_width,
-      bookData.book_image_height,
-      bookData.amazon_product_url,
-      bookData.book_review_link,
-      now,
-      now
-    );
-
-    // Save all ISBNs
-    if (bookData.isbns && bookData.isbns.length > 0) {
-      const isbnStmt = db.prepare('INSERT INTO isbns (book_id, isbn13, isbn10) VALUES (?, ?, ?)');
-      for (const isbn of bookData.isbns) {
-        isbnStmt.run(result.lastInsertRowid, isbn.isbn13, isbn.isbn10);
-      }
-    }
+// Update a list from its overview entry (no API request)
+function updateListFromOverview(db, listNameEncoded, overview, entry) {
+  const listId = getListId(db, listNameEncoded);
+  const results = listResultsFromOverview(overview, entry);
 
-    return result.lastInsertRowid;
+  if (!isValidListResults(results)) {
+    return { success: false, error: 'No data in overview entry' };
   }
+
+  return saveCurrentEdition(db, listId, listNameEncoded, results);
 }
 
 // Update current data for a specific list
 async function updateList(db, listNameEncoded) {
-  const listId = db.prepare('SELECT list_id FROM lists WHERE list_name_encoded = ?')
-    .get(listNameEncoded)?.list_id;
+  const listId = getListId(db, listNameEncoded);
 
   if (!listId) {
     console.error(`❌ List not found: ${listNameEncoded}`);
@@ -157,94 +135,46 @@ async function updateList(db, listNameEncoded) {
 
   try {
     // Fetch current list
-    const url = `${NYT_BASE_URL}/lists/current/${listNameEncoded}.json?api-key=${NYT_API_KEY}`;
-    const data = await rateLimitedFetch(url);
+    const data = await client.get(`/lists/current/${listNameEncoded}.json`);
 
-    if (!data.results || !data.results.books) {
-      return { success: false, error: 'No data in response' };
+    if (!isValidListResults(data.results)) {
+      throw new Error('No data in response');
     }
 
-    const books = data.results.books;
-    const publishedDate = data.results.published_date;
-    const bestsellersDate = data.results.bestsellers_date;
-
-    // Check if we already have this data
-    const existing = db.prepare(`
-      SELECT COUNT(*) as count
-      FROM rankings
-      WHERE list_id = ? AND published_date = ?
-    `).get(listId, publishedDate);
+    return saveCurrentEdition(db, listId, listNameEncoded, data.results);
 
-    if (existing.count > 0 && !options.force) {
-      if (options.verbose) {
-        console.log(`   ⏭️  Already have data for ${publishedDate}, skipping`);
-      }
-      return { success: true, skipped: true, publishedDate };
+  } catch (error) {
+    if (error instanceof StopRunError) {
+      throw error;
     }
 
-    // Save books and rankings in a transaction
-    const saveData = db.transaction(() => {
-      let booksAdded = 0;
-      let rankingsAdded = 0;
-
-      for (const bookData of books) {
-        const bookId = findOrCreateBook(db, bookData);
-        booksAdded++;
-
-        // Save ranking
-        try {
-          db.prepare(`
-            INSERT OR REPLACE INTO rankings (
-              list_id, book_id, published_date, bestsellers_date,
-              rank, rank_last_week, weeks_on_list, asterisk, dagger
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-          `).run(
-            listId,
-            bookId,
-            publishedDate,
-            bestsellersDate,
-            bookData.rank,
-            bookData.rank_last_week,
-            bookData.weeks_on_list,
-            bookData.asterisk || 0,
-            bookData.dagger || 0
-          );
-          rankingsAdded++;
-        } catch (err) {
-          // Ranking might already exist
-          if (options.verbose) {
-            console.log(`   ⚠️  Ranking already exists for book ${bookData.title}`);
-          }
-        }
-      }
-
-      // Log sync
-      db.prepare(`
-        INSERT INTO sync_log (sync_type, list_name_encoded, sync_date, published_date, records_added, status)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `).run('update', listNameEncoded, new Date().toISOString(), publishedDate, rankingsAdded, 'success');
+    logSyncError(db, { syncType: 'update', listNameEncoded, error, clock });
 
-      return { booksAdded, rankingsAdded };
-    });
+    return { success: false, error: error.message };
+  }
+}
 
-    const result = saveData();
+// Decide why a list not taken from the overview needn't be requested (null = request it)
+function perListSkipReason(db, list, overview) {
+  if (!overview || options.force) {
+    return null;
+  }
 
-    return {
-      success: true,
-      publishedDate,
-      booksAdded: result.booksAdded,
-      rankingsAdded: result.rankingsAdded
-    };
+  if (list.newest_published_date &&
+      daysBetween(list.newest_published_date, overview.published_date) > RETIRED_AFTER_DAYS) {
+    return 'retired';
+  }
 
-  } catch (error) {
-    // Log error
-    db.prepare(`
-      INSERT INTO sync_log (sync_type, list_name_encoded, sync_date, status, error_message)
-      VALUES (?, ?, ?, ?, ?)
-    `).run('update', listNameEncoded, new Date().toISOString(), 'error', error.message);
+  if (list.updated === 'MONTHLY') {
+    const latest = db.prepare('SELECT MAX(published_date) as date FROM rankings WHERE list_id = ?')
+      .get(list.list_id).date;
 
-    return { success: false, error: error.message };
+    if (latest && daysBetween(latest, overview.published_date) < MONTHLY_DUE_DAYS) {
+      return 'monthly, not due';
+    }
   }
+
+  return null;
 }
 
 // Main execution
@@ -263,47 +193,81 @@ async function main() {
   }
 
   try {
-    const db = new Database(DB_PATH);
+    // Opening also brings older databases up to date with the schema
+    const db = openDatabase(DB_PATH);
+    client.trackDailyUsage(db);
 
     // Get all lists
-    const lists = db.prepare('SELECT list_name_encoded, display_name FROM lists ORDER BY display_name').all();
-
-    console.log(`📊 Updating ${lists.length} lists...\n`);
+    const lists = db.prepare(`
+      SELECT list_id, list_name_encoded, display_name, newest_published_date, updated
+      FROM lists
+      ORDER BY display_name
+    `).all();
 
     let successCount = 0;
     let skippedCount = 0;
     let errorCount = 0;
     let totalRankingsAdded = 0;
+    let stopReason = null;
+
+    try {
+      const overview = options.perList ? null : await fetchOverview(db);
+      const overviewLists = new Map((overview?.lists || []).map(entry => [entry.list_name_encoded, entry]));
+
+      if (overview) {
+        console.log(`📰 Overview for ${overview.published_date}: ${overviewLists.size} lists\n`);
+      }
+
+      console.log(`📊 Updating ${lists.length} lists...\n`);
 
-    // Update each list
-    for (const list of lists) {
-      process.stdout.write(`📖 ${list.display_name.padEnd(40)} ... `);
+      // Update each list
+      for (const list of lists) {
+        process.stdout.write(`📖 ${list.display_name.padEnd(40)} ... `);
 
-      const result = await updateList(db, list.list_name_encoded);
+        // Monthly lists sit in the overview under the weekly published date,
+        // so they are only trusted from their own list endpoint
+        const entry = list.updated !== 'MONTHLY' ? overviewLists.get(list.list_name_encoded) : null;
+        const skipReason = entry ? null : perListSkipReason(db, list, overview);
+        let result;
 
-      if (result.success) {
-        if (result.skipped) {
-          console.log(`⏭️  skipped (already up to date)`);
-          skippedCount++;
+        if (entry) {
+          result = updateListFromOverview(db, list.list_name_encoded, overview, entry);
+        } else if (skipReason) {
+          result = { success: true, skipped: true, reason: skipReason };
         } else {
-          console.log(`✅ ${result.rankingsAdded} rankings (${result.publishedDate})`);
-          successCount++;
-          totalRankingsAdded += result.rankingsAdded;
+          result = await updateList(db, list.list_name_encoded);
         }
-      } else {
-        console.log(`❌ ${result.error}`);
-        errorCount++;
+
+        if (result.success) {
+          if (result.skipped) {
+            console.log(`⏭️  skipped (${result.reason || 'already up to date'})`);
+            skippedCount++;
+          } else {
+            console.log(`✅ ${result.rankingsAdded} rankings (${result.publishedDate})`);
+            successCount++;
+            totalRankingsAdded += result.rankingsAdded;
+          }
+        } else {
+          console.log(`❌ ${result.error}`);
+          errorCount++;
+        }
+      }
+    } catch (error) {
+      if (!(error instanceof StopRunError)) {
+        throw error;
       }
+      console.log(`⏸️  ${error.message}`);
+      stopReason = error.message;
     }
 
-    console.log('\n✅ Update complete!');
+    console.log(stopReason ? `\n⏸️  Update stopped early: ${stopReason}` : '\n✅ Update complete!');
     console.log(`📊 Summary:`);
     console.log(`   Updated: ${successCount}`);
     console.log(`   Skipped: ${skippedCount}`);
     console.log(`   Errors: ${errorCount}`);
     console.log(`   New rankings: ${totalRankingsAdded}`);
-    console.log(`   API requests: ${requestCount}`);
-    console.log(`   Time: ${((Date.now() - startTime) / 1000 / 60).toFixed(1)} minutes`);
+    console.log(`   API requests: ${client.requestCount} (${client.requestsToday} today)`);
+    console.log(`   Time: ${(client.elapsedSeconds() / 60).toFixed(1)} minutes`);
 
     // Show latest data
     const latestSync = db.prepare(`
@@ -0,0 +1,192 @@
+/**
+ * Tests for the access checks every public endpoint makes (api/_lib/access.js):
+ * security headers, CORS allowlist, API keys issued with scripts/api-keys.js,
+ * and rate limits.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScratchDb, seedFixtureDb, runScript, openForAssertions, callApi } from './support/harness.js';
+
+let scratch;
+let dbQuery;
+let rest;
+let graphql;
+let proxy;
+let createRateLimiter;
+
+before(async () => {
+  scratch = createScratchDb();
+  seedFixtureDb(scratch.dbPath).close();
+
+  process.env.DB_PATH = scratch.dbPath;
+  process.env.CORS_ORIGINS = 'https://partner.example, https://books.example';
+  process.env.RATE_LIMIT_PER_MINUTE = '3';
+  process.env.RATE_LIMIT_KEY_PER_MINUTE = '5';
+
+  dbQuery = (await import('../api/db-query.js')).default;
+  rest = (await import('../api/rest.js')).default;
+  graphql = (await import('../api/graphql.js')).default;
+  proxy = (await import('../api/nyt-proxy.js')).default;
+  ({ createRateLimiter } = await import('../api/_lib/access.js'));
+});
+
+after(() => {
+  scratch.cleanup();
+});
+
+// Issue a key with the admin script; resolves with the key it printed
+async function issueKey(...args) {
+  const { code, stdout } = await runScript('api-keys', ['create', ...args], { dbPath: scratch.dbPath });
+  assert.equal(code, 0, stdout);
+  return stdout.trim().split('\n').pop().trim();
+}
+
+describe('rate limiter', () => {
+  test('counts requests per client in fixed windows', () => {
+    let now = Date.parse('2024-01-01T00:00:00Z');
+    const limiter = createRateLimiter({ windowMs: 60000, clock: { now: () => new Date(now) } });
+
+    assert.deepEqual(limiter.hit('ip:a', 2), { allowed: true, limit: 2, remaining: 1, reset: 60 });
+    now += 15000;
+    assert.deepEqual(limiter.hit('ip:a', 2), { allowed: true, limit: 2, remaining: 0, reset: 45 });
+    assert.deepEqual(limiter.hit('ip:a', 2), { allowed: false, limit: 2, remaining: 0, reset: 45 });
+    assert.equal(limiter.hit('ip:b', 2).allowed, true);
+
+    now += 45000;
+    assert.deepEqual(limiter.hit('ip:a', 2), { allowed: true, limit: 2, remaining: 1, reset: 60 });
+  });
+});
+
+describe('CORS', () => {
+  test('echoes allowed origins and turns the rest away', async () => {
+    const allowed = await callApi(dbQuery, { action: 'lists' }, { headers: { origin: 'https://partner.example' } });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers['access-control-allow-origin'], 'https://partner.example');
+    assert.equal(allowed.headers.vary, 'Origin');
+    assert.match(allowed.headers['access-control-expose-headers'], /RateLimit-Remaining/);
+
+    const denied = await callApi(dbQuery, { action: 'lists' }, { headers: { origin: 'https://elsewhere.example' } });
+    assert.equal(denied.status, 403);
+    assert.deepEqual(denied.body, { error: 'Origin not allowed: https://elsewhere.example' });
+    assert.equal(denied.headers['access-control-allow-origin'], undefined);
+
+    const serverSide = await callApi(dbQuery, { action: 'lists' });
+    assert.equal(serverSide.status, 200);
+    assert.equal(serverSide.headers['access-control-allow-origin'], undefined);
+  });
+
+  test('answers preflight requests with the methods and headers allowed', async () => {
+    const { status, headers } = await callApi(graphql, {}, { method: 'OPTIONS', headers: { origin: 'https://books.example' } });
+
+    assert.equal(status, 204);
+    assert.equal(headers['access-control-allow-methods'], 'GET, POST, OPTIONS');
+    assert.match(headers['access-control-allow-headers'], /X-API-Key/);
+    assert.match(headers['access-control-allow-headers'], /Authorization/);
+  });
+});
+
+describe('security headers', () => {
+  test('are set on every endpoint\'s responses, errors included', async () => {
+    const responses = [
+      await callApi(dbQuery, { action: 'lists' }),
+      await callApi(rest, { path: 'openapi.json' }),
+      await callApi(graphql, { query: '{ lists { name } }' }),
+      await callApi(proxy, { endpoint: '/lists/secret.json' }),
+      await callApi(dbQuery, { action: 'lists' }, { headers: { origin: 'https://elsewhere.example' } })
+    ];
+
+    for (const { status, headers } of responses) {
+      assert.equal(headers['content-security-policy'], "default-src 'none'; frame-ancestors 'none'", String(status));
+      assert.equal(headers['x-content-type-options'], 'nosniff');
+    }
+  });
+});
+
+describe('rate limits', () => {
+  test('limits anonymous clients per IP', async () => {
+    const from = ip => ({ headers: { 'x-forwarded-for': `${ip}, 10.0.0.1` } });
+
+    for (let i = 0; i < 3; i++) {
+      const { status, headers } = await callApi(rest, { path: 'lists' }, from('203.0.113.5'));
+      assert.equal(status, 200);
+      // The CDN may serve this response to anyone, so it carries no one's quota
+      assert.match(headers['cache-control'], /public/);
+      assert.equal(headers['ratelimit-remaining'], undefined);
+    }
+
+    const limited = await callApi(rest, { path: 'lists' }, from('203.0.113.5'));
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error.code, 'rate_limited');
+    assert.equal(limited.headers['ratelimit-limit'], '3');
+    assert.equal(limited.headers['ratelimit-policy'], '3;w=60');
+    assert.equal(limited.headers['ratelimit-remaining'], '0');
+    assert.ok(Number(limited.headers['retry-after']) > 0);
+
+    const other = await callApi(rest, { path: 'lists' }, from('198.51.100.7'));
+    assert.equal(other.status, 200);
+  });
+
+  test('limits keyed clients by key, at their own limit if they have one', async () => {
+    const key = await issueKey('Partner Team');
+    const limitedKey = await issueKey('Widget', '--limit', '1');
+    const ip = { 'x-forwarded-for': '192.0.2.10' };
+
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      const { status } = await callApi(dbQuery, { action: 'lists' }, { headers: { ...ip, 'x-api-key': key } });
+      statuses.push(status);
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+
+    const bearer = { headers: { ...ip, authorization: `Bearer ${limitedKey}` } };
+    assert.equal((await callApi(dbQuery, { action: 'lists' }, bearer)).status, 200);
+
+    const limited = await callApi(dbQuery, { action: 'lists' }, bearer);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers['ratelimit-limit'], '1');
+  });
+});
+
+describe('API keys', () => {
+  test('stores only a hash of each key', async () => {
+    const key = await issueKey('Stored');
+
+    const db = openForAssertions(scratch.dbPath);
+    const row = db.prepare("SELECT key_hash, key_prefix FROM api_keys WHERE name = 'Stored'").get();
+    db.close();
+
+    assert.notEqual(row.key_hash, key);
+    assert.ok(key.startsWith(row.key_prefix));
+  });
+
+  test('turns away unknown and revoked keys, in each endpoint\'s error shape', async () => {
+    const key = await issueKey('Revoked Soon');
+    const headers = { 'x-api-key': key };
+    assert.equal((await callApi(rest, { path: 'lists' }, { headers })).status, 200);
+
+    const listed = await runScript('api-keys', ['list'], { dbPath: scratch.dbPath });
+    const keyId = listed.stdout.match(/(\d+)\. nytb_\S+…\s+Revoked Soon/)[1];
+
+    const revoked = await runScript('api-keys', ['revoke', keyId], { dbPath: scratch.dbPath });
+    assert.equal(revoked.code, 0);
+    assert.match((await runScript('api-keys', ['list'], { dbPath: scratch.dbPath })).stdout, /Revoked Soon.*revoked/);
+
+    const envelope = await callApi(rest, { path: 'lists' }, { headers });
+    assert.equal(envelope.status, 401);
+    assert.equal(envelope.body.error.code, 'unauthorized');
+
+    const unknown = { 'x-api-key': 'nytb_not-a-key' };
+    assert.deepEqual((await callApi(dbQuery, { action: 'lists' }, { headers: unknown })).body, { error: 'Invalid or revoked API key' });
+    assert.deepEqual((await callApi(graphql, { query: '{ lists { name } }' }, { headers: unknown })).body,
+      { errors: [{ message: 'Invalid or revoked API key' }] });
+    assert.deepEqual((await callApi(proxy, { endpoint: '/lists/names.json' }, { headers: unknown })).body,
+      { error: 'Unauthorized', message: 'Invalid or revoked API key' });
+  });
+
+  test('rejects revoking a key that does not exist', async () => {
+    const { code, stderr } = await runScript('api-keys', ['revoke', '9999'], { dbPath: scratch.dbPath });
+    assert.equal(code, 1);
+    assert.match(stderr, /No active key matches 9999/);
+  });
+});
@@ -0,0 +1,614 @@
+/**
+ * Tests for api/db-query.js against a database seeded from the NYT fixtures.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScratchDb, seedFixtureDb, callApi, openForAssertions } from './support/harness.js';
+import { saveLists, saveListEdition, getListId } from '../scripts/lib/sync.js';
+import { queryStats, queryCreators, queryCreatorProfile, queryLists, parsePaging, CREATORS } from '../api/_lib/queries.js';
+
+let scratch;
+let handler;
+
+// A paperback list where THE LIGHTHOUSE LEDGER appears as a paperback edition:
+// its primary ISBN is one the hardcover already listed, under a slightly
+// different title. It drops off for a week and comes back.
+const PAPERBACK_LIST = {
+  list_name: 'Trade Fiction Paperback',
+  display_name: 'Paperback Trade Fiction',
+  list_name_encoded: 'trade-fiction-paperback',
+  oldest_published_date: '2024-02-04',
+  newest_published_date: '2024-02-18',
+  updated: 'WEEKLY'
+};
+
+const LEDGER_PAPERBACK = {
+  primary_isbn13: '9780000000097',
+  primary_isbn10: '0000000098',
+  title: 'The Lighthouse Ledger: A Novel',
+  author: 'Mara Quill',
+  publisher: 'Harbor Lane',
+  isbns: []
+};
+
+const NIGHT_FERRY = {
+  primary_isbn13: '9780000000042',
+  primary_isbn10: '0000000042',
+  title: 'NIGHT FERRY',
+  author: 'Mara Quill and Theo Brandt',
+  publisher: 'Harbor Lane',
+  // The second ISBN is never a primary one, so it is only in the isbns table
+  isbns: [{ isbn13: '9780000000042', isbn10: '0000000042' }, { isbn13: '9780000000103', isbn10: '0000000104' }]
+};
+
+const PAPERBACK_EDITIONS = [
+  {
+    published_date: '2024-02-04',
+    previous_published_date: '',
+    next_published_date: '2024-02-11',
+    books: [{ ...LEDGER_PAPERBACK, rank: 4, rank_last_week: 0, weeks_on_list: 1 }]
+  },
+  {
+    published_date: '2024-02-11',
+    previous_published_date: '2024-02-04',
+    next_published_date: '2024-02-18',
+    books: [{ ...NIGHT_FERRY, rank: 1, rank_last_week: 0, weeks_on_list: 1 }]
+  },
+  {
+    published_date: '2024-02-18',
+    previous_published_date: '2024-02-11',
+    next_published_date: '',
+    books: [
+      { ...NIGHT_FERRY, rank: 2, rank_last_week: 1, weeks_on_list: 2 },
+      { ...LEDGER_PAPERBACK, rank: 3, rank_last_week: 0, weeks_on_list: 2 }
+    ]
+  }
+].map(edition => ({ list_name_encoded: 'trade-fiction-paperback', bestsellers_date: edition.published_date, ...edition }));
+
+before(async () => {
+  scratch = createScratchDb();
+  const db = seedFixtureDb(scratch.dbPath);
+  saveLists(db, [PAPERBACK_LIST]);
+  for (const results of PAPERBACK_EDITIONS) {
+    saveListEdition(db, {
+      listId: getListId(db, 'trade-fiction-paperback'),
+      listNameEncoded: 'trade-fiction-paperback',
+      results,
+      syncType: 'test'
+    });
+  }
+  db.prepare(`
+    INSERT INTO reviews (book_id, url, publication_dt, byline, book_title, summary)
+    SELECT book_id, 'https://www.nytimes.com/2024/02/25/books/review/night-ferry.html', '2024-02-25',
+      'Jonah Whitlock', 'Night Ferry', 'A crossing that takes all night.'
+    FROM books WHERE primary_isbn13 = ?
+  `).run(NIGHT_FERRY.primary_isbn13);
+  db.close();
+
+  process.env.DB_PATH = scratch.dbPath;
+  handler = (await import('../api/db-query.js')).default;
+});
+
+after(() => {
+  scratch.cleanup();
+});
+
+describe('action=book', () => {
+  test('combines the history of every edition of the work', async () => {
+    const { status, body } = await callApi(handler, { action: 'book', isbn: '9780000000011' });
+    assert.equal(status, 200);
+
+    assert.equal(body.book.primary_isbn13, '9780000000011');
+    assert.equal(body.work.title, 'THE LIGHTHOUSE LEDGER');
+    assert.deepEqual(body.editions.map(e => e.primary_isbn13), ['9780000000011', '9780000000097']);
+    assert.equal(body.lists_appeared, 3);
+
+    const paperback = body.ranking_history.find(r => r.published_date === '2024-02-04');
+    assert.deepEqual(paperback, {
+      list_name: 'Paperback Trade Fiction',
+      list_name_encoded: 'trade-fiction-paperback',
+      published_date: '2024-02-04',
+      bestsellers_date: '2024-02-04',
+      rank: 4,
+      rank_last_week: 0,
+      weeks_on_list: 1,
+      primary_isbn13: '9780000000097'
+    });
+    assert.equal(body.total_appearances, 8);
+  });
+
+  test('finds the work from any edition and any of its ISBNs', async () => {
+    const byPaperback = await callApi(handler, { action: 'book', isbn: '9780000000097' });
+    const byIsbn10 = await callApi(handler, { action: 'book', isbn: '0000000011' });
+
+    assert.equal(byPaperback.body.work.work_id, byIsbn10.body.work.work_id);
+    assert.equal(byPaperback.body.total_appearances, 8);
+  });
+
+  test('groups formats that only share a normalized title and author', async () => {
+    const { body } = await callApi(handler, { action: 'book', isbn: '9780000000066' });
+
+    assert.deepEqual(body.editions.map(e => e.primary_isbn13).sort(), ['9780000000028', '9780000000066']);
+    assert.deepEqual([...new Set(body.ranking_history.map(r => r.list_name_encoded))].sort(), [
+      'audio-fiction',
+      'hardcover-fiction'
+    ]);
+  });
+
+  test('answers 404 for an unknown ISBN', async () => {
+    const { status, body } = await callApi(handler, { action: 'book', isbn: '9789999999999' });
+    assert.equal(status, 404);
+    assert.match(body.error, /Book not found/);
+  });
+});
+
+describe('action=reviews', () => {
+  test('finds a book\'s reviews by any of its ISBNs', async () => {
+    for (const isbn of ['9780000000042', '9780000000103', '0000000104']) {
+      const { status, body } = await callApi(handler, { action: 'reviews', isbn });
+
+      assert.equal(status, 200, isbn);
+      assert.equal(body.book.title, 'NIGHT FERRY');
+      assert.deepEqual(body.reviews.map(r => r.byline), ['Jonah Whitlock']);
+    }
+
+    assert.equal((await callApi(handler, { action: 'reviews', isbn: '9789999999999' })).status, 404);
+  });
+});
+
+describe('paging', () => {
+  test('pages through rows with limit and the next cursor', async () => {
+    const first = await callApi(handler, { action: 'dates', list: 'hardcover-fiction', limit: '3' });
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.dates.map(d => d.published_date), ['2024-01-28', '2024-01-21', '2024-01-14']);
+    assert.equal(first.body.count, 3);
+    assert.equal(first.body.total, 4);
+    assert.ok(first.body.next);
+
+    const second = await callApi(handler, { action: 'dates', list: 'hardcover-fiction', limit: '3', cursor: first.body.next });
+    assert.deepEqual(second.body.dates.map(d => d.published_date), ['2024-01-07']);
+    assert.equal(second.body.offset, 3);
+    assert.equal(second.body.next, null);
+  });
+
+  test('accepts a plain offset', async () => {
+    const { body } = await callApi(handler, { action: 'current', list: 'hardcover-fiction', limit: '1', offset: '1' });
+    assert.deepEqual(body.books.map(b => b.rank), [2]);
+    assert.equal(body.total, 3);
+  });
+
+  test('sorts by and selects returned fields', async () => {
+    const { body } = await callApi(handler, {
+      action: 'lists',
+      sort: '-list_name_encoded',
+      fields: 'list_name_encoded,total_editions,first_edition,latest_edition'
+    });
+
+    assert.deepEqual(body.lists, [
+      { list_name_encoded: 'trade-fiction-paperback', total_editions: 3, first_edition: '2024-02-04', latest_edition: '2024-02-18' },
+      { list_name_encoded: 'hardcover-fiction', total_editions: 4, first_edition: '2024-01-07', latest_edition: '2024-01-28' },
+      { list_name_encoded: 'audio-fiction', total_editions: 2, first_edition: '2024-01-14', latest_edition: '2024-02-11' }
+    ]);
+  });
+
+  test('pages a book\'s ranking history without changing its totals', async () => {
+    const { body } = await callApi(handler, { action: 'book', isbn: '9780000000011', limit: '2', sort: 'published_date' });
+
+    assert.deepEqual(body.ranking_history.map(r => r.published_date), ['2024-01-07', '2024-01-14']);
+    assert.equal(body.total, 8);
+    assert.equal(body.total_appearances, 8);
+    assert.equal(body.lists_appeared, 3);
+  });
+
+  test('rejects out-of-range limits, unknown fields and bad cursors', async () => {
+    for (const query of [
+      { action: 'lists', limit: '0' },
+      { action: 'lists', limit: '1001' },
+      { action: 'lists', offset: '-1' },
+      { action: 'lists', sort: 'nope' },
+      { action: 'lists', fields: 'display_name,nope' },
+      { action: 'lists', cursor: 'not-a-cursor' }
+    ]) {
+      const { status, body } = await callApi(handler, query);
+      assert.equal(status, 400, JSON.stringify(query));
+      assert.match(body.error, /Invalid parameter/);
+    }
+  });
+});
+
+describe('action=search', () => {
+  async function search(q, extra = {}) {
+    const { status, body } = await callApi(handler, { action: 'search', q, ...extra });
+    assert.equal(status, 200, JSON.stringify(body));
+    return body;
+  }
+
+  const titles = (body) => body.books.map(b => b.title);
+
+  test('matches descriptions and ranks title matches first', async () => {
+    assert.deepEqual(titles(await search('smuggling')), ['THE LIGHTHOUSE LEDGER']);
+    // ORCHARD HOUSE by title beats SALT AND IRON's audio publisher, Sound House Audio
+    assert.deepEqual(titles(await search('house')), ['ORCHARD HOUSE', 'SALT AND IRON']);
+  });
+
+  test('supports phrases, prefixes and OR', async () => {
+    assert.deepEqual(titles(await search('"night ferry"')), ['NIGHT FERRY']);
+    assert.deepEqual(titles(await search('"ferry night"')), []);
+    assert.deepEqual(titles(await search('cartograph*')), ['THE GLASS CARTOGRAPHER']);
+    assert.deepEqual(new Set(titles(await search('glass OR orchard'))), new Set(['THE GLASS CARTOGRAPHER', 'ORCHARD HOUSE']));
+  });
+
+  test('filters by author and publisher, ignoring accents', async () => {
+    assert.deepEqual(titles(await search('author:ferran')), ['ORCHARD HOUSE']);
+    assert.deepEqual(new Set(titles(await search('publisher:"harbor lane"'))), new Set([
+      'THE LIGHTHOUSE LEDGER',
+      'The Lighthouse Ledger: A Novel',
+      'NIGHT FERRY'
+    ]));
+    assert.deepEqual(titles(await search('author:quill ferry')), ['NIGHT FERRY']);
+    // "ledger" is in a title, not an author
+    assert.deepEqual(titles(await search('author:ledger')), []);
+  });
+
+  test('highlights matches', async () => {
+    const [book] = (await search('smuggling')).books;
+    assert.equal(book.title_highlight, 'THE LIGHTHOUSE LEDGER');
+    assert.match(book.snippet, /<mark>smuggling<\/mark>/);
+
+    const [paperback] = (await search('novel')).books;
+    assert.equal(paperback.title_highlight, 'The Lighthouse Ledger: A <mark>Novel</mark>');
+  });
+
+  test('treats FTS syntax in the query as text', async () => {
+    assert.deepEqual(titles(await search('NEAR(salt iron) title:')), []);
+    // A dangling NOT would be an FTS5 syntax error if passed through
+    assert.deepEqual(titles(await search('lighthouse NOT')), []);
+  });
+
+  test('rejects a query with nothing to search for', async () => {
+    const { status } = await callApi(handler, { action: 'search', q: '"" * OR' });
+    assert.equal(status, 400);
+  });
+});
+
+describe('action=timeseries', () => {
+  test('aligns the requested books on the list\'s editions with gaps', async () => {
+    const { status, body } = await callApi(handler, {
+      action: 'timeseries',
+      list: 'hardcover-fiction',
+      isbns: '9780000000042,9780000000035'
+    });
+    assert.equal(status, 200);
+
+    assert.deepEqual(body.dates, ['2024-01-07', '2024-01-14', '2024-01-21', '2024-01-28']);
+    assert.deepEqual(body.series.map(s => s.ranks), [
+      [null, 2, 1, 2],
+      [3, null, null, null]
+    ]);
+
+    const [nightFerry] = body.series;
+    assert.equal(nightFerry.title, 'NIGHT FERRY');
+    assert.equal(nightFerry.debut_date, '2024-01-14');
+    assert.equal(nightFerry.debut_rank, 2);
+    assert.equal(nightFerry.peak_rank, 1);
+    assert.equal(nightFerry.peak_date, '2024-01-21');
+    assert.equal(nightFerry.total_weeks, 3);
+  });
+
+  test('keeps debut, peak and totals from the whole history when the range is narrowed', async () => {
+    const { body } = await callApi(handler, {
+      action: 'timeseries',
+      list: 'hardcover-fiction',
+      isbns: '9780000000011',
+      from: '2024-01-21',
+      to: '2024-01-28'
+    });
+
+    assert.deepEqual(body.dates, ['2024-01-21', '2024-01-28']);
+    assert.deepEqual(body.series[0].ranks, [2, 3]);
+    assert.equal(body.series[0].weeks_in_range, 2);
+    assert.equal(body.series[0].debut_date, '2024-01-07');
+    assert.equal(body.series[0].total_weeks, 4);
+  });
+
+  test('follows a work onto the list under another edition\'s ISBN', async () => {
+    const { body } = await callApi(handler, { action: 'timeseries', list: 'audio-fiction', isbns: '9780000000028,9789999999999' });
+
+    assert.deepEqual(body.series[0].ranks, [1, 2]);
+    assert.deepEqual(body.not_found, ['9789999999999']);
+  });
+
+  test('covers every book on the list in the range when no ISBNs are given, paged', async () => {
+    const { body } = await callApi(handler, { action: 'timeseries', list: 'hardcover-fiction', from: '2024-01-14', limit: '2' });
+
+    assert.equal(body.total, 4);
+    assert.ok(body.next);
+    assert.deepEqual(body.series.map(s => s.title), ['THE LIGHTHOUSE LEDGER', 'NIGHT FERRY']);
+  });
+
+  test('rejects bad dates, reversed ranges and too many ISBNs', async () => {
+    for (const query of [
+      { from: '2024-13-01' },
+      { to: 'yesterday' },
+      { from: '2024-02-01', to: '2024-01-01' },
+      { isbns: Array.from({ length: 21 }, (_, i) => String(9780000000100 + i)).join(',') }
+    ]) {
+      const { status } = await callApi(handler, { action: 'timeseries', list: 'hardcover-fiction', ...query });
+      assert.equal(status, 400, JSON.stringify(query));
+    }
+  });
+});
+
+describe('action=diff', () => {
+  const titles = entries => entries.map(entry => entry.title);
+
+  test('compares the latest edition with the one before it', async () => {
+    const { status, body } = await callApi(handler, { action: 'diff', list: 'hardcover-fiction' });
+
+    assert.equal(status, 200);
+    assert.equal(body.published_date, '2024-01-28');
+    assert.equal(body.previous_published_date, '2024-01-21');
+    assert.deepEqual(body.summary, { books: 3, debuts: 1, returning: 0, dropped: 1, climbers: 0, fallers: 2, unchanged: 0 });
+    assert.deepEqual(titles(body.debuts), ['THE GLASS CARTOGRAPHER']);
+    assert.deepEqual(body.dropped.map(entry => [entry.title, entry.previous_rank]), [['SALT AND IRON', 3]]);
+    assert.deepEqual(body.fallers.map(entry => [entry.title, entry.previous_rank, entry.rank, entry.change]), [
+      ['NIGHT FERRY', 1, 2, -1],
+      ['THE LIGHTHOUSE LEDGER', 2, 3, -1]
+    ]);
+  });
+
+  test('finds climbers and unchanged books for a given date', async () => {
+    const { body } = await callApi(handler, { action: 'diff', list: 'hardcover-fiction', date: '2024-01-21' });
+
+    assert.equal(body.previous_published_date, '2024-01-14');
+    assert.deepEqual(body.climbers.map(entry => [entry.title, entry.change]), [['NIGHT FERRY', 1]]);
+    assert.deepEqual(titles(body.fallers), ['THE LIGHTHOUSE LEDGER']);
+    assert.deepEqual(titles(body.unchanged), ['SALT AND IRON']);
+  });
+
+  test('tells books returning after a gap from debuts', async () => {
+    const { body } = await callApi(handler, { action: 'diff', list: 'trade-fiction-paperback' });
+
+    assert.deepEqual(titles(body.returning), ['The Lighthouse Ledger: A Novel']);
+    assert.deepEqual(body.debuts, []);
+    assert.deepEqual(titles(body.fallers), ['NIGHT FERRY']);
+
+    const gap = await callApi(handler, { action: 'diff', list: 'trade-fiction-paperback', date: '2024-02-11' });
+    assert.deepEqual(titles(gap.body.debuts), ['NIGHT FERRY']);
+    assert.deepEqual(titles(gap.body.dropped), ['The Lighthouse Ledger: A Novel']);
+  });
+
+  test('treats every book in a list\'s first edition as a debut', async () => {
+    const { body } = await callApi(handler, { action: 'diff', list: 'hardcover-fiction', date: '2024-01-07' });
+
+    assert.equal(body.previous_published_date, null);
+    assert.equal(body.summary.debuts, 3);
+  });
+
+  test('rejects a bad date and answers 404 for a date with no edition', async () => {
+    assert.equal((await callApi(handler, { action: 'diff', list: 'hardcover-fiction', date: '01/28/2024' })).status, 400);
+    assert.equal((await callApi(handler, { action: 'diff' })).status, 400);
+    assert.equal((await callApi(handler, { action: 'diff', list: 'hardcover-fiction', date: '2024-01-08' })).status, 404);
+  });
+});
+
+// Run a query against the database, returning the query plan of every
+// statement it ran
+function queryPlans(run) {
+  const db = openForAssertions(scratch.dbPath);
+  const prepare = db.prepare.bind(db);
+  const plans = [];
+
+  db.prepare = sql => {
+    const statement = prepare(sql);
+    const explain = params => plans.push({
+      sql,
+      plan: prepare(`EXPLAIN QUERY PLAN ${sql}`).all(...params).map(row => row.detail)
+    });
+
+    return {
+      columns: () => statement.columns(),
+      get: (...params) => { explain(params); return statement.get(...params); },
+      all: (...params) => { explain(params); return statement.all(...params); }
+    };
+  };
+
+  try {
+    run(db);
+  } finally {
+    db.close();
+  }
+  return plans;
+}
+
+describe('authors and publishers', () => {
+  test('ranks authors by weeks on any list, crediting each co-author', async () => {
+    const { status, body } = await callApi(handler, { action: 'authors' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.authors.map(a => a.author).slice(0, 3), ['Mara Quill', 'Theo Brandt', 'Devon Achebe-Hart']);
+
+    const quill = body.authors[0];
+    assert.equal(quill.titles, 2);
+    assert.equal(quill.number_one_titles, 2);
+    assert.equal(quill.lists_appeared, 3);
+    assert.equal(quill.first_date, '2024-01-07');
+    assert.equal(quill.last_date, '2024-02-18');
+  });
+
+  test('profiles an author by any spelling of their name', async () => {
+    const { status, body } = await callApi(handler, { action: 'author', name: 'MARA quill' });
+
+    assert.equal(status, 200);
+    assert.equal(body.author, 'Mara Quill');
+    assert.deepEqual(body.title_history.map(t => t.title), ['THE LIGHTHOUSE LEDGER', 'NIGHT FERRY']);
+    assert.deepEqual(body.title_history[0].lists, ['hardcover-fiction', 'audio-fiction', 'trade-fiction-paperback']);
+    assert.deepEqual(body.co_authors, [{ author: 'Theo Brandt', author_key: 'theo brandt', shared_titles: 1 }]);
+
+    const accented = await callApi(handler, { action: 'author', name: 'Lucia Ferran' });
+    assert.equal(accented.body.author, 'Lucía Ferrán');
+  });
+
+  test('ranks and profiles publishers', async () => {
+    const { body } = await callApi(handler, { action: 'publishers', fields: 'publisher,titles' });
+    assert.deepEqual(body.publishers[0], { publisher: 'Harbor Lane', titles: 2 });
+
+    const profile = await callApi(handler, { action: 'publisher', name: 'Northfield, Inc.' });
+    assert.equal(profile.body.publisher, 'Northfield');
+    assert.deepEqual(profile.body.title_history.map(t => t.title), ['SALT AND IRON', 'THE GLASS CARTOGRAPHER']);
+    assert.equal(profile.body.co_authors, undefined);
+  });
+
+  test('reads author credits from book_credits and picks names without a correlated scan', () => {
+    const plans = queryPlans(db => {
+      queryCreators(db, CREATORS.author, parsePaging({}));
+      queryCreatorProfile(db, CREATORS.author, 'Mara Quill', parsePaging({}));
+    });
+
+    assert.ok(plans.length >= 4);
+    for (const { sql, plan } of plans) {
+      assert.match(sql, /book_credits/);
+      assert.ok(!plan.some(step => /CORRELATED/.test(step)), `${sql}\n${plan.join('\n')}`);
+    }
+  });
+
+  test('rejects several authors in one name and answers 404 for an unknown one', async () => {
+    assert.equal((await callApi(handler, { action: 'author', name: 'Mara Quill and Theo Brandt' })).status, 400);
+    assert.equal((await callApi(handler, { action: 'author' })).status, 400);
+    assert.equal((await callApi(handler, { action: 'publisher', name: 'Nobody Press' })).status, 404);
+  });
+});
+
+describe('action=stats', () => {
+  test('finds debuts and turnover with joins, not a correlated scan per entry', () => {
+    const analytics = queryPlans(db => queryStats(db, {})).filter(({ sql }) => sql.includes('entries AS'));
+
+    assert.ok(analytics.length >= 6);
+    for (const { sql, plan } of analytics) {
+      assert.ok(!plan.some(step => /CORRELATED/.test(step)), `${sql}\n${plan.join('\n')}`);
+    }
+  });
+
+  test('reports number ones, tenure, debuts and turnover for a list', async () => {
+    const { status, body } = await callApi(handler, { action: 'stats', list: 'hardcover-fiction' });
+
+    assert.equal(status, 200);
+    assert.equal(body.stats.lists_count, 3);
+    assert.deepEqual(body.summary, {
+      lists: 1,
+      editions: 4,
+      entries: 12,
+      titles: 5,
+      number_one_titles: 3,
+      avg_tenure_weeks: 2.4,
+      debuts: 2,
+      debuts_at_number_one: 1,
+      debut_at_number_one_rate: 0.5,
+      avg_new_per_week: 0.67,
+      turnover_rate: 0.2222
+    });
+    assert.deepEqual(body.number_ones[0], {
+      title: 'THE LIGHTHOUSE LEDGER', author: 'Mara Quill', weeks_at_number_one: 2, lists_appeared: 1
+    });
+  });
+
+  test('counts a week on several lists once for longevity', async () => {
+    const { body } = await callApi(handler, { action: 'stats' });
+    const ledger = body.top_books_by_longevity.find(book => book.title === 'THE LIGHTHOUSE LEDGER');
+
+    assert.equal(ledger.total_weeks, 7);
+    assert.equal(ledger.lists_appeared, 3);
+  });
+
+  test('filters by category and date range', async () => {
+    const { body } = await callApi(handler, { action: 'stats', category: 'paperback', from: '2024-02-11' });
+
+    assert.deepEqual(body.filters.lists, ['trade-fiction-paperback']);
+    assert.equal(body.summary.editions, 2);
+    assert.equal(body.summary.debuts, 1);
+    assert.equal(body.summary.debut_at_number_one_rate, 1);
+  });
+
+  test('splits publisher share by period with concentration', async () => {
+    const { body } = await callApi(handler, {
+      action: 'stats', list: 'hardcover-fiction,audio-fiction', period: 'month', publishers: 'harbor lane, inc.'
+    });
+
+    assert.deepEqual(body.publisher_share.map(p => [p.period, p.entries]), [['2024-01', 14], ['2024-02', 2]]);
+
+    const january = body.publisher_share[0];
+    assert.deepEqual(january.publishers[0], { publisher: 'Harbor Lane', entries: 8, share: 0.5714 });
+    assert.equal(january.selected_share, 0.5714);
+    assert.equal(january.top5_share, 1);
+    assert.equal(january.hhi, 4184);
+  });
+
+  test('rejects unknown categories and periods and reversed ranges', async () => {
+    for (const query of [{ category: 'poetry' }, { period: 'decade' }, { from: '2024-02-01', to: '2024-01-01' }]) {
+      const { status } = await callApi(handler, { action: 'stats', ...query });
+      assert.equal(status, 400, JSON.stringify(query));
+    }
+  });
+});
+
+describe('format', () => {
+  test('streams rows as a CSV download with paging headers', async () => {
+    const { status, headers, body } = await callApi(handler, {
+      action: 'current', list: 'hardcover-fiction', format: 'csv', fields: 'rank,title', limit: '2'
+    });
+
+    assert.equal(status, 200);
+    assert.equal(headers['content-type'], 'text/csv; charset=utf-8');
+    assert.equal(headers['content-disposition'], 'attachment; filename="nyt-bestsellers-current-hardcover-fiction.csv"');
+    assert.equal(headers['x-total-count'], '3');
+    assert.ok(headers['x-next-cursor']);
+    assert.equal(body, 'rank,title\n1,THE GLASS CARTOGRAPHER\n2,NIGHT FERRY\n');
+  });
+
+  test('reads export rows from the statement one at a time, not as a whole page', () => {
+    const db = openForAssertions(scratch.dbPath);
+    const { lists } = queryLists(db, { ...parsePaging({ fields: 'list_name_encoded' }), stream: true });
+
+    assert.ok(!Array.isArray(lists));
+    assert.deepEqual(lists.columns, ['list_name_encoded']);
+
+    const rows = lists[Symbol.iterator]();
+    assert.deepEqual(rows.next().value, { list_name_encoded: 'audio-fiction' });
+    rows.return();
+    db.close();
+  });
+
+  test('streams an author\'s title history with its lists as JSON', async () => {
+    const { body } = await callApi(handler, { action: 'author', name: 'Mara Quill', format: 'ndjson', fields: 'title,lists' });
+    assert.deepEqual(JSON.parse(body.split('\n')[0]), {
+      title: 'THE LIGHTHOUSE LEDGER',
+      lists: ['hardcover-fiction', 'audio-fiction', 'trade-fiction-paperback']
+    });
+  });
+
+  test('flattens nested results into rows', async () => {
+    const diff = await callApi(handler, { action: 'diff', list: 'hardcover-fiction', format: 'tsv' });
+    const [header, ...lines] = diff.body.trim().split('\n');
+    assert.equal(header.split('\t')[0], 'category');
+    assert.deepEqual(lines.map(line => line.split('\t')[0]), ['debut', 'faller', 'faller', 'dropped']);
+
+    const series = await callApi(handler, { action: 'timeseries', list: 'audio-fiction', format: 'ndjson' });
+    const points = series.body.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(points.map(p => [p.title, p.published_date, p.rank]), [
+      ['THE LIGHTHOUSE LEDGER', '2024-01-14', 2],
+      ['THE LIGHTHOUSE LEDGER', '2024-02-11', 1],
+      ['SALT AND IRON', '2024-01-14', 1],
+      ['SALT AND IRON', '2024-02-11', 2]
+    ]);
+  });
+
+  test('allows bigger pages for exports only and rejects unknown formats', async () => {
+    assert.equal((await callApi(handler, { action: 'lists', format: 'ndjson', limit: '5000' })).status, 200);
+    assert.equal((await callApi(handler, { action: 'lists', limit: '5000' })).status, 400);
+
+    const { status, body } = await callApi(handler, { action: 'lists', format: 'xml' });
+    assert.equal(status, 400);
+    assert.match(body.error, /format must be one of json, csv, tsv, ndjson/);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for tabular export: the shared CSV/TSV/NDJSON writer and
+ * scripts/export.js run against a database seeded from the NYT fixtures.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { columnsOf, serializeRows, exportFilename } from '../scripts/lib/export.js';
+import { createScratchDb, seedFixtureDb, runScript } from './support/harness.js';
+
+describe('export writer', () => {
+  const rows = [
+    { rank: 1, title: 'SALT, AND "IRON"', lists: ['a', 'b'] },
+    { rank: 2, title: 'Two\tlines\nhere', note: null }
+  ];
+
+  test('writes CSV with quoting, empty nulls and JSON for arrays', () => {
+    const csv = [...serializeRows('csv', columnsOf(rows), rows)].join('');
+
+    assert.equal(csv, [
+      'rank,title,lists,note',
+      '1,"SALT, AND ""IRON""","[""a"",""b""]",',
+      '2,"Two\tlines\nhere",,',
+      ''
+    ].join('\n'));
+  });
+
+  test('writes TSV without tabs or line breaks in cells', () => {
+    const tsv = [...serializeRows('tsv', ['rank', 'title'], rows)].join('');
+    assert.equal(tsv, 'rank\ttitle\n1\tSALT, AND "IRON"\n2\tTwo lines here\n');
+  });
+
+  test('writes one JSON object per line for NDJSON', () => {
+    const lines = [...serializeRows('ndjson', columnsOf(rows), rows)];
+    assert.deepEqual(lines.map(line => JSON.parse(line)), rows);
+  });
+
+  test('names files after what was exported', () => {
+    assert.equal(exportFilename(['current', 'hardcover-fiction', undefined], 'csv'),
+      'nyt-bestsellers-current-hardcover-fiction.csv');
+    assert.equal(exportFilename(['search', 'lighthouse author:"quill"'], 'ndjson'),
+      'nyt-bestsellers-search-lighthouse-author-quill.ndjson');
+  });
+});
+
+describe('scripts/export.js', () => {
+  let scratch;
+
+  before(() => {
+    scratch = createScratchDb();
+    seedFixtureDb(scratch.dbPath).close();
+  });
+
+  after(() => {
+    scratch.cleanup();
+  });
+
+  // No NYT requests are made, so the stand-in isn't needed
+  const run = args => runScript('export', args, { dbPath: scratch.dbPath, baseUrl: 'http://127.0.0.1:9' });
+
+  test('dumps a whole table to stdout', async () => {
+    const { code, stdout, stderr } = await run(['lists']);
+
+    assert.equal(code, 0, stderr);
+    const [header, ...rows] = stdout.trim().split('\n');
+    assert.match(header, /^list_id,list_name_encoded,display_name/);
+    assert.equal(rows.length, 2);
+    assert.match(stderr, /Exported 2 lists rows as csv/);
+  });
+
+  test('writes filtered history to a file', async () => {
+    const out = join(dirname(scratch.dbPath), 'history.ndjson');
+    const { code, stderr } = await run(['history', '--format', 'ndjson', '--lists', 'hardcover-fiction',
+      '--from', '2024-01-21', '--out', out]);
+
+    assert.equal(code, 0, stderr);
+    const rows = readFileSync(out, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(rows.length, 6);
+    assert.deepEqual(rows[0], {
+      list_name_encoded: 'hardcover-fiction',
+      published_date: '2024-01-21',
+      rank: 1,
+      rank_last_week: 2,
+      weeks_on_list: 2,
+      work_id: 4,
+      primary_isbn13: '9780000000042',
+      primary_isbn10: '0000000042',
+      title: 'NIGHT FERRY',
+      author: 'Mara Quill and Theo Brandt',
+      publisher: 'Harbor Lane'
+    });
+  });
+
+  test('rejects unknown tables, formats and filters on tables', async () => {
+    for (const args of [['sqlite_master'], ['lists', '--format', 'xlsx'], ['books', '--from', '2024-01-01'],
+      ['history', '--to', 'tomorrow']]) {
+      const { code } = await run(args);
+      assert.equal(code, 1, args.join(' '));
+    }
+  });
+});
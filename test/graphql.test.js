@@ -0,0 +1,157 @@
+/**
+ * Tests for api/graphql.js against a database seeded from the NYT fixtures.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScratchDb, seedFixtureDb, callApi } from './support/harness.js';
+
+let scratch;
+let handler;
+
+before(async () => {
+  scratch = createScratchDb();
+  seedFixtureDb(scratch.dbPath).close();
+
+  process.env.DB_PATH = scratch.dbPath;
+  handler = (await import('../api/graphql.js')).default;
+});
+
+after(() => {
+  scratch.cleanup();
+});
+
+// Call the handler; the body is read back as JSON, the way a client would see it
+async function call(query, options) {
+  const response = await callApi(handler, query, options);
+  return { ...response, body: JSON.parse(JSON.stringify(response.body)) };
+}
+
+function post(query, variables) {
+  return call({}, { method: 'POST', body: { query, variables } });
+}
+
+describe('queries', () => {
+  test('resolves list -> edition -> rankings -> book -> other lists in one request', async () => {
+    const { status, body } = await post(`{
+      list(name: "hardcover-fiction") {
+        displayName
+        edition {
+          publishedDate
+          previousPublishedDate
+          rankings { rank book { title lists { name } } }
+        }
+      }
+    }`);
+
+    assert.equal(status, 200);
+    assert.equal(body.errors, undefined);
+    assert.deepEqual(body.data.list, {
+      displayName: 'Hardcover Fiction',
+      edition: {
+        publishedDate: '2024-01-28',
+        previousPublishedDate: '2024-01-21',
+        rankings: [
+          { rank: 1, book: { title: 'THE GLASS CARTOGRAPHER', lists: [{ name: 'hardcover-fiction' }] } },
+          { rank: 2, book: { title: 'NIGHT FERRY', lists: [{ name: 'hardcover-fiction' }] } },
+          { rank: 3, book: { title: 'THE LIGHTHOUSE LEDGER', lists: [{ name: 'audio-fiction' }, { name: 'hardcover-fiction' }] } }
+        ]
+      }
+    });
+  });
+
+  test('looks up a book by any ISBN, with its rankings and formats', async () => {
+    const { body } = await post(`query Book($isbn: String!) {
+      book(isbn: $isbn) {
+        title
+        otherEditions { isbn13 }
+        rankings(limit: 2) { rank publishedDate list { name } edition { nextPublishedDate } }
+      }
+    }`, { isbn: '9780000000066' });
+
+    assert.deepEqual(body.data.book, {
+      title: 'SALT AND IRON',
+      otherEditions: [{ isbn13: '9780000000028' }],
+      rankings: [
+        { rank: 2, publishedDate: '2024-02-11', list: { name: 'audio-fiction' }, edition: { nextPublishedDate: null } },
+        { rank: 1, publishedDate: '2024-01-14', list: { name: 'audio-fiction' }, edition: { nextPublishedDate: '2024-02-11' } }
+      ]
+    });
+  });
+
+  test('splits credits into authors and finds them by any spelling', async () => {
+    const ferry = await post('{ book(isbn: "9780000000042") { authors { name titles totalWeeks numberOneTitles } } }');
+    assert.deepEqual(ferry.body.data.book.authors, [
+      { name: 'Mara Quill', titles: 2, totalWeeks: 5, numberOneTitles: 2 },
+      { name: 'Theo Brandt', titles: 1, totalWeeks: 3, numberOneTitles: 1 }
+    ]);
+
+    const { body } = await post('{ author(name: "lucia ferran") { name books { title } } }');
+    assert.deepEqual(body.data.author, { name: 'Lucía Ferrán', books: [{ title: 'ORCHARD HOUSE' }] });
+  });
+
+  test('accepts GET with the query in the query string', async () => {
+    const { status, body } = await call({
+      query: 'query($n: Int) { lists(limit: $n) { name } }',
+      variables: '{"n": 1}'
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.lists, [{ name: 'audio-fiction' }]);
+  });
+});
+
+describe('limits', () => {
+  test('rejects queries nested too deeply before running them', async () => {
+    const { status, body } = await post(
+      '{ lists { editions { rankings { book { lists { editions { rankings { book { title } } } } } } } } }'
+    );
+
+    assert.equal(status, 400);
+    assert.match(body.errors[0].message, /nested 9 levels deep/);
+  });
+
+  test('rejects queries whose limits multiply past the cost budget, counting fragments', async () => {
+    const { status, body } = await post(`
+      query { lists(limit: 100) { ...Editions } }
+      fragment Editions on List { editions(limit: 100) { rankings(limit: 100) { book { title } } } }
+    `);
+
+    assert.equal(status, 400);
+    assert.match(body.errors[0].message, /too expensive/);
+  });
+
+  test('counts author totals towards the cost, since each reads every ranking of the author', async () => {
+    const rankings = 'lists(limit: 20) { edition { rankings(limit: 15) { book { authors { name } } } } }';
+    assert.equal((await post(`{ ${rankings} }`)).status, 200);
+
+    const { status, body } = await post(`{ ${rankings.replace('{ name }', '{ name titles totalWeeks numberOneTitles }')} }`);
+    assert.equal(status, 400);
+    assert.match(body.errors[0].message, /too expensive/);
+  });
+
+  test('costs a limit set from an unprovided variable at the field\'s default', async () => {
+    const { status, body } = await post(`query($n: Int) {
+      lists(limit: $n) { editions(limit: $n) { rankings(limit: $n) { rank } } }
+    }`);
+
+    assert.equal(status, 400);
+    assert.match(body.errors[0].message, /too expensive/);
+  });
+
+  test('reports bad arguments, unknown fields and syntax errors', async () => {
+    const big = await post('{ lists(limit: 500) { name } }');
+    assert.equal(big.status, 200);
+    assert.equal(big.body.data, null);
+    assert.match(big.body.errors[0].message, /limit must be from 1 to 100/);
+
+    const nullOffset = await post('{ lists(offset: null) { name } }');
+    assert.equal(nullOffset.body.data, null);
+    assert.match(nullOffset.body.errors[0].message, /offset must be a whole number/);
+
+    assert.equal((await post('{ list(name: "hardcover-fiction") { nope } }')).status, 400);
+    assert.equal((await post('{ lists { name }')).status, 400);
+    assert.equal((await call({})).status, 400);
+    assert.equal((await call({}, { method: 'DELETE' })).status, 405);
+  });
+});
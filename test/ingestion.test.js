@@ -0,0 +1,311 @@
+/**
+ * End-to-end ingestion tests: init-db, update-db and sync-reviews run as real
+ * processes against the NYT stand-in and a scratch database.
+ */
+
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { startNytStub } from './support/nyt-stub.js';
+import { createScratchDb, runScript, openForAssertions } from './support/harness.js';
+
+const HF_JAN_14 = '/lists/2024-01-14/hardcover-fiction.json';
+const HF_JAN_21 = '/lists/2024-01-21/hardcover-fiction.json';
+const FULL_OVERVIEW = '/lists/full-overview.json';
+
+let stub;
+let scratch;
+
+before(async () => {
+  stub = await startNytStub();
+});
+
+after(async () => {
+  await stub.close();
+});
+
+beforeEach(() => {
+  scratch = createScratchDb();
+  stub.requests.length = 0;
+});
+
+afterEach(() => {
+  scratch.cleanup();
+});
+
+function run(name, args = [], env = {}) {
+  return runScript(name, args, { dbPath: scratch.dbPath, baseUrl: stub.baseUrl, env });
+}
+
+// Fail on the first error instead of retrying it in the same run
+const NO_RETRIES = { NYT_MAX_RETRIES: '0' };
+
+function count(db, sql, ...params) {
+  return db.prepare(sql).get(...params).count;
+}
+
+describe('init-db', () => {
+  test('backfills every edition of every list', async () => {
+    const result = await run('init-db');
+    assert.equal(result.code, 0, result.stderr);
+
+    const db = openForAssertions(scratch.dbPath);
+    assert.equal(count(db, 'SELECT COUNT(*) as count FROM lists'), 2);
+    // The same ISBN on two lists is one book
+    assert.equal(count(db, 'SELECT COUNT(*) as count FROM books'), 5);
+    // Every book's primary ISBN plus the extra one listed for THE LIGHTHOUSE LEDGER
+    assert.equal(count(db, 'SELECT COUNT(*) as count FROM isbns'), 6);
+    // The hardcover and audio SALT AND IRON are two books but one work
+    assert.equal(count(db, 'SELECT COUNT(*) as count FROM works'), 4);
+    assert.equal(count(db, `
+      SELECT COUNT(DISTINCT work_id) as count FROM books WHERE title = 'SALT AND IRON'
+    `), 1);
+    assert.equal(count(db, 'SELECT COUNT(*) as count FROM rankings'), 13);
+    assert.equal(count(db, "SELECT COUNT(*) as count FROM sync_log WHERE sync_type = 'init' AND status = 'success'"), 5);
+    assert.equal(count(db, "SELECT COUNT(*) as count FROM sync_log WHERE status = 'error'"), 0);
+
+    const dates = db.prepare(`
+      SELECT DISTINCT r.published_date FROM rankings r
+      JOIN lists l ON r.list_id = l.list_id
+      WHERE l.list_name_encoded = 'audio-fiction'
+      ORDER BY r.published_date
+    `).all().map(r => r.published_date);
+    assert.deepEqual(dates, ['2024-01-14', '2024-02-11']);
+
+    const ranking = db.prepare(`
+      SELECT r.rank, r.rank_last_week, r.weeks_on_list, b.title
+      FROM rankings r JOIN books b ON r.book_id = b.book_id
+      JOIN lists l ON r.list_id = l.list_id
+      WHERE l.list_name_encoded = 'hardcover-fiction' AND r.published_date = '2024-01-14' AND r.rank = 2
+    `).get();
+    assert.deepEqual(ranking, { rank: 2, rank_last_week: 0, weeks_on_list: 1, title: 'NIGHT FERRY' });
+    db.close();
+
+    // names + 3 weekly + 2 monthly editions, none fetched twice
+    assert.equal(stub.requests.length, 6);
+  });
+
+  test('records its requests in the daily usage counter', async () => {
+    await run('init-db');
+    await run('init-db');
+
+    const db = openForAssertions(scratch.dbPath);
+    const usage = db.prepare('SELECT usage_date, request_count FROM api_usage').all();
+    assert.deepEqual(usage, [{ usage_date: new Date().toISOString().split('T')[0], request_count: 7 }]);
+    db.close();
+  });
+
+  test('retries a 429 within the run', async () => {
+    stub.fail(HF_JAN_14, { status: 429, headers: { 'Retry-After': '0' } });
+
+    const result = await run('init-db');
+    assert.equal(result.code, 0, result.stderr);
+    assert.equal(stub.countRequests(HF_JAN_14), 2);
+
+    const db = openForAssertions(scratch.dbPath);
+    assert.equal(count(db, 'SELECT COUNT(*) as count FROM rankings'), 13);
+    assert.equal(count(db, "SELECT COUNT(*) as count FROM sync_log WHERE status = 'error'"), 0);
+    db.close();
+  });
+
+  test('a second run makes no edition requests', async () => {
+    await run('init-db');
+    stub.requests.length = 0;
+
+    const result = await run('init-db');
+    assert.equal(result.code, 0, result.stderr);
+    assert.deepEqual(stub.requests.map(r => r.path), ['/lists/names.json']);
+  });
+
+  test('skips editions stored before editions and checkpoints were recorded', async () => {
+    await run('init-db');
+    stub.requests.length = 0;
+
+    const db = new Database(scratch.dbPath);
+    db.exec('DELETE FROM editions; DELETE FROM sync_checkpoints');
+    db.close();
+
+    const result = await run('init-db');
+    assert.equal(result.code, 0, result.stderr);
+    assert.deepEqual(stub.requests.map(r => r.path), ['/lists/names.json']);
+  });
+
+  test('requests a failed edition again and carries on along its next link', async () => {
+    stub.fail(HF_JAN_14, { status: 500 });
+
+    const result = await run('init-db', [], NO_RETRIES);
+    assert.equal(result.code, 0, result.stderr);
+    assert.equal(stub.countRequests(HF_JAN_14), 2);
+
+    // Only real edition dates were asked for, each once it was reached
+    const requested = stub.requests.map(r => r.path).filter(path => path.endsWith('/hardcover-fiction.json'));
+    assert.deepEqual([...new Set(requested)], ['/lists/2024-01-07/hardcover-fiction.json', HF_JAN_14, HF_JAN_21]);
+
+    const db = openForAssertions(scratch.dbPath);
+    assert.equal(count(db, 'SELECT COUNT(*) as count FROM rankings'), 13);
+    assert.equal(count(db, "SELECT COUNT(*) as count FROM sync_log WHERE status = 'error'"), 0);
+    const checkpoint = db.prepare("SELECT status FROM sync_checkpoints WHERE list_name_encoded = 'hardcover-fiction'").get();
+    assert.equal(checkpoint.status, 'complete');
+    db.close();
+  });
+
+  test('stops a list at an edition that fails twice and resumes from it on the next run', async () => {
+    stub.fail(HF_JAN_14, { status: 429 }, { status: 429 });
+
+    const first = await run('init-db', [], NO_RETRIES);
+    assert.equal(first.code, 0, first.stderr);
+
+    let db = openForAssertions(scratch.dbPath);
+    const error = db.prepare("SELECT list_name_encoded, published_date, error_message FROM sync_log WHERE status = 'error'").get();
+    assert.equal(error.list_name_encoded, 'hardcover-fiction');
+    assert.equal(error.published_date, '2024-01-14');
+    assert.match(error.error_message, /429/);
+    assert.equal(count(db, 'SELECT COUNT(*) as count FROM rankings'), 7);
+    assert.equal(stub.countRequests(HF_JAN_21), 0);
+    db.close();
+
+    const second = await run('init-db');
+    assert.equal(second.code, 0, second.stderr);
+    assert.equal(stub.countRequests(HF_JAN_14), 3);
+    assert.equal(stub.countRequests(HF_JAN_21), 1);
+
+    db = openForAssertions(scratch.dbPath);
+    assert.equal(count(db, 'SELECT COUNT(*) as count FROM rankings'), 13);
+    const checkpoint = db.prepare("SELECT status FROM sync_checkpoints WHERE list_name_encoded = 'hardcover-fiction'").get();
+    assert.equal(checkpoint.status, 'complete');
+    db.close();
+  });
+
+  test('logs a malformed payload without storing partial rankings', async () => {
+    stub.fail(HF_JAN_21, { malformed: true }, { malformed: true });
+
+    const result = await run('init-db');
+    assert.equal(result.code, 0, result.stderr);
+
+    const db = openForAssertions(scratch.dbPath);
+    const error = db.prepare("SELECT published_date FROM sync_log WHERE status = 'error'").get();
+    assert.equal(error.published_date, '2024-01-21');
+    assert.equal(count(db, "SELECT COUNT(*) as count FROM rankings WHERE published_date = '2024-01-21'"), 0);
+    db.close();
+  });
+});
+
+describe('update-db', () => {
+  test('adds the new current edition and skips lists that are up to date', async () => {
+    await run('init-db');
+    stub.requests.length = 0;
+
+    const result = await run('update-db');
+    assert.equal(result.code, 0, result.stderr);
+
+    // Weekly lists come from the overview; the monthly list isn't due yet
+    assert.deepEqual(stub.requests.map(r => r.path), [FULL_OVERVIEW]);
+
+    const db = openForAssertions(scratch.dbPath);
+    assert.equal(count(db, 'SELECT COUNT(*) as count FROM books'), 6);
+    assert.equal(count(db, "SELECT COUNT(*) as count FROM rankings WHERE published_date = '2024-01-28'"), 3);
+    assert.equal(count(db, "SELECT COUNT(*) as count FROM sync_log WHERE sync_type = 'update' AND status = 'success'"), 1);
+
+    // The previous edition is linked forward to the new one
+    const edition = db.prepare(`
+      SELECT e.next_published_date FROM editions e
+      JOIN lists l ON e.list_id = l.list_id
+      WHERE l.list_name_encoded = 'hardcover-fiction' AND e.published_date = '2024-01-21'
+    `).get();
+    assert.equal(edition.next_published_date, '2024-01-28');
+    db.close();
+
+    const again = await run('update-db');
+    assert.equal(again.code, 0, again.stderr);
+    assert.match(again.stdout, /Skipped: 2/);
+  });
+
+  test('falls back to per-list requests when the overview fails', async () => {
+    await run('init-db');
+    stub.requests.length = 0;
+    stub.fail(FULL_OVERVIEW, { status: 500 });
+
+    const result = await run('update-db', [], NO_RETRIES);
+    assert.equal(result.code, 0, result.stderr);
+    assert.deepEqual(stub.requests.map(r => r.path), [
+      FULL_OVERVIEW,
+      '/lists/current/audio-fiction.json',
+      '/lists/current/hardcover-fiction.json'
+    ]);
+
+    const db = openForAssertions(scratch.dbPath);
+    assert.equal(count(db, "SELECT COUNT(*) as count FROM rankings WHERE published_date = '2024-01-28'"), 3);
+    assert.equal(count(db, "SELECT COUNT(*) as count FROM sync_log WHERE sync_type = 'update' AND status = 'error'"), 1);
+    db.close();
+  });
+
+  test('exits non-zero and logs the error when a list request fails', async () => {
+    await run('init-db');
+    stub.fail(FULL_OVERVIEW, { status: 500 });
+    stub.fail('/lists/current/audio-fiction.json', { status: 500 });
+
+    const result = await run('update-db', [], NO_RETRIES);
+    assert.equal(result.code, 1);
+
+    const db = openForAssertions(scratch.dbPath);
+    const errors = db.prepare("SELECT list_name_encoded FROM sync_log WHERE sync_type = 'update' AND status = 'error' AND list_name_encoded IS NOT NULL").all();
+    assert.deepEqual(errors, [{ list_name_encoded: 'audio-fiction' }]);
+    db.close();
+  });
+});
+
+describe('sync-reviews', () => {
+  test('links reviews to books and does not re-check them', async () => {
+    await run('init-db');
+
+    const result = await run('sync-reviews');
+    assert.equal(result.code, 0, result.stderr);
+
+    const db = openForAssertions(scratch.dbPath);
+    const review = db.prepare(`
+      SELECT b.title, rv.byline FROM reviews rv JOIN books b ON rv.book_id = b.book_id
+    `).all();
+    assert.deepEqual(review, [{ title: 'THE LIGHTHOUSE LEDGER', byline: 'Jonah Whitlock' }]);
+    assert.equal(count(db, 'SELECT COUNT(*) as count FROM review_checks'), 5);
+    db.close();
+
+    stub.requests.length = 0;
+    await run('sync-reviews');
+    assert.equal(stub.requests.length, 0);
+  });
+
+  test('stops at the request budget instead of failing the remaining books', async () => {
+    await run('init-db');
+    stub.requests.length = 0;
+    // The retry spends the second request of the budget, before the second book
+    stub.fail('/reviews.json', { status: 429, headers: { 'Retry-After': '0' } });
+
+    const result = await run('sync-reviews', ['--max-requests', '2']);
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /stopped early: Request cap reached/);
+    assert.equal(stub.countRequests('/reviews.json'), 2);
+
+    const db = openForAssertions(scratch.dbPath);
+    assert.equal(count(db, 'SELECT COUNT(*) as count FROM review_checks'), 1);
+    db.close();
+  });
+
+  test('re-checks books whose last check is old, including books with reviews', async () => {
+    await run('init-db');
+    await run('sync-reviews');
+
+    // Every check is old except one
+    const db = new Database(scratch.dbPath);
+    db.prepare('UPDATE review_checks SET checked_at = ?').run('2000-01-01T00:00:00.000Z');
+    const recent = db.prepare("SELECT book_id FROM review_checks WHERE reviews_found = 0 LIMIT 1").get();
+    db.prepare('UPDATE review_checks SET checked_at = ? WHERE book_id = ?').run(new Date().toISOString(), recent.book_id);
+    const reviewed = db.prepare('SELECT isbn FROM review_checks WHERE reviews_found > 0').get();
+    db.close();
+
+    stub.requests.length = 0;
+    const result = await run('sync-reviews');
+    assert.equal(result.code, 0, result.stderr);
+    assert.equal(stub.countRequests('/reviews.json'), 4);
+    assert.ok(stub.requests.some(r => r.query.isbn === reviewed.isbn));
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for api/nyt-proxy.js against the NYT stand-in, with a database
+ * seeded from the same fixtures, and for its response cache.
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { createScratchDb, seedFixtureDb, callApi } from './support/harness.js';
+import { startNytStub } from './support/nyt-stub.js';
+import { createResponseCache } from '../api/_lib/response-cache.js';
+
+let scratch;
+let stub;
+let handler;
+
+before(async () => {
+  scratch = createScratchDb();
+  seedFixtureDb(scratch.dbPath).close();
+  stub = await startNytStub();
+
+  process.env.DB_PATH = scratch.dbPath;
+  process.env.NYT_BASE_URL = stub.baseUrl;
+  process.env.NYT_API_KEY = 'test-key';
+  handler = (await import('../api/nyt-proxy.js')).default;
+});
+
+after(async () => {
+  await stub.close();
+  scratch.cleanup();
+});
+
+beforeEach(() => {
+  stub.requests.length = 0;
+});
+
+function proxy(endpoint, query = {}) {
+  return callApi(handler, { endpoint, ...query });
+}
+
+describe('allowlist', () => {
+  test('answers 404 for endpoints it does not proxy', async () => {
+    for (const endpoint of ['/lists/best-sellers/secret.json', '/../svc/movies/v2/reviews.json', '/lists/current/Hardcover Fiction.json', '/lists/full-overview.json']) {
+      const { status, body } = await proxy(endpoint);
+      assert.equal(status, 404, endpoint);
+      assert.equal(body.error, 'Unsupported endpoint');
+      assert.match(body.message, /\/lists\/names\.json/);
+    }
+    assert.equal(stub.requests.length, 0);
+  });
+
+  test('answers 400 for unknown, invalid and missing parameters', async () => {
+    for (const [endpoint, query, message] of [
+      ['/lists/names.json', { 'api-key': 'mine' }, /api-key is not a parameter of \/lists\/names\.json/],
+      ['/lists/current/hardcover-fiction.json', { offset: '5' }, /offset must be a multiple of 20/],
+      ['/lists/overview.json', { published_date: '2024-13-45' }, /published_date must be a date/],
+      ['/reviews.json', { isbn: '12345' }, /isbn must be a 10 or 13 digit ISBN/],
+      ['/reviews.json', {}, /requires at least one of isbn, title, author/],
+      ['/lists.json', {}, /requires list/]
+    ]) {
+      const { status, body } = await proxy(endpoint, query);
+      assert.equal(status, 400, endpoint);
+      assert.match(body.message, message);
+    }
+    assert.equal(stub.requests.length, 0);
+  });
+
+  test('drops empty parameters and forwards the rest with the key', async () => {
+    const { status, body, headers } = await proxy('/reviews.json', { isbn: '9780000000011', title: '' });
+
+    assert.equal(status, 200);
+    assert.equal(headers['x-proxy-source'], 'nyt');
+    assert.ok(body.includes('"status":"OK"'));
+    assert.deepEqual(stub.requests[0].query, { isbn: '9780000000011', 'api-key': 'test-key' });
+  });
+});
+
+describe('local database', () => {
+  test('answers a stored edition without calling NYT', async () => {
+    const { status, body, headers } = await proxy('/lists/2024-01-14/hardcover-fiction.json', { offset: '0' });
+    const data = JSON.parse(body);
+
+    assert.equal(status, 200);
+    assert.equal(headers['x-proxy-source'], 'database');
+    assert.equal(stub.requests.length, 0);
+    assert.equal(data.num_results, 3);
+    assert.equal(data.results.published_date, '2024-01-14');
+    assert.equal(data.results.next_published_date, '2024-01-21');
+    assert.deepEqual(data.results.books.map(book => [book.rank, book.title]),
+      [[1, 'THE LIGHTHOUSE LEDGER'], [2, 'NIGHT FERRY'], [3, 'SALT AND IRON']]);
+    assert.deepEqual(data.results.books[0].isbns.map(isbn => isbn.isbn13).sort(), ['9780000000011', '9780000000097']);
+  });
+
+  test('answers dates between stored editions with the one in effect', async () => {
+    const data = JSON.parse((await proxy('/lists/2024-01-16/hardcover-fiction.json')).body);
+
+    assert.equal(data.results.published_date, '2024-01-14');
+    assert.equal(stub.requests.length, 0);
+  });
+
+  test('forwards current lists and dates it cannot be sure of', async () => {
+    for (const endpoint of ['/lists/current/hardcover-fiction.json', '/lists/2023-06-01/hardcover-fiction.json', '/lists/2030-01-01/hardcover-fiction.json']) {
+      const { headers } = await proxy(endpoint);
+      assert.notEqual(headers['x-proxy-source'], 'database', endpoint);
+    }
+    assert.equal(stub.requests.length, 3);
+  });
+});
+
+describe('cache', () => {
+  test('serves repeated requests from the cache, whatever order their parameters come in', async () => {
+    const first = await proxy('/lists/overview.json', { published_date: '2024-01-14' });
+    const second = await proxy('/lists/overview.json', { published_date: '2024-01-14' });
+
+    assert.equal(first.headers['x-proxy-source'], 'nyt');
+    assert.equal(second.headers['x-proxy-source'], 'cache');
+    assert.equal(second.body, first.body);
+    assert.equal(second.headers['cache-control'], 'public, s-maxage=86400');
+    assert.equal(stub.countRequests('/lists/overview.json'), 1);
+
+    await proxy('/reviews.json', { title: 'NIGHT FERRY', author: 'Mara Quill' });
+    const reordered = await proxy('/reviews.json', { author: 'Mara Quill', title: 'NIGHT FERRY' });
+    assert.equal(reordered.headers['x-proxy-source'], 'cache');
+  });
+
+  test('passes errors through without caching them', async () => {
+    stub.fail('/lists/names.json', { status: 429 });
+
+    const limited = await proxy('/lists/names.json');
+    assert.equal(limited.status, 429);
+    assert.match(JSON.parse(limited.body).fault.faultstring, /Rate limit/);
+
+    const retried = await proxy('/lists/names.json');
+    assert.equal(retried.status, 200);
+    assert.equal(retried.headers['x-proxy-source'], 'nyt');
+    assert.equal(stub.countRequests('/lists/names.json'), 2);
+  });
+
+  test('expires entries after their TTL, and keeps them on disk when given a path', () => {
+    let now = Date.parse('2024-01-01T00:00:00Z');
+    const clock = { now: () => new Date(now) };
+    const path = join(scratch.dbPath, '..', 'proxy-cache.db');
+
+    const cache = createResponseCache({ path, clock });
+    cache.set('/lists/names.json?', '{"status":"OK"}', 60);
+    assert.equal(cache.get('/lists/names.json?'), '{"status":"OK"}');
+    cache.close();
+
+    const reopened = createResponseCache({ path, clock });
+    assert.equal(reopened.get('/lists/names.json?'), '{"status":"OK"}');
+
+    now += 61 * 1000;
+    assert.equal(reopened.get('/lists/names.json?'), null);
+    reopened.close();
+  });
+});
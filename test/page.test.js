@@ -0,0 +1,132 @@
+/**
+ * Tests for the web page: that it runs under its Content-Security-Policy
+ * (vercel.json) and that app.js renders API data as text, never as markup.
+ */
+
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { runInNewContext } from 'vm';
+
+const root = new URL('../', import.meta.url);
+const read = file => readFileSync(new URL(file, root), 'utf8');
+
+// Markup a hostile upstream might put in any field
+const PAYLOAD = '<img src=x onerror="alert(1)"><script>alert(2)</script>';
+
+let app;
+let context;
+
+before(() => {
+  // app.js only touches the DOM once the page has loaded
+  context = {
+    document: { addEventListener() {} },
+    window: { addEventListener() {} },
+    location: { href: 'https://books.example/' },
+    URL,
+    URLSearchParams
+  };
+  app = runInNewContext(`${read('app.js')}
+    ({ escapeHtml, safeUrl, highlightHtml, displayBestSellersTable, displayGenericTable, displayReviewsTable, DB_RENDERERS, fetchRankHistory })`, context);
+});
+
+// Render with one of app.js's renderers; returns the HTML it produced
+function render(renderer, ...args) {
+  const contentDiv = {};
+  renderer(...args, contentDiv);
+  return contentDiv.innerHTML;
+}
+
+function assertInert(html) {
+  assert.doesNotMatch(html, /<script|<img src=x|onerror="/i, html);
+}
+
+describe('content security policy', () => {
+  test('the page has no inline scripts or event handlers for its policy to block', () => {
+    const page = read('index.html');
+
+    assert.match(page, /<script src="app\.js"><\/script>/);
+    assert.doesNotMatch(page, /<script>/);
+    assert.doesNotMatch(page, /\son[a-z]+=/i);
+  });
+
+  test('the page policy allows only its own scripts, and API responses load nothing', () => {
+    const { headers } = JSON.parse(read('vercel.json'));
+    const page = headers.find(rule => rule.source === '/((?!api/).*)');
+    const policy = page.headers.find(header => header.key === 'Content-Security-Policy').value;
+
+    assert.match(policy, /script-src 'self';/);
+    assert.doesNotMatch(policy, /script-src[^;]*'unsafe-inline'/);
+    assert.match(policy, /object-src 'none'/);
+    assert.match(policy, /frame-ancestors 'none'/);
+  });
+});
+
+describe('rendering', () => {
+  test('escapes text and drops URLs that are not http(s)', () => {
+    assert.equal(app.escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    assert.equal(app.escapeHtml(null), '');
+    assert.equal(app.safeUrl('https://storage.example/cover.jpg'), 'https://storage.example/cover.jpg');
+    assert.equal(app.safeUrl('javascript:alert(1)'), '');
+    assert.equal(app.safeUrl('data:text/html,<script>alert(1)</script>'), '');
+  });
+
+  test('keeps only the search highlights the API adds', () => {
+    assert.equal(app.highlightHtml(`<mark>Night</mark> ${PAYLOAD}`),
+      '<mark>Night</mark> &lt;img src=x onerror=&quot;alert(1)&quot;&gt;&lt;script&gt;alert(2)&lt;/script&gt;');
+  });
+
+  test('renders live API results as text', () => {
+    const book = { rank: 1, title: PAYLOAD, author: PAYLOAD, publisher: PAYLOAD, description: PAYLOAD, weeks_on_list: PAYLOAD };
+
+    assertInert(render(app.displayBestSellersTable, { books: [book] }));
+    assertInert(render(app.displayGenericTable, [{ [PAYLOAD]: PAYLOAD }]));
+
+    const reviews = render(app.displayReviewsTable, [{ book_title: PAYLOAD, summary: PAYLOAD, url: 'javascript:alert(1)' }]);
+    assertInert(reviews);
+    assert.doesNotMatch(reviews, /javascript:/);
+  });
+
+  test('renders database results as text', () => {
+    const book = {
+      rank: 2,
+      rank_last_week: 1,
+      title: PAYLOAD,
+      author: PAYLOAD,
+      publisher: PAYLOAD,
+      description: PAYLOAD,
+      primary_isbn13: PAYLOAD,
+      book_image: 'javascript:alert(1)',
+      title_highlight: PAYLOAD,
+      snippet: PAYLOAD
+    };
+
+    const edition = render(app.DB_RENDERERS.current, { list: PAYLOAD, list_name_encoded: PAYLOAD, published_date: PAYLOAD, books: [book] });
+    assertInert(edition);
+    assert.doesNotMatch(edition, /javascript:/);
+
+    assertInert(render(app.DB_RENDERERS.search, { query: PAYLOAD, books: [book] }));
+    assertInert(render(app.DB_RENDERERS.lists, { lists: [{ list_name_encoded: PAYLOAD, display_name: PAYLOAD, latest_edition: PAYLOAD }] }));
+  });
+});
+
+describe('rank chart', () => {
+  test('loads every page of a book\'s ranking history', async () => {
+    const pages = {
+      '': { book: { title: 'NIGHT FERRY', author: 'Mara Quill' }, ranking_history: [{ rank: 1 }, { rank: 2 }], next: 'page2' },
+      page2: { book: { title: 'NIGHT FERRY', author: 'Mara Quill' }, ranking_history: [{ rank: 3 }], next: null }
+    };
+    const requested = [];
+    context.fetch = async url => {
+      requested.push(url);
+      const cursor = new URL(url, 'https://books.example/').searchParams.get('cursor') || '';
+      return { ok: true, json: async () => pages[cursor] };
+    };
+
+    const book = await app.fetchRankHistory('9780000000042');
+
+    assert.equal(requested.length, 2);
+    assert.equal(book.title, 'NIGHT FERRY');
+    assert.deepEqual(Array.from(book.history, entry => entry.rank), [1, 2, 3]);
+  });
+});
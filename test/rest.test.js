@@ -0,0 +1,225 @@
+/**
+ * Tests for the v1 REST routes (api/rest.js), their OpenAPI document, and
+ * the ?action= aliases in api/db-query.js, against the NYT fixtures.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { createScratchDb, seedFixtureDb, callApi } from './support/harness.js';
+
+let scratch;
+let rest;
+let legacy;
+
+before(async () => {
+  scratch = createScratchDb();
+  seedFixtureDb(scratch.dbPath).close();
+
+  process.env.DB_PATH = scratch.dbPath;
+  rest = (await import('../api/rest.js')).default;
+  legacy = (await import('../api/db-query.js')).default;
+});
+
+after(() => {
+  scratch.cleanup();
+});
+
+// GET /api/v1/<path>, as the vercel.json rewrite passes it on
+function get(path, query = {}, options) {
+  return callApi(rest, { ...query, path }, options);
+}
+
+describe('routes', () => {
+  test('serves list editions, with latest standing in for a date', async () => {
+    const { status, body } = await get('lists/hardcover-fiction/editions/2024-01-14');
+    assert.equal(status, 200);
+    assert.equal(body.published_date, '2024-01-14');
+    assert.deepEqual(body.books.map(b => b.rank), [1, 2, 3]);
+
+    const latest = await get('lists/hardcover-fiction/editions/latest');
+    assert.equal(latest.body.published_date, '2024-01-28');
+
+    const dates = await get('lists/hardcover-fiction/editions', { sort: 'published_date', limit: '2' });
+    assert.deepEqual(dates.body.dates.map(d => d.published_date), ['2024-01-07', '2024-01-14']);
+  });
+
+  test('answers the same as the action each route replaces', async () => {
+    for (const [path, query, action] of [
+      ['lists', {}, { action: 'lists' }],
+      ['lists/hardcover-fiction', {}, { action: 'current', list: 'hardcover-fiction' }],
+      ['lists/hardcover-fiction/editions/latest/diff', {}, { action: 'diff', list: 'hardcover-fiction' }],
+      ['lists/audio-fiction/timeseries', { from: '2024-02-01' }, { action: 'timeseries', list: 'audio-fiction', from: '2024-02-01' }],
+      ['books/9780000000066', { limit: '1' }, { action: 'book', isbn: '9780000000066', limit: '1' }],
+      ['books/9780000000011/reviews', {}, { action: 'reviews', isbn: '9780000000011' }],
+      ['reviews', {}, { action: 'reviews' }],
+      ['search', { q: 'ferry' }, { action: 'search', q: 'ferry' }],
+      ['stats', { category: 'audio' }, { action: 'stats', category: 'audio' }],
+      ['authors/mara%20quill', {}, { action: 'author', name: 'mara quill' }],
+      ['publishers', {}, { action: 'publishers' }]
+    ]) {
+      const [v1, old] = [await get(path, query), await callApi(legacy, action)];
+      assert.equal(v1.status, 200, path);
+      assert.deepEqual(v1.body, old.body, path);
+    }
+  });
+
+  test('exports rows with format=', async () => {
+    const { headers, body } = await get('lists/hardcover-fiction', { format: 'csv', fields: 'rank,title' });
+    assert.equal(headers['content-disposition'], 'attachment; filename="nyt-bestsellers-current-hardcover-fiction.csv"');
+    assert.match(body, /^rank,title\n1,THE GLASS CARTOGRAPHER\n/);
+  });
+});
+
+describe('errors', () => {
+  const assertError = (response, status, code, message) => {
+    assert.equal(response.status, status);
+    assert.equal(response.body.error.status, status);
+    assert.equal(response.body.error.code, code);
+    assert.match(response.body.error.message, message);
+  };
+
+  test('answers 404 for unknown routes and anything not stored', async () => {
+    assertError(await get('shelves'), 404, 'not_found', /No such route: \/shelves/);
+    assertError(await get('lists/poetry'), 404, 'not_found', /List not found: poetry/);
+    assertError(await get('lists/hardcover-fiction/editions/2024-01-08'), 404, 'not_found', /No edition/);
+    assertError(await get('books/9789999999999'), 404, 'not_found', /Book not found/);
+    assertError(await get('publishers/nobody'), 404, 'not_found', /Publisher not found/);
+  });
+
+  test('answers 400 for missing and invalid parameters', async () => {
+    assertError(await get('lists/hardcover-fiction/editions/yesterday'), 400, 'invalid_parameter', /date must be a date/);
+    assertError(await get('search'), 400, 'invalid_parameter', /Missing required parameter: q/);
+    assertError(await get('lists', { limit: '0' }), 400, 'invalid_parameter', /limit/);
+  });
+
+  test('answers 405 for methods other than GET', async () => {
+    assertError(await get('lists', {}, { method: 'POST' }), 405, 'method_not_allowed', /Method not allowed/);
+  });
+
+  test('keeps the old error bodies on the action URLs', async () => {
+    const missing = await callApi(legacy, { action: 'history', list: 'poetry' });
+    assert.equal(missing.status, 404);
+    assert.deepEqual(missing.body, { error: 'List not found: poetry' });
+
+    const noList = await callApi(legacy, { action: 'current' });
+    assert.deepEqual(noList.body, { error: 'Missing required parameter: list' });
+  });
+});
+
+describe('openapi.json', () => {
+  test('documents every route and its parameters', async () => {
+    const { status, body } = await get('openapi.json');
+
+    assert.equal(status, 200);
+    assert.equal(body.openapi, '3.1.0');
+    assert.equal(Object.keys(body.paths).length, 15);
+
+    const edition = body.paths['/lists/{list}/editions/{date}'].get;
+    assert.deepEqual(edition.parameters.filter(p => p.in === 'path').map(p => [p.name, p.required]),
+      [['list', true], ['date', true]]);
+    assert.ok(edition.parameters.some(p => p.name === 'limit'));
+    assert.equal(edition.responses[404].$ref, '#/components/responses/NotFound');
+
+    const search = body.paths['/search'].get;
+    assert.deepEqual(search.parameters.find(p => p.name === 'q').required, true);
+    assert.ok(!body.paths['/stats'].get.parameters.some(p => p.name === 'limit'));
+    assert.ok(body.paths['/stats'].get.parameters.some(p => p.name === 'category'));
+  });
+});
+
+describe('caching', () => {
+  test('tags responses with the latest successful sync', async () => {
+    const { status, headers } = await get('lists/hardcover-fiction');
+
+    assert.equal(status, 200);
+    assert.match(headers.etag, /^W\/"\d+-\w+-[0-9a-f]{8}"$/);
+    assert.ok(!Number.isNaN(Date.parse(headers['last-modified'])));
+    assert.match(headers['cache-control'], /stale-while-revalidate=\d+/);
+  });
+
+  test('answers 304 when the client\'s copy is current', async () => {
+    const { headers } = await get('lists/hardcover-fiction');
+
+    for (const conditional of [
+      { 'if-none-match': headers.etag },
+      { 'if-none-match': `"other", ${headers.etag.replace(/^W\//, '')}` },
+      { 'if-none-match': '*' },
+      { 'if-modified-since': headers['last-modified'] }
+    ]) {
+      const response = await get('lists/hardcover-fiction', {}, { headers: conditional });
+      assert.equal(response.status, 304);
+      assert.equal(response.body, undefined);
+      assert.equal(response.headers.etag, headers.etag);
+    }
+
+    const legacy304 = await callApi(legacy, { action: 'lists' }, { headers: { 'if-none-match': headers.etag } });
+    assert.equal(legacy304.status, 304);
+  });
+
+  test('answers 200 when it is stale, and If-None-Match decides over If-Modified-Since', async () => {
+    const { headers } = await get('lists');
+
+    const stale = await get('lists', {}, { headers: { 'if-none-match': 'W/"0-0"' } });
+    assert.equal(stale.status, 200);
+    assert.ok(stale.body.lists.length > 0);
+
+    const older = await get('lists', {}, { headers: { 'if-modified-since': 'Mon, 01 Jan 2001 00:00:00 GMT' } });
+    assert.equal(older.status, 200);
+
+    const both = await get('lists', {}, {
+      headers: { 'if-none-match': '"other"', 'if-modified-since': headers['last-modified'] }
+    });
+    assert.equal(both.status, 200);
+  });
+
+  test('checks what a conditional request names before answering 304', async () => {
+    const { headers } = await get('lists');
+    const conditional = { headers: { 'if-none-match': headers.etag } };
+
+    assert.equal((await get('books/9789999999999', {}, conditional)).status, 404);
+    assert.equal((await get('lists/poetry', {}, conditional)).status, 404);
+    assert.equal((await get('lists', { limit: '0' }, conditional)).status, 400);
+  });
+
+  test('moves the ETag on with each deployment', async () => {
+    const before = await get('lists');
+
+    process.env.VERCEL_DEPLOYMENT_ID = 'dpl_next';
+    try {
+      const after = await get('lists', {}, { headers: { 'if-none-match': before.headers.etag } });
+      assert.equal(after.status, 200);
+      assert.notEqual(after.headers.etag, before.headers.etag);
+    } finally {
+      delete process.env.VERCEL_DEPLOYMENT_ID;
+    }
+  });
+
+  test('leaves errors uncached', async () => {
+    const { status, headers } = await get('lists/poetry');
+
+    assert.equal(status, 404);
+    assert.equal(headers['cache-control'], undefined);
+    assert.equal(headers.etag, undefined);
+  });
+
+  test('moves the ETag on after the next sync', async () => {
+    const before = await get('lists');
+
+    const db = new Database(scratch.dbPath);
+    db.prepare(`
+      INSERT INTO sync_log (sync_type, sync_date, records_added, status)
+      VALUES ('update', '2030-01-01T06:00:00.000Z', 0, 'success')
+    `).run();
+    db.prepare(`
+      INSERT INTO sync_log (sync_type, sync_date, records_added, status, error_message)
+      VALUES ('update', '2030-01-02T06:00:00.000Z', 0, 'error', 'failed')
+    `).run();
+    db.close();
+
+    const after = await get('lists', {}, { headers: { 'if-none-match': before.headers.etag } });
+    assert.equal(after.status, 200);
+    assert.notEqual(after.headers.etag, before.headers.etag);
+    assert.equal(after.headers['last-modified'], 'Tue, 01 Jan 2030 06:00:00 GMT');
+  });
+});
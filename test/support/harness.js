@@ -0,0 +1,119 @@
+/**
+ * Test Harness
+ *
+ * Helpers for running the sync scripts end-to-end against the NYT stand-in
+ * with a scratch database, and for calling the API handlers directly.
+ */
+
+import Database from 'better-sqlite3';
+import { execFile } from 'child_process';
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { openDatabase, saveLists, saveListEdition, getListId } from '../../scripts/lib/sync.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SCRIPTS_DIR = join(__dirname, '../../scripts');
+const FIXTURE_LISTS_DIR = join(__dirname, '../fixtures/nyt/lists');
+
+// Create a scratch directory holding a database path; call cleanup() when done
+export function createScratchDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'bestsellers-test-'));
+
+  return {
+    dbPath: join(dir, 'bestsellers.db'),
+    cleanup: () => rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+// Run scripts/<name>.js against the stand-in; resolves with its exit code and output
+export function runScript(name, args, { dbPath, baseUrl, env = {} }) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [join(SCRIPTS_DIR, `${name}.js`), ...args], {
+      env: {
+        ...process.env,
+        NYT_API_KEY: 'test-key',
+        NYT_BASE_URL: baseUrl,
+        NYT_REQUEST_DELAY_MS: '0',
+        DB_PATH: dbPath,
+        ...env
+      },
+      timeout: 30000
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code ?? 1 : 0, stdout, stderr });
+    });
+  });
+}
+
+// Load every recorded list edition into a database without the stand-in
+// (what a full init-db + update-db run would store)
+export function seedFixtureDb(dbPath) {
+  const read = (path) => JSON.parse(readFileSync(join(FIXTURE_LISTS_DIR, path), 'utf-8')).results;
+  const db = openDatabase(dbPath);
+
+  saveLists(db, read('names.json'));
+
+  const editions = readdirSync(FIXTURE_LISTS_DIR)
+    .filter(name => /^\d{4}-\d{2}-\d{2}$/.test(name) || name === 'current')
+    .flatMap(dir => readdirSync(join(FIXTURE_LISTS_DIR, dir)).map(file => read(`${dir}/${file}`)))
+    .sort((a, b) => a.published_date.localeCompare(b.published_date));
+
+  for (const results of editions) {
+    saveListEdition(db, {
+      listId: getListId(db, results.list_name_encoded),
+      listNameEncoded: results.list_name_encoded,
+      results,
+      syncType: 'test'
+    });
+  }
+
+  return db;
+}
+
+// Open the scratch database read-only for assertions
+export function openForAssertions(dbPath) {
+  return new Database(dbPath, { readonly: true });
+}
+
+// Call a Vercel-style API handler; resolves with the status, headers and body it sent
+export async function callApi(handler, query = {}, { method = 'GET', headers = {}, body } = {}) {
+  const sent = { status: 200, headers: {}, body: undefined };
+
+  const res = {
+    status(code) {
+      sent.status = code;
+      return res;
+    },
+    setHeader(name, value) {
+      sent.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    removeHeader(name) {
+      delete sent.headers[name.toLowerCase()];
+    },
+    json(body) {
+      sent.body = body;
+      return res;
+    },
+    send(body) {
+      sent.body = body;
+      return res;
+    },
+    write(chunk) {
+      sent.body = (sent.body ?? '') + chunk;
+      return true;
+    },
+    end(body) {
+      if (body !== undefined) {
+        sent.body = (sent.body ?? '') + body;
+      }
+      return res;
+    }
+  };
+
+  await handler({ method, query, headers, body }, res);
+  return sent;
+}
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Offline NYT Books API Stand-in
+ *
+ * A local HTTP server that answers the Books v3 endpoints the sync scripts
+ * use from recorded fixtures in test/fixtures/nyt:
+ *   /lists/names.json            -> lists/names.json
+ *   /lists/overview.json         -> lists/overview.json
+ *   /lists/full-overview.json    -> lists/full-overview.json
+ *   /lists/current/{list}.json   -> lists/current/{list}.json
+ *   /lists/{date}/{list}.json    -> lists/{date}/{list}.json, or the latest
+ *                                   recorded edition before {date} (as NYT does)
+ *   /reviews.json?isbn={isbn}    -> reviews/{isbn}.json, or an empty result
+ *
+ * Tests can queue faults for a path (429s, 5xx, malformed bodies) with
+ * stub.fail(). Every request is recorded in stub.requests.
+ *
+ * Usage (standalone): node test/support/nyt-stub.js [port]
+ *   then run a script with NYT_BASE_URL=http://127.0.0.1:<port>/svc/books/v3
+ */
+
+import { createServer } from 'http';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const FIXTURES_DIR = join(__dirname, '../fixtures/nyt');
+const BASE_PATH = '/svc/books/v3';
+
+// Error bodies in the shape NYT's gateway returns them
+const FAULTS = {
+  401: { fault: { faultstring: 'Failed to resolve API Key variable request.queryparam.api-key', detail: { errorcode: 'steps.oauth.v2.FailedToResolveAPIKey' } } },
+  404: { fault: { faultstring: 'Resource not found', detail: { errorcode: 'messaging.adaptors.http.flow.ErrorResponseCode' } } },
+  429: { fault: { faultstring: 'Rate limit quota violation. Quota limit  exceeded. Identifier : stub', detail: { errorcode: 'policies.ratelimit.QuotaViolation' } } },
+  500: { fault: { faultstring: 'Internal Server Error', detail: { errorcode: 'messaging.adaptors.http.flow.ErrorResponseCode' } } }
+};
+
+function readFixture(fixturesDir, relativePath) {
+  const fullPath = join(fixturesDir, relativePath);
+  return existsSync(fullPath) ? readFileSync(fullPath, 'utf-8') : null;
+}
+
+// Find the recorded edition of a list that a dated request resolves to
+function resolveDatedList(fixturesDir, date, listFile) {
+  const listsDir = join(fixturesDir, 'lists');
+  const dates = readdirSync(listsDir)
+    .filter(name => /^\d{4}-\d{2}-\d{2}$/.test(name))
+    .filter(name => existsSync(join(listsDir, name, listFile)))
+    .sort();
+
+  const match = dates.filter(d => d <= date).pop();
+  return match ? readFixture(fixturesDir, `lists/${match}/${listFile}`) : null;
+}
+
+// Map a Books API path to a fixture body (null when there is none)
+function route(fixturesDir, path, query) {
+  if (path === '/reviews.json') {
+    const isbn = query.get('isbn');
+    return readFixture(fixturesDir, `reviews/${isbn}.json`)
+      || JSON.stringify({ status: 'OK', num_results: 0, results: [] });
+  }
+
+  const match = path.match(/^\/lists\/([^/]+)\/([^/]+\.json)$/);
+
+  if (match && /^\d{4}-\d{2}-\d{2}$/.test(match[1])) {
+    return resolveDatedList(fixturesDir, match[1], match[2]);
+  }
+
+  return readFixture(fixturesDir, path.slice(1));
+}
+
+// Start the stand-in; resolves once it is listening
+export function startNytStub({ fixturesDir = FIXTURES_DIR, port = 0 } = {}) {
+  const faults = new Map();
+  const requests = [];
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.startsWith(BASE_PATH) ? url.pathname.slice(BASE_PATH.length) : url.pathname;
+    requests.push({ path, query: Object.fromEntries(url.searchParams) });
+
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(body);
+    };
+
+    if (!url.searchParams.get('api-key')) {
+      return send(401, JSON.stringify(FAULTS[401]));
+    }
+
+    const queued = faults.get(path);
+    if (queued && queued.length > 0) {
+      const fault = queued.shift();
+
+      if (fault.malformed) {
+        return send(200, fault.body ?? '{"status":"OK","results":{"books":[');
+      }
+
+      const body = fault.body ?? FAULTS[fault.status] ?? FAULTS[500];
+      return send(fault.status, JSON.stringify(body), fault.headers);
+    }
+
+    const body = route(fixturesDir, path, url.searchParams);
+    return body ? send(200, body) : send(404, JSON.stringify(FAULTS[404]));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}${BASE_PATH}`;
+
+      resolve({
+        baseUrl,
+        requests,
+
+        // Queue faults for a path, served in order before the fixture again:
+        // { status: 429, headers: { 'Retry-After': '1' } } or { malformed: true }
+        fail(path, ...responses) {
+          faults.set(path, [...(faults.get(path) || []), ...responses]);
+        },
+
+        // Requests made to a path so far
+        countRequests(path) {
+          return requests.filter(r => r.path === path).length;
+        },
+
+        close() {
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+// Standalone mode
+if (process.argv[1] === __filename) {
+  const port = parseInt(process.argv[2]) || 4010;
+  const stub = await startNytStub({ port });
+  console.log(`📡 NYT stand-in serving fixtures at ${stub.baseUrl}`);
+}
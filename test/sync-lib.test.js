@@ -0,0 +1,353 @@
+/**
+ * Unit tests for scripts/lib/sync.js with an injected fetcher and clock.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import {
+  StopRunError,
+  createNytClient,
+  openDatabase,
+  saveLists,
+  saveListEdition,
+  getEdition,
+  getListId,
+  getDailyUsage,
+  recordDailyUsage,
+  findOrCreateBook,
+  SCHEMA_PATH
+} from '../scripts/lib/sync.js';
+import { normalizeTitle, normalizeAuthor, splitAuthors, normalizePublisher } from '../scripts/lib/normalize.js';
+import { FIXTURES_DIR } from './support/nyt-stub.js';
+import { createScratchDb } from './support/harness.js';
+
+function fixture(path) {
+  return JSON.parse(readFileSync(join(FIXTURES_DIR, path), 'utf-8'));
+}
+
+// A clock that never really waits: sleeping just moves time forward
+function fakeClock(start = '2024-01-01T00:00:00Z') {
+  let now = new Date(start).getTime();
+  const sleeps = [];
+
+  return {
+    sleeps,
+    now: () => new Date(now),
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      now += ms;
+    }
+  };
+}
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return {
+    ok: status < 400,
+    status,
+    statusText: String(status),
+    headers: new Headers(headers),
+    json: async () => body
+  };
+}
+
+describe('createNytClient', () => {
+  test('never makes more than 5 requests in any 60 seconds', async () => {
+    const clock = fakeClock();
+    const urls = [];
+    const sentAt = [];
+    const client = createNytClient({
+      apiKey: 'k',
+      baseUrl: 'https://nyt.test/svc/books/v3',
+      clock,
+      fetch: async (url) => {
+        urls.push(url);
+        sentAt.push(clock.now().getTime());
+        return jsonResponse({ results: [] });
+      }
+    });
+
+    await client.get('/lists/names.json');
+    await client.get('/reviews.json', { isbn: '9780000000011' });
+    for (let i = 0; i < 18; i++) {
+      await client.get('/lists/names.json');
+    }
+
+    for (const start of sentAt) {
+      const inWindow = sentAt.filter(time => time >= start && time < start + 60000);
+      assert.ok(inWindow.length <= 5, `${inWindow.length} requests in the minute from ${start}`);
+    }
+    assert.deepEqual(urls.slice(0, 2), [
+      'https://nyt.test/svc/books/v3/lists/names.json?api-key=k',
+      'https://nyt.test/svc/books/v3/reviews.json?isbn=9780000000011&api-key=k'
+    ]);
+    assert.equal(client.requestCount, 20);
+  });
+
+  test('shares the per-minute budget between clients on the same clock', async () => {
+    const clock = fakeClock();
+    const options = { apiKey: 'k', clock, fetch: async () => jsonResponse({}) };
+    const first = createNytClient(options);
+    const second = createNytClient(options);
+
+    await first.get('/lists/names.json');
+    await second.get('/lists/names.json');
+
+    assert.deepEqual(clock.sleeps, [12000]);
+  });
+
+  test('stops at the per-run request cap', async () => {
+    const client = createNytClient({
+      apiKey: 'k',
+      clock: fakeClock(),
+      maxRequests: 1,
+      fetch: async () => jsonResponse({})
+    });
+
+    await client.get('/lists/names.json');
+    await assert.rejects(client.get('/lists/names.json'), /Request cap reached/);
+  });
+
+  test('counts requests in api_usage and stops at the daily limit across runs', async () => {
+    const db = openDatabase(':memory:');
+    recordDailyUsage(db, '2024-01-01', 498);
+    // A different day doesn't count against today
+    recordDailyUsage(db, '2023-12-31', 500);
+
+    const client = createNytClient({ apiKey: 'k', clock: fakeClock(), fetch: async () => jsonResponse({}) });
+    client.trackDailyUsage(db);
+
+    await client.get('/lists/names.json');
+    await client.get('/lists/names.json');
+    await assert.rejects(client.get('/lists/names.json'), StopRunError);
+
+    assert.equal(getDailyUsage(db, '2024-01-01'), 500);
+    assert.equal(client.requestsToday, 500);
+    db.close();
+  });
+
+  test('retries a 429 after its Retry-After', async () => {
+    const clock = fakeClock();
+    const responses = [jsonResponse({}, 429, { 'Retry-After': '30' }), jsonResponse({ status: 'OK' })];
+    const client = createNytClient({ apiKey: 'k', clock, fetch: async () => responses.shift() });
+
+    assert.deepEqual(await client.get('/lists/names.json'), { status: 'OK' });
+    assert.equal(client.requestCount, 2);
+    assert.deepEqual(clock.sleeps, [30000]);
+  });
+
+  test('backs off exponentially on server errors and gives up after the retry cap', async () => {
+    const clock = fakeClock();
+    const client = createNytClient({
+      apiKey: 'k',
+      clock,
+      maxRetries: 2,
+      backoffMs: 1000,
+      // No request spacing, so only the backoff waits are slept
+      requestDelay: 0,
+      fetch: async () => jsonResponse({}, 503)
+    });
+
+    await assert.rejects(client.get('/lists/names.json'), /API request failed: 503/);
+    assert.equal(client.requestCount, 3);
+    assert.deepEqual(clock.sleeps, [1000, 2000]);
+  });
+
+  test('retries network errors', async () => {
+    let calls = 0;
+    const client = createNytClient({
+      apiKey: 'k',
+      clock: fakeClock(),
+      fetch: async () => {
+        if (calls++ === 0) {
+          throw new TypeError('fetch failed');
+        }
+        return jsonResponse({ status: 'OK' });
+      }
+    });
+
+    assert.deepEqual(await client.get('/lists/names.json'), { status: 'OK' });
+  });
+
+  test('does not retry other client errors', async () => {
+    const client = createNytClient({ apiKey: 'k', clock: fakeClock(), fetch: async () => jsonResponse({}, 401) });
+
+    await assert.rejects(client.get('/lists/names.json'), /API request failed: 401/);
+    assert.equal(client.requestCount, 1);
+  });
+
+  test('stops the run when asked to wait out the daily quota', async () => {
+    const client = createNytClient({
+      apiKey: 'k',
+      clock: fakeClock(),
+      fetch: async () => jsonResponse({}, 429, { 'Retry-After': '3600' })
+    });
+
+    await assert.rejects(client.get('/lists/names.json'), StopRunError);
+  });
+});
+
+describe('saveListEdition', () => {
+  test('stores books, rankings, the edition and a sync_log row', () => {
+    const db = openDatabase(':memory:');
+    saveLists(db, fixture('lists/names.json').results);
+    const listId = getListId(db, 'hardcover-fiction');
+
+    const results = fixture('lists/2024-01-07/hardcover-fiction.json').results;
+    const saved = saveListEdition(db, {
+      listId,
+      listNameEncoded: 'hardcover-fiction',
+      results,
+      syncType: 'test',
+      clock: fakeClock()
+    });
+
+    assert.deepEqual(saved, { booksAdded: 3, rankingsAdded: 3 });
+    assert.equal(getEdition(db, listId, '2024-01-07').next_published_date, '2024-01-14');
+
+    const log = db.prepare('SELECT sync_type, sync_date, records_added, status FROM sync_log').get();
+    assert.deepEqual(log, {
+      sync_type: 'test',
+      sync_date: '2024-01-01T00:00:00.000Z',
+      records_added: 3,
+      status: 'success'
+    });
+    db.close();
+  });
+
+  test('re-saving lists keeps existing rankings', () => {
+    const db = openDatabase(':memory:');
+    const lists = fixture('lists/names.json').results;
+    saveLists(db, lists);
+
+    saveListEdition(db, {
+      listId: getListId(db, 'hardcover-fiction'),
+      listNameEncoded: 'hardcover-fiction',
+      results: fixture('lists/2024-01-07/hardcover-fiction.json').results,
+      syncType: 'test'
+    });
+    saveLists(db, lists);
+
+    assert.equal(db.prepare('SELECT COUNT(*) as count FROM rankings').get().count, 3);
+    db.close();
+  });
+});
+
+describe('book identity', () => {
+  const hardcover = {
+    primary_isbn13: '9780000000011',
+    primary_isbn10: '0000000011',
+    title: 'THE LIGHTHOUSE LEDGER',
+    author: 'Mara Quill',
+    isbns: [{ isbn13: '9780000000011', isbn10: '0000000011' }]
+  };
+
+  function workOf(db, bookId) {
+    return db.prepare('SELECT work_id FROM books WHERE book_id = ?').get(bookId).work_id;
+  }
+
+  test('normalizes titles and author credits', () => {
+    assert.equal(normalizeTitle('The Lighthouse Ledger'), normalizeTitle('THE LIGHTHOUSE LEDGER'));
+    assert.equal(normalizeTitle('Salt & Iron'), normalizeTitle('SALT AND IRON'));
+    assert.equal(normalizeAuthor('Lucía Ferrán'), 'lucia ferran');
+    assert.equal(normalizeAuthor('by Theo Brandt & Mara Quill'), normalizeAuthor('Mara Quill and Theo Brandt'));
+    assert.deepEqual(splitAuthors('Mara Quill with Theo Brandt, Martin Luther King, Jr. and mara quill'),
+      ['Mara Quill', 'Theo Brandt', 'Martin Luther King, Jr.']);
+    assert.equal(normalizePublisher('Harbor Lane, Inc.'), normalizePublisher('HARBOR LANE'));
+  });
+
+  test('groups an edition into a work by a shared ISBN', () => {
+    const db = openDatabase(':memory:');
+    const first = findOrCreateBook(db, {
+      ...hardcover,
+      isbns: [...hardcover.isbns, { isbn13: '9780000000097', isbn10: '0000000098' }]
+    });
+    const paperback = findOrCreateBook(db, {
+      primary_isbn13: '9780000000097',
+      title: 'The Lighthouse Ledger: A Novel',
+      author: 'M. Quill',
+      isbns: []
+    });
+
+    assert.notEqual(first, paperback);
+    assert.equal(workOf(db, first), workOf(db, paperback));
+    db.close();
+  });
+
+  test('groups an edition into a work by normalized title and author', () => {
+    const db = openDatabase(':memory:');
+    const first = findOrCreateBook(db, hardcover);
+    const audio = findOrCreateBook(db, { primary_isbn13: '9780000000066', title: 'The Lighthouse Ledger', author: 'by Mara Quill' });
+    const other = findOrCreateBook(db, { primary_isbn13: '9780000000073', title: 'The Lighthouse Ledger', author: 'Someone Else' });
+
+    assert.equal(workOf(db, first), workOf(db, audio));
+    assert.notEqual(workOf(db, first), workOf(db, other));
+    db.close();
+  });
+
+  test('records ISBNs a later appearance adds', () => {
+    const db = openDatabase(':memory:');
+    const bookId = findOrCreateBook(db, hardcover);
+    findOrCreateBook(db, { ...hardcover, isbns: [...hardcover.isbns, { isbn13: '9780000000097', isbn10: '0000000098' }] });
+    findOrCreateBook(db, hardcover);
+
+    const isbns = db.prepare('SELECT isbn13 FROM isbns WHERE book_id = ? ORDER BY isbn13').all(bookId);
+    assert.deepEqual(isbns.map(i => i.isbn13), ['9780000000011', '9780000000097']);
+    db.close();
+  });
+
+  test('groups, credits and indexes books from a database created before works, credits and search existed', () => {
+    const scratch = createScratchDb();
+    const oldSchema = readFileSync(SCHEMA_PATH, 'utf-8')
+      .replace(/^\s*work_id INTEGER REFERENCES works\(work_id\),\n/m, '')
+      .replace(/^CREATE INDEX IF NOT EXISTS idx_books_work.*\n/m, '')
+      .replace(/-- Author credits[\s\S]*?(?=-- Rankings)/, '')
+      .replace(/^CREATE INDEX IF NOT EXISTS idx_book_credits_key.*\n/m, '')
+      .replace(/-- Full-text search[\s\S]*?(?=-- Indexes)/, '');
+
+    const old = new Database(scratch.dbPath);
+    old.exec(oldSchema);
+    old.prepare("INSERT INTO books (primary_isbn13, title, author) VALUES ('9780000000028', 'SALT AND IRON', 'Devon Achebe-Hart')").run();
+    old.prepare("INSERT INTO books (primary_isbn13, title, author) VALUES ('9780000000066', 'Salt and Iron', 'Devon Achebe-Hart')").run();
+    old.close();
+
+    const db = openDatabase(scratch.dbPath);
+    const works = db.prepare('SELECT DISTINCT work_id FROM books').all();
+    assert.equal(works.length, 1);
+    assert.notEqual(works[0].work_id, null);
+    assert.equal(db.prepare('SELECT COUNT(*) as count FROM isbns').get().count, 2);
+    assert.equal(db.prepare("SELECT COUNT(*) as count FROM books_fts WHERE books_fts MATCH 'salt'").get().count, 2);
+    assert.equal(db.prepare("SELECT COUNT(*) as count FROM book_credits WHERE name_key = 'devon achebe hart'").get().count, 2);
+    db.close();
+    scratch.cleanup();
+  });
+
+  test('credits each author of a book, following changes to its credit', () => {
+    const db = openDatabase(':memory:');
+    const bookId = findOrCreateBook(db, { ...hardcover, author: 'Mara Quill and Theo Brandt' });
+    const credits = () => db.prepare('SELECT name, name_key FROM book_credits WHERE book_id = ? ORDER BY name_key').all(bookId);
+
+    assert.deepEqual(credits(), [
+      { name: 'Mara Quill', name_key: 'mara quill' },
+      { name: 'Theo Brandt', name_key: 'theo brandt' }
+    ]);
+
+    findOrCreateBook(db, { ...hardcover, author: 'MARA QUILL' });
+    assert.deepEqual(credits(), [{ name: 'MARA QUILL', name_key: 'mara quill' }]);
+    db.close();
+  });
+
+  test('keeps the search index in step with book updates', () => {
+    const db = openDatabase(':memory:');
+    findOrCreateBook(db, hardcover);
+    findOrCreateBook(db, { ...hardcover, title: 'THE LANTERN LEDGER', description: 'Smugglers on the coast.' });
+
+    const matches = (q) => db.prepare('SELECT rowid FROM books_fts WHERE books_fts MATCH ?').all(q).length;
+    assert.equal(matches('lighthouse'), 0);
+    assert.equal(matches('lantern'), 1);
+    assert.equal(matches('smugglers'), 1);
+    db.close();
+  });
+});